@@ -1,1080 +1,6395 @@
 import json
+import base64
 import boto3
+import hashlib
+import html
+import math
 import os
+import random
+import smtplib
+import subprocess
+import tempfile
 import uuid
 import urllib.request
 import urllib.parse
-from datetime import datetime
+from datetime import date, datetime, timedelta, timezone
+from email.message import EmailMessage
+from email.utils import make_msgid
+from string import Template
 from typing import Dict, List, Optional, Any
+from zoneinfo import ZoneInfo
+import re
 import time
 import logging
+import unicodedata
 
 # ログ設定
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
 
+# 設定項目定義: 設定キー -> (型, デフォルト値, 環境変数名)
+# 優先順位: デフォルト値 < 設定JSON (S3 / ローカルファイル) < 環境変数
+CONFIG_SCHEMA: Dict[str, tuple] = {
+    # 手動実行・システムログの既定バケット
+    'bucket': (str, 'followup-mail', 'MINUTES_BUCKET'),
+    # 出力先バケット（空の場合は音声ファイルと同じバケット）
+    'output_bucket': (str, '', 'MINUTES_OUTPUT_BUCKET'),
+    # システムログ出力先バケット（空の場合はイベントのバケット → bucket の順）
+    'log_bucket': (str, '', 'MINUTES_LOG_BUCKET'),
+    'audio_prefix': (str, 'meeting record/', 'MINUTES_AUDIO_PREFIX'),
+    'output_prefix': (str, 'email_output/', 'MINUTES_OUTPUT_PREFIX'),
+    'transcript_prefix': (str, 'transcripts/', 'MINUTES_TRANSCRIPT_PREFIX'),
+    'system_log_prefix': (str, 'system_logs/', 'MINUTES_SYSTEM_LOG_PREFIX'),
+    'audio_extensions': (list, ['.mp3', '.wav', '.m4a', '.mp4', '.ogg', '.flac', '.aac'], 'MINUTES_AUDIO_EXTENSIONS'),
+    'max_file_size_mb': (int, 100, 'MINUTES_MAX_FILE_SIZE_MB'),
+    'max_transcript_length': (int, 8000, 'MINUTES_MAX_TRANSCRIPT_LENGTH'),
+    'bedrock_region': (str, 'us-east-1', 'MINUTES_BEDROCK_REGION'),
+    # S3 エンドポイント（MinIO / moto などローカル環境用、空の場合はAWS標準）
+    's3_endpoint_url': (str, '', 'MINUTES_S3_ENDPOINT_URL'),
+    # True の場合、Transcribe完了をポーリングせず "Transcribe Job State Change" イベントで後続処理
+    'transcribe_async': (bool, False, 'MINUTES_TRANSCRIBE_ASYNC'),
+    'transcribe_job_prefix': (str, 'transcribe_jobs/', 'MINUTES_TRANSCRIBE_JOB_PREFIX'),
+    # LLMプロバイダー: bedrock_messages / bedrock_converse / local
+    'llm_provider': (str, 'bedrock_messages', 'MINUTES_LLM_PROVIDER'),
+    # プロバイダーごとのモデル一覧（先頭がメインモデル、以降がフォールバック順）
+    'llm_models': (dict, {}, 'MINUTES_LLM_MODELS'),
+    'llm_max_tokens': (int, 4000, 'MINUTES_LLM_MAX_TOKENS'),
+    'llm_temperature': (float, 0.1, 'MINUTES_LLM_TEMPERATURE'),
+    # LLM API エラー分類ごとの方針の上書き（例: {"validation": "abort"}）。分類・既定値は LLM_ERROR_POLICIES
+    'llm_error_policies': (dict, {}, 'MINUTES_LLM_ERROR_POLICIES'),
+    # backoff 方針での同一モデルの最大再試行回数と待機秒数（base × 2^(n-1)、上限 max）
+    'llm_max_retries': (int, 3, 'MINUTES_LLM_MAX_RETRIES'),
+    'llm_backoff_base_seconds': (float, 2.0, 'MINUTES_LLM_BACKOFF_BASE_SECONDS'),
+    'llm_backoff_max_seconds': (float, 20.0, 'MINUTES_LLM_BACKOFF_MAX_SECONDS'),
+    # 議事録の出力方式: auto（tool use 対応モデルのみツール入力で受け取る）/ tool / text（JSONを本文で受け取る）
+    'llm_output_mode': (str, 'auto', 'MINUTES_LLM_OUTPUT_MODE'),
+    # auto 時に tool use を使うモデルID（部分一致）。該当しないモデルは text で呼び出す
+    'llm_tool_use_models': (list, ['claude-3', 'claude-sonnet-4', 'claude-opus-4', 'claude-haiku-4'], 'MINUTES_LLM_TOOL_USE_MODELS'),
+    # local プロバイダーの応答ファイル置き場
+    'local_llm_response_dir': (str, '', 'MINUTES_LOCAL_LLM_RESPONSE_DIR'),
+    # 文字起こしバックエンド: transcribe / local_whisper / supplied
+    # （文字起こしファイルを処理する場合・音声に同名の文字起こしがある場合は設定に関わらず supplied を使用）
+    'transcription_backend': (str, 'transcribe', 'MINUTES_TRANSCRIPTION_BACKEND'),
+    'transcript_extensions': (list, ['.vtt', '.srt', '.txt'], 'MINUTES_TRANSCRIPT_EXTENSIONS'),
+    # 音声なしで文字起こしファイル（.vtt / .srt / .txt）だけから議事録を作成する場合のアップロード先
+    # （audio_prefix 配下の文字起こしは同名の音声ファイルのサイドカーとして扱い、単独では処理しない）
+    'supplied_transcript_prefix': (str, 'meeting transcript/', 'MINUTES_SUPPLIED_TRANSCRIPT_PREFIX'),
+    # 文字起こし言語（'auto' で自動言語識別）と識別候補
+    'transcribe_language': (str, 'ja-JP', 'MINUTES_TRANSCRIBE_LANGUAGE'),
+    'transcribe_language_options': (list, ['ja-JP', 'en-US'], 'MINUTES_TRANSCRIBE_LANGUAGE_OPTIONS'),
+    # 'auto' 時に1つの音声内の複数言語（日英混在など）を識別する
+    'transcribe_multiple_languages': (bool, False, 'MINUTES_TRANSCRIBE_MULTIPLE_LANGUAGES'),
+    'transcribe_max_speakers': (int, 10, 'MINUTES_TRANSCRIBE_MAX_SPEAKERS'),
+    # Amazon Transcribe に事前登録したカスタム語彙・語彙フィルター名
+    'transcribe_vocabulary_name': (str, '', 'MINUTES_TRANSCRIBE_VOCABULARY_NAME'),
+    'transcribe_vocabulary_filter_name': (str, '', 'MINUTES_TRANSCRIBE_VOCABULARY_FILTER_NAME'),
+    'transcribe_vocabulary_filter_method': (str, 'mask', 'MINUTES_TRANSCRIBE_VOCABULARY_FILTER_METHOD'),
+    # デモモード: true の場合のみ、文字起こし・議事録生成の失敗時に架空のデモデータで続行する（デモ用）
+    # false（既定・本番）では失敗したジョブを failed / needs_attention とし、途中までの成果物のみ保存する
+    'demo_mode': (bool, False, 'MINUTES_DEMO_MODE'),
+    # 概算コスト計算の料金表（DEFAULT_PRICING と同じ形式。llm / transcription はモデル・バックエンド単位で上書き）
+    'pricing': (dict, {}, 'MINUTES_PRICING'),
+    # 固有名詞・専門用語（Whisper の初期プロンプトと議事録生成時の用語集に使用）
+    'vocabulary_terms': (list, [], 'MINUTES_VOCABULARY_TERMS'),
+    # 貼り付けテキスト（手動実行イベントの transcript_text）の保存先
+    'pasted_transcript_prefix': (str, 'pasted_transcripts/', 'MINUTES_PASTED_TRANSCRIPT_PREFIX'),
+    # メールテンプレート（email_template: client_followup / internal_recap / executive_brief、email_language: ja / en）
+    'email_template': (str, 'client_followup', 'MINUTES_EMAIL_TEMPLATE'),
+    'email_language': (str, 'ja', 'MINUTES_EMAIL_LANGUAGE'),
+    # 独自テンプレート（EMAIL_TEMPLATES と同じ形式。同名の組み込みテンプレートは言語単位で上書き）
+    'email_templates': (dict, {}, 'MINUTES_EMAIL_TEMPLATES'),
+    # フォローアップメール送信（email_delivery: none / ses / smtp）
+    'email_delivery': (str, 'none', 'MINUTES_EMAIL_DELIVERY'),
+    'email_sender': (str, '', 'MINUTES_EMAIL_SENDER'),
+    # 名簿のメールアドレスに加えて常に送る宛先
+    'email_recipients': (list, [], 'MINUTES_EMAIL_RECIPIENTS'),
+    # true の場合は下書き（承認待ち）として保存し、approve_email イベントで送信
+    'email_require_approval': (bool, True, 'MINUTES_EMAIL_REQUIRE_APPROVAL'),
+    # フォローアップメールに events.ics を添付
+    'email_attach_calendar': (bool, True, 'MINUTES_EMAIL_ATTACH_CALENDAR'),
+    'ses_region': (str, '', 'MINUTES_SES_REGION'),
+    'smtp_host': (str, 'localhost', 'MINUTES_SMTP_HOST'),
+    'smtp_port': (int, 25, 'MINUTES_SMTP_PORT'),
+    'smtp_username': (str, '', 'MINUTES_SMTP_USERNAME'),
+    'smtp_password': (str, '', 'MINUTES_SMTP_PASSWORD'),
+    'smtp_use_tls': (bool, False, 'MINUTES_SMTP_USE_TLS'),
+    # 次回会議・アクションアイテムの期限のカレンダー（events.ics）出力
+    # calendar_timezone: 会議日時・「14時」などの時刻を解釈するタイムゾーン
+    # calendar_event_minutes: 所要時間の記載がない次回会議の長さ（分）
+    # calendar_deadline_component: 期限の出力形式（vevent: 終日の予定 / vtodo: タスク / both: 両方）
+    'calendar_export': (bool, True, 'MINUTES_CALENDAR_EXPORT'),
+    'calendar_timezone': (str, 'Asia/Tokyo', 'MINUTES_CALENDAR_TIMEZONE'),
+    'calendar_event_minutes': (int, 60, 'MINUTES_CALENDAR_EVENT_MINUTES'),
+    'calendar_deadline_component': (str, 'vevent', 'MINUTES_CALENDAR_DEADLINE_COMPONENT'),
+    # ジョブ状態ストア（job_state_store: s3 / dynamodb / local / none）
+    # 同一オブジェクト（バケット・キー・ETag）への重複イベントを抑止し、中断した処理を途中から再開する
+    'job_state_store': (str, 's3', 'MINUTES_JOB_STATE_STORE'),
+    'job_state_bucket': (str, '', 'MINUTES_JOB_STATE_BUCKET'),
+    'job_state_prefix': (str, 'job_state/', 'MINUTES_JOB_STATE_PREFIX'),
+    'job_state_table': (str, '', 'MINUTES_JOB_STATE_TABLE'),
+    'local_job_state_dir': (str, '/tmp/minutes-job-state', 'MINUTES_LOCAL_JOB_STATE_DIR'),
+    # 処理中ジョブの占有期限（秒）。期限切れのジョブは中断したものとみなして再開する
+    'job_lease_seconds': (int, 900, 'MINUTES_JOB_LEASE_SECONDS'),
+    # 手動実行で1回の呼び出しで処理する最大ファイル数（残りは自身を非同期で呼び出して継続）
+    'manual_batch_size': (int, 10, 'MINUTES_MANUAL_BATCH_SIZE'),
+    # 次のファイルの処理を始めるのに必要な Lambda 残り時間（秒）
+    'manual_min_remaining_seconds': (int, 300, 'MINUTES_MANUAL_MIN_REMAINING_SECONDS'),
+    # 次の会議のプロンプトに渡す同じシリーズの未完了アクションアイテムの最大件数（0 で引き継がない）
+    'action_item_carryover_limit': (int, 30, 'MINUTES_ACTION_ITEM_CARRYOVER_LIMIT'),
+    # index.json のページあたりの件数
+    'index_page_size': (int, 100, 'MINUTES_INDEX_PAGE_SIZE'),
+    # HTTP API（API Gateway / Lambda Function URL）
+    # api_base_path: ステージ名などパス先頭の除去対象（例: /prod）
+    'api_base_path': (str, '', 'MINUTES_API_BASE_PATH'),
+    'api_allowed_origin': (str, '*', 'MINUTES_API_ALLOWED_ORIGIN'),
+    'upload_url_expires_seconds': (int, 900, 'MINUTES_UPLOAD_URL_EXPIRES_SECONDS'),
+    # local_whisper バックエンド設定（whisper_engine: faster_whisper / whisper_cpp）
+    'whisper_engine': (str, 'faster_whisper', 'MINUTES_WHISPER_ENGINE'),
+    'whisper_model': (str, 'small', 'MINUTES_WHISPER_MODEL'),
+    'whisper_cpp_binary': (str, 'whisper-cli', 'MINUTES_WHISPER_CPP_BINARY'),
+    'whisper_cpp_model_path': (str, '', 'MINUTES_WHISPER_CPP_MODEL_PATH'),
+    'ffmpeg_binary': (str, 'ffmpeg', 'MINUTES_FFMPEG_BINARY'),
+}
+
+# プロバイダーごとの既定モデル一覧（llm_models で上書き可能）
+DEFAULT_LLM_MODELS: Dict[str, List[str]] = {
+    'bedrock_messages': [
+        "anthropic.claude-sonnet-4-20250514-v1:0",         # 🥇 指定されたメインモデル
+        "anthropic.claude-3-5-sonnet-20241022-v2:0",       # フォールバック1
+        "anthropic.claude-3-5-sonnet-20240620-v1:0",       # フォールバック2
+        "anthropic.claude-3-sonnet-20240229-v1:0",         # フォールバック3
+        "anthropic.claude-3-haiku-20240307-v1:0"           # フォールバック4
+    ],
+    'bedrock_converse': [
+        "anthropic.claude-sonnet-4-20250514-v1:0",
+        "anthropic.claude-3-5-sonnet-20241022-v2:0",
+        "anthropic.claude-3-haiku-20240307-v1:0"
+    ],
+    'local': [
+        "local-fake"
+    ]
+}
+
+# 設定JSONの場所（s3://bucket/key 形式 または ローカルファイルパス）
+CONFIG_SOURCE_ENV = 'MINUTES_CONFIG'
+
+# 本システムが開始する Transcribe ジョブ名の接頭辞（完了イベントの振り分けに使用）
+TRANSCRIBE_JOB_NAME_PREFIX = 'auto-meeting-'
+# 非同期ジョブ記録の保存先バケットを示す Transcribe ジョブタグ
+TRANSCRIBE_RECORD_BUCKET_TAG = 'minutes-record-bucket'
+
+# 参加者名簿サイドカーJSONの接尾辞（meeting record/xxx.m4a → meeting record/xxx.participants.json）
+PARTICIPANTS_SIDECAR_SUFFIX = '.participants.json'
+
+# transcript.json の形式バージョン
+TRANSCRIPT_DOCUMENT_VERSION = 1
+# 議事録項目と発言セグメントを対応付ける最低一致度（文字バイグラムの一致率）
+TRANSCRIPT_LINK_MIN_SCORE = 0.5
+
+# ジョブ状態（queued → transcribing → summarizing → rendering → done、例外・文字起こし失敗時は failed、
+# 議事録生成失敗時は needs_attention（文字起こしは保存済み。resummarize で再生成）
+JOB_STATES = ('queued', 'transcribing', 'summarizing', 'rendering', 'done', 'failed', 'needs_attention')
+# 非同期文字起こし中のジョブの占有期限（Transcribe ジョブの最大実行時間に合わせる）
+ASYNC_TRANSCRIBE_LEASE_SECONDS = 4 * 60 * 60
+
+# 進捗の段階: 段階 -> (段階開始時の進捗率, 段階完了時の進捗率)。progress.json の段階・進捗率は単調増加
+PROGRESS_STAGES: Dict[str, tuple] = {
+    'queued': (0, 5),
+    'transcribing': (5, 60),
+    'summarizing': (60, 90),
+    'rendering': (90, 100),
+    'done': (100, 100),
+}
+# progress.json の形式バージョン・保持するイベント数・条件付き書き込みの最大試行回数
+PROGRESS_VERSION = 1
+PROGRESS_MAX_EVENTS = 50
+PROGRESS_MAX_RETRIES = 5
+
+# 期限の正規化: 曜日・月名・漢数字の対応表と、期限なしとみなす表記（NFKC正規化・小文字化後）
+DEADLINE_WEEKDAYS_JA = {'月': 0, '火': 1, '水': 2, '木': 3, '金': 4, '土': 5, '日': 6}
+DEADLINE_WEEKDAYS_EN = {
+    'monday': 0, 'mon': 0, 'tuesday': 1, 'tue': 1, 'tues': 1, 'wednesday': 2, 'wed': 2,
+    'thursday': 3, 'thu': 3, 'thur': 3, 'thurs': 3, 'friday': 4, 'fri': 4,
+    'saturday': 5, 'sat': 5, 'sunday': 6, 'sun': 6,
+}
+DEADLINE_MONTHS_EN = {
+    'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4, 'may': 5, 'jun': 6,
+    'jul': 7, 'aug': 8, 'sep': 9, 'oct': 10, 'nov': 11, 'dec': 12,
+}
+DEADLINE_KANJI_NUMBERS = {'一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9, '十': 10}
+DEADLINE_UNSET = ('', '要設定', '未設定', '未定', '要確認', 'なし', '-', 'tbd', 'tba', 'n/a', 'none')
+
+# events.ics（iCalendar）の製品ID・UID のドメイン部・1行の最大オクテット数・期限の出力形式
+CALENDAR_PRODID = '-//meeting-minutes//events.ics//JA'
+CALENDAR_UID_DOMAIN = 'meeting-minutes'
+CALENDAR_LINE_OCTETS = 75
+CALENDAR_DEADLINE_COMPONENTS = ('vevent', 'vtodo', 'both')
+# アクションアイテムの優先度 -> iCalendar の PRIORITY（1: 最高 / 9: 最低）
+CALENDAR_PRIORITIES = {'高': 1, '中': 5, '低': 9}
+# 次回会議の時刻: 14時 / 14時半 / 午後2時15分 / 14:00 / 2pm（NFKC正規化・小文字化後）
+CALENDAR_TIME_PATTERN = (r'(午前|午後)?\s*(?<![\d:])(\d{1,2})\s*'
+                         r'(?:時(?!間)\s*(?:(半)|(\d{1,2})\s*分(?!間))?|:(\d{2})|(?=\s*(?:am|pm)\b))\s*(am|pm)?')
+# 前回と同じ開始時刻を表す表現
+CALENDAR_SAME_TIME_PATTERN = r'同じ時間|同時刻|同じ時刻|いつもの時間|same time|usual time'
+
+# アクションアイテムの状態・ストア（action_items/<シリーズID>.json）の形式バージョン・条件付き書き込みの最大試行回数
+ACTION_ITEM_STATUSES = ('open', 'done')
+ACTION_ITEMS_VERSION = 1
+ACTION_ITEMS_MAX_RETRIES = 5
+
+# LLM 再試行の待機後に残しておく Lambda の実行時間（秒）。残り時間が足りない場合は待機を短縮・省略する
+LLM_BACKOFF_RESERVE_SECONDS = 60
+
+# index.json の条件付き書き込みの最大試行回数
+INDEX_MAX_RETRIES = 5
+# manifest.json の条件付き書き込みの最大試行回数
+MANIFEST_MAX_RETRIES = 5
+# manifest.json での確保（メール送信の delivery.status = sending・再生成の resummarizing）の有効秒数。
+# Lambda の最大実行時間を過ぎた確保は中断されたとみなす
+MANIFEST_CLAIM_SECONDS = 900
+# index.json の形式バージョン（2: ページ分割 + 実行ごとのエントリーオブジェクト）
+INDEX_VERSION = 2
+
+# LLM API エラー分類: 分類 -> エラーコード・例外名（ClientError のコード、または例外クラス名と一致）
+LLM_ERROR_CLASSES: Dict[str, tuple] = {
+    'auth': ('UnrecognizedClientException', 'ExpiredTokenException', 'ExpiredToken', 'InvalidSignatureException',
+             'MissingAuthenticationTokenException', 'IncompleteSignatureException', 'NoCredentialsError'),
+    'access': ('AccessDeniedException', 'AccessDenied', 'ResourceNotFoundException'),
+    'throttling': ('ThrottlingException', 'TooManyRequestsException', 'ServiceQuotaExceededException',
+                   'Throttling', 'RequestLimitExceeded'),
+    'validation': ('ValidationException', 'ValidationError', 'ParamValidationError'),
+    'timeout': ('ModelTimeoutException', 'ReadTimeoutError', 'ConnectTimeoutError', 'TimeoutError', 'timeout'),
+    'service': ('InternalServerException', 'ServiceUnavailableException', 'ModelErrorException',
+                'ModelNotReadyException', 'EndpointConnectionError'),
+}
+# 分類ごとの既定方針: backoff（同じモデルを指数バックオフで再試行）/ skip（次のモデルへ）/ abort（中止）
+#   auth（認証情報の問題）は他のモデルでも失敗するため中止する
+#   validation は推論プロファイル必須・tool use 非対応などモデル固有の原因が多いため次のモデルへ
+#   （tool use で失敗した場合は先に同じモデルを本文JSON（text）で再試行）
+LLM_ERROR_POLICIES: Dict[str, str] = {
+    'auth': 'abort',
+    'access': 'skip',
+    'throttling': 'backoff',
+    'validation': 'skip',
+    'timeout': 'backoff',
+    'service': 'backoff',
+}
+
+# 概算コストの料金表（オンデマンド料金の目安。pricing で上書き可能）
+#   llm: モデルID（部分一致・最長一致）-> 1,000トークンあたりの入力・出力料金
+#   transcription: 文字起こしバックエンド -> 音声1分あたりの料金
+DEFAULT_PRICING: Dict[str, Any] = {
+    'currency': 'USD',
+    'llm': {
+        'claude-opus-4': {'input_per_1k_tokens': 0.015, 'output_per_1k_tokens': 0.075},
+        'claude-sonnet-4': {'input_per_1k_tokens': 0.003, 'output_per_1k_tokens': 0.015},
+        'claude-3-7-sonnet': {'input_per_1k_tokens': 0.003, 'output_per_1k_tokens': 0.015},
+        'claude-3-5-sonnet': {'input_per_1k_tokens': 0.003, 'output_per_1k_tokens': 0.015},
+        'claude-3-sonnet': {'input_per_1k_tokens': 0.003, 'output_per_1k_tokens': 0.015},
+        'claude-3-5-haiku': {'input_per_1k_tokens': 0.0008, 'output_per_1k_tokens': 0.004},
+        'claude-3-haiku': {'input_per_1k_tokens': 0.00025, 'output_per_1k_tokens': 0.00125},
+        'local-fake': {'input_per_1k_tokens': 0.0, 'output_per_1k_tokens': 0.0},
+    },
+    'transcription': {
+        'transcribe': {'per_minute': 0.024},
+        'local_whisper': {'per_minute': 0.0},
+        'supplied': {'per_minute': 0.0},
+    },
+}
+
+# 議事録JSONのスキーマ: 項目名 -> {type, required | default}
+#   type: string / string_list / object_list（fields で各項目を定義）/ enum（values のいずれか）
+#   description は tool use のツール定義（入力スキーマ）に使用
+SUMMARY_SCHEMA: Dict[str, Dict[str, Any]] = {
+    'meeting_summary': {'type': 'string', 'required': True, 'description': '会議の要約（2-3文）'},
+    'key_decisions': {'type': 'string_list', 'default': [], 'description': '決定事項'},
+    'action_items': {'type': 'object_list', 'default': [], 'description': 'アクションアイテム', 'fields': {
+        'task': {'type': 'string', 'required': True, 'description': '具体的なタスク内容'},
+        'assignee': {'type': 'string', 'default': '要確認', 'description': '担当者名（不明な場合は「要確認」）'},
+        'deadline': {'type': 'string', 'default': '要設定', 'description': '期限（不明な場合は「要設定」）'},
+        'priority': {'type': 'enum', 'values': ('高', '中', '低'), 'default': '中', 'description': '優先度'},
+        'carryover_id': {'type': 'string', 'default': '',
+                         'description': '前回までの未完了アクションアイテムの継続である場合はそのID（新規タスクは空文字）'},
+    }},
+    'next_meeting': {'type': 'string', 'default': '未定', 'description': '次回会議の予定（不明な場合は「未定」）'},
+    'concerns': {'type': 'string_list', 'default': [], 'description': '懸念事項'},
+}
+# 議事録を受け取るツール名（tool use 時）
+SUMMARY_TOOL_NAME = 'record_meeting_minutes'
+# 優先度の表記ゆれ（NFKC正規化・小文字化後の値）-> 正規の値
+PRIORITY_ALIASES = {
+    '高': '高', '高い': '高', '高め': '高', '最優先': '高', 'high': '高', 'h': '高',
+    '中': '中', '普通': '中', '中程度': '中', 'medium': '中', 'mid': '中', 'middle': '中', 'normal': '中', 'm': '中',
+    '低': '低', '低い': '低', '低め': '低', 'low': '低', 'l': '低',
+}
+
+# HTTP API ルート: (メソッド, パス正規表現, 処理メソッド名)
+API_ROUTES = [
+    ('GET', r'^/meetings$', '_api_list_meetings'),
+    ('GET', r'^/meetings/(?P<meeting_id>[^/]+)$', '_api_get_meeting'),
+    ('GET', r'^/meetings/(?P<meeting_id>[^/]+)/transcript$', '_api_get_transcript'),
+    ('GET', r'^/meetings/(?P<meeting_id>[^/]+)/progress$', '_api_get_progress'),
+    ('GET', r'^/progress$', '_api_get_progress'),
+    ('POST', r'^/meetings/(?P<meeting_id>[^/]+)/reprocess$', '_api_reprocess_meeting'),
+    ('POST', r'^/meetings/(?P<meeting_id>[^/]+)/resummarize$', '_api_resummarize_meeting'),
+    ('DELETE', r'^/meetings/(?P<meeting_id>[^/]+)$', '_api_delete_meeting'),
+    ('POST', r'^/uploads$', '_api_create_upload'),
+    ('GET', r'^/reports/usage$', '_api_get_usage_report'),
+    ('GET', r'^/action-items$', '_api_list_action_items'),
+    ('POST', r'^/action-items/(?P<item_id>[^/]+)/done$', '_api_complete_action_item'),
+]
+
+# メールテンプレート: テンプレート名 -> 言語 -> {subject, body, recipient（宛名の既定値）, bullet（箇条書き記号）}
+# 使用できるプレースホルダー（string.Template 形式）:
+#   $recipient_name $meeting_title $meeting_date $short_date $participants
+#   $summary $decisions $action_items $next_meeting $concerns
+EMAIL_TEMPLATES: Dict[str, Dict[str, Dict[str, str]]] = {
+    'client_followup': {
+        'ja': {
+            'subject': '本日のお打ち合わせのお礼と内容のご共有',
+            'recipient': 'ご担当者',
+            'bullet': '\t• ',
+            'body': """${recipient_name}様
+
+本日はお忙しい中、ミーティングにご参加いただき誠にありがとうございました。
+本日の内容を以下の通りご共有いたします。
+
+⸻
+
+議事録（Summary）
+${summary}
+${decisions}
+
+次のアクション（Next Action）
+${action_items}
+
+次回のお打ち合わせ：${next_meeting}
+
+⸻
+
+内容に誤りや追加事項がございましたら、ご指摘いただけますと幸いです。
+引き続きどうぞよろしくお願い申し上げます。
+"""
+        },
+        'en': {
+            'subject': 'Thank you for today\'s meeting - summary of our discussion',
+            'recipient': 'all',
+            'bullet': '\t• ',
+            'body': """Dear ${recipient_name},
+
+Thank you for taking the time to meet with us today.
+Please find a summary of our discussion below.
+
+⸻
+
+Summary
+${summary}
+${decisions}
+
+Next Actions
+${action_items}
+
+Next meeting: ${next_meeting}
+
+⸻
+
+If anything is missing or incorrect, please let us know.
+We look forward to continuing to work with you.
+"""
+        }
+    },
+    'internal_recap': {
+        'ja': {
+            'subject': '【議事録】${meeting_title}（${short_date}）',
+            'recipient': 'チームの皆',
+            'bullet': '・',
+            'body': """${recipient_name}さん
+
+お疲れさまです。${meeting_date} の「${meeting_title}」の議事録を共有します。
+
+■ 参加者
+${participants}
+
+■ 概要
+${summary}
+
+■ 決定事項
+${decisions}
+
+■ アクション項目
+${action_items}
+
+■ 懸念事項
+${concerns}
+
+■ 次回
+${next_meeting}
+"""
+        },
+        'en': {
+            'subject': '[Minutes] ${meeting_title} (${short_date})',
+            'recipient': 'team',
+            'bullet': '- ',
+            'body': """Hi ${recipient_name},
+
+Here are the minutes from "${meeting_title}" on ${meeting_date}.
+
+Participants
+${participants}
+
+Summary
+${summary}
+
+Decisions
+${decisions}
+
+Action items
+${action_items}
+
+Concerns
+${concerns}
+
+Next meeting
+${next_meeting}
+"""
+        }
+    },
+    'executive_brief': {
+        'ja': {
+            'subject': '【要約】${meeting_title}（${short_date}）',
+            'recipient': 'ご担当者',
+            'bullet': '・',
+            'body': """${recipient_name}様
+
+${meeting_title}（${meeting_date}）の要点をご報告いたします。
+
+【要旨】
+${summary}
+
+【決定事項】
+${decisions}
+
+【主なアクション】
+${action_items}
+
+【リスク・懸念】
+${concerns}
+
+【次回】${next_meeting}
+"""
+        },
+        'en': {
+            'subject': 'Executive brief: ${meeting_title} (${short_date})',
+            'recipient': 'all',
+            'bullet': '- ',
+            'body': """Dear ${recipient_name},
+
+Key points from ${meeting_title} (${meeting_date}):
+
+Bottom line
+${summary}
+
+Decisions
+${decisions}
+
+Key actions
+${action_items}
+
+Risks and concerns
+${concerns}
+
+Next meeting: ${next_meeting}
+"""
+        }
+    }
+}
+
+# events.ics の言語別の定型文言（言語はメールと同じ email_language）
+CALENDAR_LABELS: Dict[str, Dict[str, str]] = {
+    'ja': {
+        'next_meeting': '次回: {title}',
+        'next_meeting_description': '次回会議: {next_meeting}\n前回: {date}\n参加者: {participants}',
+        'action_item': '【期限】{task}（{assignee}）',
+        'action_item_description': '担当: {assignee}\n期限: {deadline}\n優先度: {priority}\n会議: {title}（{date}）',
+        'ambiguous_note': '※ 日付は「{original}」から推定しています。要確認',
+        'item_id': 'アクションアイテムID: {id}'
+    },
+    'en': {
+        'next_meeting': 'Next: {title}',
+        'next_meeting_description': 'Next meeting: {next_meeting}\nPrevious: {date}\nParticipants: {participants}',
+        'action_item': '[Due] {task} ({assignee})',
+        'action_item_description': 'Owner: {assignee}\nDue: {deadline}\nPriority: {priority}\nMeeting: {title} ({date})',
+        'ambiguous_note': '* The date was inferred from "{original}". Please confirm.',
+        'item_id': 'Action item ID: {id}'
+    }
+}
+
+# メール本文の言語別の定型文言
+EMAIL_LABELS: Dict[str, Dict[str, str]] = {
+    'ja': {
+        'subject': '件名：',
+        'no_decisions': '特に決定事項はありませんでした',
+        'no_action_items': '特にアクション項目はありませんでした',
+        'no_concerns': '特になし',
+        'next_meeting_undecided': '未定',
+        'action_item': '{assignee}： {task}{deadline}',
+        'deadline': '（期限：{deadline}）',
+        'deadline_resolved': '（期限：{deadline} = {month}/{day}（{weekday}）{note}）',
+        'deadline_ambiguous_note': '・要確認',
+        'weekdays': '月,火,水,木,金,土,日',
+        'demo_note': '※ 議事録は音声ファイルから自動生成されました。\n※ 現在デモデータを使用中です。AWS Bedrockで {model} のアクセス権限申請が必要です。'
+    },
+    'en': {
+        'subject': 'Subject: ',
+        'no_decisions': 'No decisions were made.',
+        'no_action_items': 'No action items.',
+        'no_concerns': 'None',
+        'next_meeting_undecided': 'TBD',
+        'action_item': '{assignee}: {task}{deadline}',
+        'deadline': ' (due: {deadline})',
+        'deadline_resolved': ' (due: {deadline} = {weekday} {month}/{day}{note})',
+        'deadline_ambiguous_note': ', to be confirmed',
+        'weekdays': 'Mon,Tue,Wed,Thu,Fri,Sat,Sun',
+        'demo_note': '* These minutes were generated automatically from the recording.\n* Demo data is currently in use. Access to {model} must be requested in AWS Bedrock.'
+    }
+}
+
+
+def _coerce_config_value(value_type: type, value: Any) -> Any:
+    """設定値を定義された型に変換"""
+    if value_type is list:
+        if isinstance(value, str):
+            return [v.strip() for v in value.split(',') if v.strip()]
+        return list(value)
+    if value_type is bool:
+        if isinstance(value, str):
+            return value.strip().lower() in ('1', 'true', 'yes', 'on')
+        return bool(value)
+    if value_type is dict:
+        if isinstance(value, str):
+            return json.loads(value)
+        return dict(value)
+    return value_type(value)
+
+
+def _read_config_source(s3_client: Any, location: str) -> Dict[str, Any]:
+    """設定JSONを S3 またはローカルファイルから読み込み"""
+    if location.startswith('s3://'):
+        bucket, _, key = location[len('s3://'):].partition('/')
+        response = s3_client.get_object(Bucket=bucket, Key=key)
+        return json.loads(response['Body'].read().decode('utf-8'))
+
+    with open(location, encoding='utf-8') as f:
+        return json.load(f)
+
+
+def load_config(s3_client: Any, overrides: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """設定読み込み（デフォルト値 < 設定JSON < 環境変数 < overrides）"""
+    config = {key: default for key, (_, default, _) in CONFIG_SCHEMA.items()}
+
+    sources: List[Dict[str, Any]] = []
+
+    location = os.environ.get(CONFIG_SOURCE_ENV, '').strip()
+    if location:
+        try:
+            sources.append(_read_config_source(s3_client, location))
+            logger.info(f"⚙️ 設定JSON読み込み: {location}")
+        except Exception as e:
+            logger.warning(f"⚠️ 設定JSON読み込み失敗 ({location}): {str(e)} - デフォルト値を使用")
+
+    sources.append({
+        key: os.environ[env_name]
+        for key, (_, _, env_name) in CONFIG_SCHEMA.items()
+        if env_name in os.environ
+    })
+
+    if overrides:
+        sources.append(overrides)
+
+    for source in sources:
+        for key, value in source.items():
+            if key not in CONFIG_SCHEMA:
+                logger.warning(f"⚠️ 未知の設定キーを無視: {key}")
+                continue
+            try:
+                config[key] = _coerce_config_value(CONFIG_SCHEMA[key][0], value)
+            except (TypeError, ValueError) as e:
+                logger.warning(f"⚠️ 設定値の型が不正 ({key}={value!r}): {str(e)} - 既存値を使用")
+
+    return config
+
+
+class LLMProvider:
+    """LLMプロバイダー基底クラス
+
+    invoke() は {'text': 応答テキスト, 'usage': {'input_tokens': int, 'output_tokens': int}} を返す。
+    失敗時は例外を送出し、呼び出し側でフォールバックモデルへ移る。
+    """
+
+    name = 'base'
+    # invoke_tool()（ツール定義で構造化データを受け取る呼び出し）に対応しているか
+    supports_tools = False
+
+    def invoke(self, model_id: str, prompt: str, max_tokens: int, temperature: float) -> Dict[str, Any]:
+        raise NotImplementedError
+
+    def invoke_tool(self, model_id: str, prompt: str, tool: Dict[str, Any], max_tokens: int, temperature: float) -> Dict[str, Any]:
+        """指定ツールの呼び出しを強制し、invoke() の戻り値に 'tool_input'（ツール入力、なければ None）を加えて返す"""
+        raise NotImplementedError
+
+
+class BedrockMessagesProvider(LLMProvider):
+    """Bedrock InvokeModel（Anthropic Messages 形式）"""
+
+    name = 'bedrock_messages'
+    supports_tools = True
+
+    def __init__(self, bedrock_client: Any):
+        self.bedrock_client = bedrock_client
+
+    def invoke(self, model_id: str, prompt: str, max_tokens: int, temperature: float) -> Dict[str, Any]:
+        response_body = self._invoke_model(model_id, {
+            "anthropic_version": "bedrock-2023-05-31",
+            "max_tokens": max_tokens,
+            "temperature": temperature,
+            "messages": [{"role": "user", "content": prompt}]
+        })
+        return {
+            'text': response_body['content'][0]['text'],
+            'usage': self._usage(response_body)
+        }
+
+    def invoke_tool(self, model_id: str, prompt: str, tool: Dict[str, Any], max_tokens: int, temperature: float) -> Dict[str, Any]:
+        response_body = self._invoke_model(model_id, {
+            "anthropic_version": "bedrock-2023-05-31",
+            "max_tokens": max_tokens,
+            "temperature": temperature,
+            "tools": [tool],
+            "tool_choice": {"type": "tool", "name": tool['name']},
+            "messages": [{"role": "user", "content": prompt}]
+        })
+        content_blocks = response_body.get('content', [])
+        tool_input = next((block.get('input') for block in content_blocks
+                           if block.get('type') == 'tool_use' and block.get('name') == tool['name']), None)
+        return {
+            'text': ''.join(block.get('text', '') for block in content_blocks if block.get('type') == 'text'),
+            'tool_input': tool_input,
+            'usage': self._usage(response_body)
+        }
+
+    def _invoke_model(self, model_id: str, request: Dict[str, Any]) -> Dict[str, Any]:
+        response = self.bedrock_client.invoke_model(
+            modelId=model_id,
+            body=json.dumps(request),
+            contentType="application/json"
+        )
+        return json.loads(response['body'].read())
+
+    def _usage(self, response_body: Dict[str, Any]) -> Dict[str, int]:
+        usage = response_body.get('usage', {})
+        return {
+            'input_tokens': usage.get('input_tokens', 0),
+            'output_tokens': usage.get('output_tokens', 0)
+        }
+
+
+class BedrockConverseProvider(LLMProvider):
+    """Bedrock Converse API"""
+
+    name = 'bedrock_converse'
+    supports_tools = True
+
+    def __init__(self, bedrock_client: Any):
+        self.bedrock_client = bedrock_client
+
+    def invoke(self, model_id: str, prompt: str, max_tokens: int, temperature: float) -> Dict[str, Any]:
+        response = self.bedrock_client.converse(
+            modelId=model_id,
+            messages=[{"role": "user", "content": [{"text": prompt}]}],
+            inferenceConfig={"maxTokens": max_tokens, "temperature": temperature}
+        )
+
+        content_blocks = response['output']['message']['content']
+        return {
+            'text': ''.join(block.get('text', '') for block in content_blocks),
+            'usage': self._usage(response)
+        }
+
+    def invoke_tool(self, model_id: str, prompt: str, tool: Dict[str, Any], max_tokens: int, temperature: float) -> Dict[str, Any]:
+        response = self.bedrock_client.converse(
+            modelId=model_id,
+            messages=[{"role": "user", "content": [{"text": prompt}]}],
+            inferenceConfig={"maxTokens": max_tokens, "temperature": temperature},
+            toolConfig={
+                "tools": [{"toolSpec": {
+                    "name": tool['name'],
+                    "description": tool['description'],
+                    "inputSchema": {"json": tool['input_schema']}
+                }}],
+                "toolChoice": {"tool": {"name": tool['name']}}
+            }
+        )
+
+        content_blocks = response['output']['message']['content']
+        tool_input = next((block['toolUse'].get('input') for block in content_blocks
+                           if block.get('toolUse', {}).get('name') == tool['name']), None)
+        return {
+            'text': ''.join(block.get('text', '') for block in content_blocks),
+            'tool_input': tool_input,
+            'usage': self._usage(response)
+        }
+
+    def _usage(self, response: Dict[str, Any]) -> Dict[str, int]:
+        usage = response.get('usage', {})
+        return {
+            'input_tokens': usage.get('inputTokens', 0),
+            'output_tokens': usage.get('outputTokens', 0)
+        }
+
+
+class LocalFakeProvider(LLMProvider):
+    """ローカル応答ファイルを返す決定的なプロバイダー（CI・オフライン検証用）
+
+    応答ディレクトリから以下の順で探索する（モデルIDの ':' と '/' は '_' に置換）:
+    - <モデルID>.error が存在する場合、その内容をメッセージとして例外を送出
+    - <モデルID>.txt / <モデルID>.json
+    - default.txt / default.json
+    """
+
+    name = 'local'
+
+    def __init__(self, response_dir: str):
+        self.response_dir = response_dir
+
+    def invoke(self, model_id: str, prompt: str, max_tokens: int, temperature: float) -> Dict[str, Any]:
+        if not self.response_dir:
+            raise RuntimeError("local_llm_response_dir が設定されていません")
+
+        file_stem = re.sub(r'[:/]', '_', model_id)
+        error_path = os.path.join(self.response_dir, f"{file_stem}.error")
+        if os.path.exists(error_path):
+            with open(error_path, encoding='utf-8') as f:
+                raise RuntimeError(f.read().strip())
+
+        for stem in (file_stem, 'default'):
+            for extension in ('.txt', '.json'):
+                path = os.path.join(self.response_dir, f"{stem}{extension}")
+                if os.path.exists(path):
+                    with open(path, encoding='utf-8') as f:
+                        text = f.read()
+                    return {
+                        'text': text,
+                        'usage': {'input_tokens': len(prompt), 'output_tokens': len(text)}
+                    }
+
+        raise FileNotFoundError(f"ローカル応答ファイルが見つかりません: {self.response_dir}/{file_stem}.txt")
+
+
+def create_llm_provider(provider_name: str, config: Dict[str, Any], bedrock_client: Any) -> LLMProvider:
+    """設定に応じたLLMプロバイダー生成"""
+    if provider_name == 'bedrock_messages':
+        return BedrockMessagesProvider(bedrock_client)
+    if provider_name == 'bedrock_converse':
+        return BedrockConverseProvider(bedrock_client)
+    if provider_name == 'local':
+        return LocalFakeProvider(config['local_llm_response_dir'])
+    raise ValueError(f"未対応のLLMプロバイダー: {provider_name}")
+
+
+def is_s3_not_found(error: Exception) -> bool:
+    """S3 のオブジェクトが存在しないことを示す例外か（head_object の 404 / get_object の NoSuchKey）"""
+    response = getattr(error, 'response', None)
+    return isinstance(response, dict) and response.get('Error', {}).get('Code') in ('404', 'NoSuchKey', 'NotFound')
+
+
+def llm_error_code(error: Exception) -> str:
+    """例外のエラーコード（botocore の ClientError はレスポンスのコード、それ以外は例外クラス名）"""
+    response = getattr(error, 'response', None)
+    if isinstance(response, dict) and response.get('Error', {}).get('Code'):
+        return response['Error']['Code']
+    return type(error).__name__
+
+
+def classify_llm_error(error: Exception) -> str:
+    """LLM API の例外を auth / access / throttling / validation / timeout / service に分類
+
+    コード・例外名で判定できない場合はメッセージから推定し、それでも不明なものは service とする。
+    """
+    code = llm_error_code(error)
+    for error_class, codes in LLM_ERROR_CLASSES.items():
+        if code in codes:
+            return error_class
+
+    message = f"{code} {error}".lower()
+    if 'security token' in message or 'credentials' in message:
+        return 'auth'
+    if 'accessdenied' in message or 'access denied' in message or 'not authorized' in message:
+        return 'access'
+    if 'throttl' in message or 'rate exceeded' in message or 'too many requests' in message:
+        return 'throttling'
+    if 'validation' in message:
+        return 'validation'
+    if 'timed out' in message or 'timeout' in message:
+        return 'timeout'
+    return 'service'
+
+
+def build_transcript_result(segments: List[Dict[str, Any]],
+                            speaker_names: Optional[Dict[str, str]] = None) -> Dict[str, Any]:
+    """セグメント一覧を Amazon Transcribe 出力と同じ構造に変換
+
+    segments の各要素: {'speaker': 'spk_0', 'start': 秒, 'end': 秒, 'text': str, 'confidence': float | None}
+    """
+    items = []
+    speaker_segments = []
+    speakers = []
+
+    for segment in segments:
+        text = segment['text'].strip()
+        if not text:
+            continue
+
+        speaker = segment.get('speaker') or 'spk_0'
+        if speaker not in speakers:
+            speakers.append(speaker)
+
+        start_time = f"{segment['start']:.3f}"
+        end_time = f"{segment['end']:.3f}"
+        alternative = {'content': text}
+        if segment.get('confidence') is not None:
+            alternative['confidence'] = f"{segment['confidence']:.4f}"
+
+        items.append({
+            'type': 'pronunciation',
+            'start_time': start_time,
+            'end_time': end_time,
+            'alternatives': [alternative]
+        })
+        speaker_segments.append({
+            'speaker_label': speaker,
+            'start_time': start_time,
+            'end_time': end_time,
+            'items': [{'speaker_label': speaker, 'start_time': start_time, 'end_time': end_time}]
+        })
+
+    speaker_labels: Dict[str, Any] = {'speakers': len(speakers), 'segments': speaker_segments}
+    if speaker_names:
+        # Transcribe 出力にはない拡張項目（字幕ファイル等で話者名が分かる場合のみ）
+        speaker_labels['speaker_names'] = speaker_names
+
+    return {
+        'results': {
+            'transcripts': [{'transcript': ' '.join(item['alternatives'][0]['content'] for item in items)}],
+            'items': items,
+            'speaker_labels': speaker_labels
+        }
+    }
+
+
+def validate_summary(data: Any, schema: Optional[Dict[str, Dict[str, Any]]] = None) -> Dict[str, Any]:
+    """議事録JSONをスキーマで検証し、修正可能な表記ゆれは正規化
+
+    戻り値: {'summary': 正規化済み議事録（エラー時は None）, 'errors': [検証エラー], 'normalized': [正規化した内容]}
+    """
+    schema = schema or SUMMARY_SCHEMA
+    errors: List[str] = []
+    normalized: List[str] = []
+
+    def check_string(value: Any, path: str) -> Optional[str]:
+        if isinstance(value, bool) or isinstance(value, (dict, list)):
+            errors.append(f"{path}: 文字列である必要があります（{type(value).__name__}）")
+            return None
+        if not isinstance(value, str):
+            normalized.append(f"{path}: {type(value).__name__} を文字列に変換")
+            value = str(value)
+        return value.strip()
+
+    def check_field(value: Any, rule: Dict[str, Any], path: str) -> Any:
+        if value is None or (isinstance(value, str) and not value.strip()):
+            if rule.get('required'):
+                errors.append(f"{path}: 必須項目です")
+                return None
+            normalized.append(f"{path}: {'項目がない' if value is None else '空の'}ため既定値 {rule['default']!r} を設定")
+            return list(rule['default']) if isinstance(rule['default'], list) else rule['default']
+
+        if rule['type'] == 'string':
+            return check_string(value, path)
+
+        if rule['type'] == 'enum':
+            text = check_string(value, path)
+            if text is None:
+                return None
+            canonical = PRIORITY_ALIASES.get(unicodedata.normalize('NFKC', text).lower(), text)
+            if canonical not in rule['values']:
+                errors.append(f"{path}: 「{text}」は使用できません（{'/'.join(rule['values'])} のいずれか）")
+                return None
+            if canonical != text:
+                normalized.append(f"{path}: 「{text}」を「{canonical}」に正規化")
+            return canonical
+
+        if isinstance(value, (str, dict)):
+            normalized.append(f"{path}: 単一の値をリストに変換")
+            value = [value]
+        if not isinstance(value, list):
+            errors.append(f"{path}: リストである必要があります（{type(value).__name__}）")
+            return None
+
+        items = []
+        for index, item in enumerate(value):
+            item_path = f"{path}[{index}]"
+            if rule['type'] == 'string_list':
+                text = check_string(item, item_path)
+                if text:
+                    items.append(text)
+                elif text is not None:
+                    normalized.append(f"{item_path}: 空の項目を削除")
+                continue
+
+            if isinstance(item, str) and item.strip():
+                normalized.append(f"{item_path}: 文字列をタスクとして扱う")
+                item = {'task': item}
+            if not isinstance(item, dict):
+                errors.append(f"{item_path}: オブジェクトである必要があります（{type(item).__name__}）")
+                continue
+            for key in item:
+                if key not in rule['fields']:
+                    normalized.append(f"{item_path}.{key}: スキーマにない項目を削除")
+            items.append({
+                key: check_field(item.get(key), field_rule, f"{item_path}.{key}")
+                for key, field_rule in rule['fields'].items()
+            })
+        return items
+
+    if not isinstance(data, dict):
+        return {'summary': None, 'errors': [f"ルート: JSONオブジェクトである必要があります（{type(data).__name__}）"], 'normalized': []}
+
+    summary = {key: check_field(data.get(key), rule, key) for key, rule in schema.items()}
+    for key in data:
+        if key not in schema:
+            normalized.append(f"{key}: スキーマにない項目を削除")
+
+    return {'summary': None if errors else summary, 'errors': errors, 'normalized': normalized}
+
+
+def summary_tool_definition(schema: Optional[Dict[str, Dict[str, Any]]] = None) -> Dict[str, Any]:
+    """議事録スキーマから tool use 用のツール定義（Anthropic Messages 形式）を作成"""
+    def json_schema(rule: Dict[str, Any]) -> Dict[str, Any]:
+        if rule['type'] == 'string':
+            definition: Dict[str, Any] = {'type': 'string'}
+        elif rule['type'] == 'enum':
+            definition = {'type': 'string', 'enum': list(rule['values'])}
+        elif rule['type'] == 'string_list':
+            definition = {'type': 'array', 'items': {'type': 'string'}}
+        else:
+            definition = {'type': 'array', 'items': object_schema(rule['fields'])}
+        definition['description'] = rule['description']
+        return definition
+
+    def object_schema(fields: Dict[str, Dict[str, Any]]) -> Dict[str, Any]:
+        return {
+            'type': 'object',
+            'properties': {key: json_schema(rule) for key, rule in fields.items()},
+            'required': list(fields)
+        }
+
+    return {
+        'name': SUMMARY_TOOL_NAME,
+        'description': '会議の文字起こしから作成した構造化議事録を記録する',
+        'input_schema': object_schema(schema or SUMMARY_SCHEMA)
+    }
+
+
+def resolve_pricing(overrides: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """DEFAULT_PRICING に設定（pricing）を重ねた料金表"""
+    overrides = overrides or {}
+    return {
+        'currency': overrides.get('currency', DEFAULT_PRICING['currency']),
+        'llm': {**DEFAULT_PRICING['llm'], **overrides.get('llm', {})},
+        'transcription': {**DEFAULT_PRICING['transcription'], **overrides.get('transcription', {})},
+    }
+
+
+def estimate_usage_cost(llm_calls: List[Dict[str, Any]], transcription: Optional[Dict[str, Any]],
+                        pricing: Dict[str, Any]) -> Dict[str, Any]:
+    """LLM 呼び出し・文字起こしの記録から使用量と概算コストを集計
+
+    llm_calls は {'model', 'input_tokens', 'output_tokens', 'latency_ms'} のリスト。
+    transcription は {'backend', 'audio_minutes', 'billable'}（billable=False は既存の文字起こしの再利用）。
+    料金表にないモデル・バックエンドは unpriced に列挙し、コストは 0 として扱う。
+    """
+    unpriced: List[str] = []
+    by_model: Dict[str, Dict[str, Any]] = {}
+    for call in llm_calls:
+        model_id = call['model']
+        totals = by_model.setdefault(model_id, {'calls': 0, 'input_tokens': 0, 'output_tokens': 0, 'cost': 0.0})
+        totals['calls'] += 1
+        totals['input_tokens'] += call.get('input_tokens') or 0
+        totals['output_tokens'] += call.get('output_tokens') or 0
+
+    for model_id, totals in by_model.items():
+        matches = [key for key in pricing['llm'] if key in model_id]
+        if not matches:
+            unpriced.append(model_id)
+            continue
+        price = pricing['llm'][max(matches, key=len)]
+        totals['cost'] = round(totals['input_tokens'] / 1000 * price.get('input_per_1k_tokens', 0)
+                               + totals['output_tokens'] / 1000 * price.get('output_per_1k_tokens', 0), 6)
+
+    transcription_cost = 0.0
+    audio_minutes = (transcription or {}).get('audio_minutes') or 0
+    if transcription and transcription.get('billable', True) and audio_minutes:
+        price = pricing['transcription'].get(transcription['backend'])
+        if price is None:
+            unpriced.append(transcription['backend'])
+        else:
+            transcription_cost = round(audio_minutes * price.get('per_minute', 0), 6)
+
+    llm_cost = round(sum(totals['cost'] for totals in by_model.values()), 6)
+    return {
+        'currency': pricing['currency'],
+        'llm': {
+            'calls': len(llm_calls),
+            'input_tokens': sum(totals['input_tokens'] for totals in by_model.values()),
+            'output_tokens': sum(totals['output_tokens'] for totals in by_model.values()),
+            'latency_ms': sum(call.get('latency_ms') or 0 for call in llm_calls),
+            'cost': llm_cost,
+            'by_model': by_model
+        },
+        'transcription': {
+            'backend': (transcription or {}).get('backend'),
+            'audio_minutes': audio_minutes,
+            'billable': bool(transcription and transcription.get('billable', True)),
+            'latency_ms': (transcription or {}).get('latency_ms'),
+            'cost': transcription_cost
+        },
+        'estimated_cost': round(llm_cost + transcription_cost, 6),
+        'unpriced': unpriced
+    }
+
+
+def _kanji_number(text: str) -> str:
+    """漢数字（一〜九十九）を算用数字に変換（十二 → 12、二十五 → 25。変換できない並びはそのまま返す）"""
+    if '十' not in text:
+        return str(DEADLINE_KANJI_NUMBERS[text]) if len(text) == 1 else text
+    tens, _, ones = text.partition('十')
+    if len(tens) > 1 or len(ones) > 1 or '十' in ones:
+        return text
+    return str(DEADLINE_KANJI_NUMBERS.get(tens, 1) * 10 + DEADLINE_KANJI_NUMBERS.get(ones, 0))
+
+
+def _month_end(year: int, month: int) -> date:
+    """月末日（month は 13 以上でも翌年として扱う）"""
+    year, month = year + (month - 1) // 12, (month - 1) % 12 + 1
+    return (date(year + month // 12, month % 12 + 1, 1) - timedelta(days=1))
+
+
+def normalize_deadline(text: Any, base: date) -> Dict[str, Any]:
+    """期限の表記（日本語・英語の相対表現を含む）を会議日 base 基準の日付に解決
+
+    戻り値: {'original': 元の表記, 'date': 'YYYY-MM-DD' または None,
+             'kind': absolute（日付の明示）/ relative（相対表現）/ unset（期限なし）/ unresolved（解決できない）,
+             'ambiguous': 解釈に幅があり確認が必要か}
+    週は月曜始まり。「今週中」「来週中」は金曜、「週末」「next Monday」など解釈が分かれる表現は ambiguous とする。
+    """
+    original = str(text or '').strip()
+    t = unicodedata.normalize('NFKC', original).lower().strip()
+    t = re.sub(r'([一二三四五六七八九十]+)(?=(月|日|週|か月|ヶ月|カ月|ケ月|箇月))', lambda m: _kanji_number(m.group(1)), t)
+
+    def result(resolved: Optional[date], kind: str, ambiguous: bool = False) -> Dict[str, Any]:
+        return {'original': original, 'date': resolved.isoformat() if resolved else None, 'kind': kind, 'ambiguous': ambiguous}
+
+    def month_day(month: int, day: int, year: Optional[int] = None) -> Dict[str, Any]:
+        try:
+            if year:
+                return result(date(year, month, day), 'absolute')
+            # 年の記載がない場合は会議日以降の直近の日付（2か月以上前の日付は翌年とみなす）
+            resolved = date(base.year, month, day)
+            if resolved < base - timedelta(days=60):
+                return result(date(base.year + 1, month, day), 'absolute')
+            return result(resolved, 'absolute', ambiguous=resolved < base)
+        except ValueError:
+            return result(None, 'unresolved', ambiguous=True)
+
+    if t in DEADLINE_UNSET:
+        return result(None, 'unset')
+
+    week_start = base - timedelta(days=base.weekday())
+
+    # 日付の明示: 2025-10-31 / 2025年10月31日 / 10月31日 / 10/31 / Oct 31 / 31 October
+    match = re.search(r'(\d{4})\s*[-/年.]\s*(\d{1,2})\s*[-/月.]\s*(\d{1,2})', t)
+    if match:
+        return month_day(int(match.group(2)), int(match.group(3)), int(match.group(1)))
+    match = re.search(r'(\d{1,2})\s*月\s*(\d{1,2})\s*日', t) or re.search(r'(?<![\d/])(\d{1,2})/(\d{1,2})(?![\d/])', t)
+    if match:
+        return month_day(int(match.group(1)), int(match.group(2)))
+    months_pattern = '|'.join(DEADLINE_MONTHS_EN)
+    match = re.search(rf'\b({months_pattern})[a-z]*\.?\s+(\d{{1,2}})(?:st|nd|rd|th)?\b', t)
+    if match:
+        return month_day(DEADLINE_MONTHS_EN[match.group(1)], int(match.group(2)))
+    match = re.search(rf'\b(\d{{1,2}})(?:st|nd|rd|th)?\s+(?:of\s+)?({months_pattern})[a-z]*\b', t)
+    if match:
+        return month_day(DEADLINE_MONTHS_EN[match.group(2)], int(match.group(1)))
+
+    # 日単位
+    if re.search(r'明後日|あさって|day after tomorrow', t):
+        return result(base + timedelta(days=2), 'relative')
+    if re.search(r'明日|あした|tomorrow', t):
+        return result(base + timedelta(days=1), 'relative')
+    if re.search(r'今日|本日|きょう|today|end of (the )?day|\beod\b', t):
+        return result(base, 'relative')
+    if re.search(r'至急|早急|すぐ|直ちに|asap|as soon as possible|immediately', t):
+        return result(base, 'relative', ambiguous=True)
+
+    # 期間: 3日後 / 2週間以内 / 1か月後 / in 3 days / within 2 weeks
+    match = re.search(r'(\d+)\s*(日|週間|週|か月|ヶ月|カ月|ケ月|箇月)\s*(?:後|以内|内|で|ほど|程度)', t) or \
+        re.search(r'(\d+)\s*(週間)', t) or re.search(r'(?:in|within)\s+(\d+)\s*(day|week|month)s?', t)
+    if match:
+        amount, unit = int(match.group(1)), match.group(2)
+        if unit in ('日', 'day'):
+            resolved = base + timedelta(days=amount)
+        elif unit.startswith('週') or unit == 'week':
+            resolved = base + timedelta(weeks=amount)
+        else:
+            day = min(base.day, _month_end(base.year, base.month + amount).day)
+            resolved = _month_end(base.year, base.month + amount).replace(day=day)
+        # 2週間後の木曜日: 期間後の日付を含む週の指定曜日
+        weekday_match = re.search(r'([月火水木金土日])曜', t[match.end():])
+        if weekday_match:
+            resolved += timedelta(days=DEADLINE_WEEKDAYS_JA[weekday_match.group(1)] - resolved.weekday())
+        return result(resolved, 'relative')
+
+    # 日のみ: 25日（会議日以降の直近の25日）
+    match = re.search(r'(?<![\d/月])(\d{1,2})\s*日', t)
+    if match and 1 <= int(match.group(1)) <= 31:
+        day = int(match.group(1))
+        year, month = (base.year, base.month) if day >= base.day else (base.year, base.month + 1)
+        month_end = _month_end(year, month)
+        return result(month_end.replace(day=min(day, month_end.day)), 'absolute', ambiguous=day > month_end.day)
+
+    # 曜日: 今週金曜 / 来週月曜日 / 再来週の火曜 / 金曜 / this friday / next monday / by friday
+    match = re.search(r'(今週|来週|再来週)?の?([月火水木金土日])曜', t)
+    weekday = None
+    if match:
+        weekday, week = DEADLINE_WEEKDAYS_JA[match.group(2)], match.group(1)
+    else:
+        weekdays_pattern = '|'.join(sorted(DEADLINE_WEEKDAYS_EN, key=len, reverse=True))
+        match = re.search(rf'\b(this|next|coming|following)?\s*\b({weekdays_pattern})\b', t)
+        if match:
+            weekday = DEADLINE_WEEKDAYS_EN[match.group(2)]
+            week = {'this': '今週', 'next': 'next', 'following': '再来週'}.get(match.group(1) or '')
+    if weekday is not None:
+        if week == '今週':
+            resolved = week_start + timedelta(days=weekday)
+            return result(resolved, 'relative', ambiguous=resolved < base)
+        if week in ('来週', 'next'):
+            # 英語の next Monday は「次に来る月曜」とも「来週の月曜」とも読めるため要確認
+            return result(week_start + timedelta(days=7 + weekday), 'relative', ambiguous=week == 'next')
+        if week == '再来週':
+            return result(week_start + timedelta(days=14 + weekday), 'relative')
+        days_ahead = (weekday - base.weekday()) % 7
+        return result(base + timedelta(days=days_ahead or 7), 'relative', ambiguous=days_ahead == 0)
+
+    # 週: 今週中 / 来週末 / 再来週 / this week / end of next week / weekend
+    match = re.search(r'(今週|来週|再来週|this week|next week|週内|週末|weekend|end of (?:the )?week)', t)
+    if match:
+        weeks = 2 if '再来週' in t else 1 if ('来週' in t or 'next week' in t) else 0
+        friday = week_start + timedelta(days=7 * weeks + 4)
+        # 週末は金曜とも土日とも読め、「来週」だけでは週のどこか分からないため要確認
+        ambiguous = bool(re.search(r'週末|weekend', t)) or not re.search(r'中|いっぱい|内|まで|end of|by', t)
+        return result(friday, 'relative', ambiguous=ambiguous)
+
+    # 月: 今月末 / 来月中 / 来月上旬 / 11月末 / end of the month / early next month
+    match = re.search(r'(今月|来月|再来月|(\d{1,2})月|this month|next month|end of (?:the )?month|\beom\b|月末)', t)
+    if match:
+        past = False
+        if match.group(2):
+            # 年の記載がない月は日付の明示と同様に、2か月以上前に終わった月は翌年、それ以外の過ぎた月は要確認
+            month = int(match.group(2))
+            year = base.year + 1 if _month_end(base.year, month) < base - timedelta(days=60) else base.year
+            past = _month_end(year, month) < base
+        else:
+            offset = 2 if '再来月' in t else 1 if ('来月' in t or 'next month' in t) else 0
+            year, month = base.year, base.month + offset
+        month_end = _month_end(year, month)
+        if re.search(r'上旬|初め|初旬|頭|月初|early', t):
+            return result(month_end.replace(day=10), 'relative', ambiguous=True)
+        if re.search(r'中旬|mid', t):
+            return result(month_end.replace(day=20), 'relative', ambiguous=True)
+        ambiguous = not re.search(r'末|中|いっぱい|内|まで|下旬|end|by', t) or '下旬' in t or past
+        return result(month_end, 'relative', ambiguous=ambiguous)
+
+    # 年: 年内 / 年末 / 年度末 / end of the year
+    if re.search(r'年度末|end of (?:the )?fiscal year', t):
+        return result(date(base.year if base.month <= 3 else base.year + 1, 3, 31), 'relative')
+    if re.search(r'年内|年末|end of (?:the )?year|\beoy\b', t):
+        # 年内・年末はどちらも年末年始の休業前を指すことが多く、12/31 は目安のため要確認
+        return result(date(base.year, 12, 31), 'relative', ambiguous=True)
+
+    return result(None, 'unresolved', ambiguous=True)
+
+
+def parse_meeting_time(text: Any, previous: Optional[tuple] = None) -> Dict[str, Any]:
+    """次回会議の表記から開始時刻と所要時間を取り出す
+
+    「同じ時間」「same time」は previous（前回の開始時刻 (時, 分)）を使う。
+    所要時間は「1時間」「90分間」「for 2 hours」または「14:00-15:00」「14時〜15時」の終了時刻から求める。
+    戻り値: {'time': (時, 分) または None（時刻の記載なし）, 'duration_minutes': 分 または None, 'same_time': bool}
+    """
+    t = unicodedata.normalize('NFKC', str(text or '')).lower()
+
+    def to_minutes(match: Any) -> Optional[int]:
+        hour = int(match.group(2))
+        minute = 30 if match.group(3) else int(match.group(4) or match.group(5) or 0)
+        if (match.group(1) == '午後' or match.group(6) == 'pm') and hour < 12:
+            hour += 12
+        elif (match.group(1) == '午前' or match.group(6) == 'am') and hour == 12:
+            hour = 0
+        return hour * 60 + minute if hour < 24 and minute < 60 else None
+
+    start, duration = None, None
+    matches = list(re.finditer(CALENDAR_TIME_PATTERN, t))
+    same_time = bool(re.search(CALENDAR_SAME_TIME_PATTERN, t))
+    if matches and to_minutes(matches[0]) is not None:
+        start = to_minutes(matches[0])
+        # 範囲指定の終了時刻（「午後2時〜3時」のように午前・午後の省略は開始に合わせる）
+        if len(matches) > 1 and re.fullmatch(r'\s*(?:-|~|〜|–|から|to)\s*', t[matches[0].end():matches[1].start()]):
+            end = to_minutes(matches[1])
+            if end is not None and end <= start and end < 12 * 60:
+                end += 12 * 60
+            if end is not None and end > start:
+                duration = end - start
+    elif same_time and previous:
+        start = previous[0] * 60 + previous[1]
+
+    if duration is None:
+        match = re.search(r'(\d+(?:\.\d+)?)\s*(?:時間|hours?|hrs?\b)', t)
+        if match:
+            duration = round(float(match.group(1)) * 60)
+        else:
+            match = re.search(r'(\d+)\s*(?:分間|minutes?\b|mins?\b)', t)
+            duration = int(match.group(1)) if match else None
+
+    return {
+        'time': divmod(start, 60) if start is not None else None,
+        'duration_minutes': duration or None,
+        'same_time': same_time
+    }
+
+
+def normalize_person_name(name: Any) -> str:
+    """人名の照合用の正規化（NFKC・空白除去・小文字化・敬称除去）"""
+    text = re.sub(r'\s', '', unicodedata.normalize('NFKC', str(name or ''))).lower()
+    return re.sub(r'(?:さん|様|さま|氏|君|くん|ちゃん|殿)$', '', text) or text
+
+
+def split_assignee_names(assignee: Any) -> List[str]:
+    """担当者の記載（「田中、佐藤」「田中/佐藤」「Tanaka and Sato」など）を正規化した人名のリストに分割
+
+    「ジョン・スミス」「さとみ」のように区切り文字を含む名前もあるため、分割前の全体も候補に含める。
+    """
+    text = unicodedata.normalize('NFKC', str(assignee or ''))
+    parts = [text, *re.split(r'[、,/&・]|\band\b|(?<=\S)と(?=\S)', text)]
+    names = [normalize_person_name(part) for part in parts]
+    return list(dict.fromkeys(name for name in names if name and name != '-'))
+
+
+def _ics_escape(value: Any) -> str:
+    """iCalendar のテキスト値のエスケープ（\\ ; , 改行）"""
+    text = str(value if value is not None else '')
+    text = text.replace('\\', '\\\\').replace(';', '\\;').replace(',', '\\,')
+    return re.sub(r'\r\n|\r|\n', r'\\n', text)
+
+
+def _ics_param(value: Any) -> str:
+    """iCalendar のパラメータ値（CN など）。: ; , を含む場合は引用符で囲む"""
+    text = str(value or '').replace('"', "'")
+    return f'"{text}"' if re.search(r'[:;,]', text) else text
+
+
+def _ics_fold(line: str) -> str:
+    """75オクテットを超える行を折り返し（UTF-8 の文字の途中では分割しない）"""
+    parts, current, size = [], '', 0
+    for char in line:
+        char_size = len(char.encode('utf-8'))
+        # 継続行は先頭の空白1オクテット分だけ短くする
+        if size + char_size > CALENDAR_LINE_OCTETS - (1 if parts else 0):
+            parts.append(current)
+            current, size = '', 0
+        current += char
+        size += char_size
+    parts.append(current)
+    return '\r\n '.join(parts)
+
+
+class TranscriptionBackend:
+    """文字起こしバックエンド基底クラス
+
+    transcribe() は Amazon Transcribe 出力と同じ構造の dict
+    （results.transcripts / results.items / results.speaker_labels）を返す。失敗時は None。
+    settings は言語・話者数・語彙の指定（MeetingMinutesProcessor._resolve_transcription_settings 参照）。
+    on_status(job_name, status) は外部ジョブの状態が変わるたびに呼ばれる（ジョブを使うバックエンドのみ）。
+    """
+
+    name = 'base'
+
+    def transcribe(self, bucket_name: str, object_key: str, context: Any,
+                   settings: Dict[str, Any], on_status: Optional[Any] = None) -> Optional[Dict[str, Any]]:
+        raise NotImplementedError
+
+
+class AmazonTranscribeBackend(TranscriptionBackend):
+    """Amazon Transcribe（ジョブ開始 → 完了待機 → 結果取得）"""
+
+    name = 'transcribe'
+
+    def __init__(self, transcribe_client: Any):
+        self.transcribe_client = transcribe_client
+
+    def transcribe(self, bucket_name: str, object_key: str, context: Any,
+                   settings: Dict[str, Any], on_status: Optional[Any] = None) -> Optional[Dict[str, Any]]:
+        job_name = self.start_job(bucket_name, object_key, settings)
+
+        # 完了待機
+        return self.wait_for_job(job_name, context, on_status)
+
+    def start_job(self, bucket_name: str, object_key: str, settings: Dict[str, Any],
+                  tags: Optional[Dict[str, str]] = None) -> str:
+        """Transcribeジョブ開始（ジョブ名を返す）"""
+        # ジョブ設定
+        timestamp = datetime.now().strftime('%Y%m%d_%H%M%S')
+        job_name = f"{TRANSCRIBE_JOB_NAME_PREFIX}{timestamp}-{uuid.uuid4().hex[:8]}"
+
+        # ファイル形式判定
+        file_extension = object_key.lower().split('.')[-1]
+        format_mapping = {
+            'mp3': 'mp3', 'wav': 'wav', 'm4a': 'mp4', 'mp4': 'mp4',
+            'ogg': 'ogg', 'flac': 'flac', 'aac': 'mp4'
+        }
+        media_format = format_mapping.get(file_extension, 'mp3')
+
+        audio_url = f"s3://{bucket_name}/{object_key}"
+
+        logger.info(f"🎙️ Transcribeジョブ開始: {job_name} ({media_format})")
+
+        job_params = {
+            'TranscriptionJobName': job_name,
+            'Media': {'MediaFileUri': audio_url},
+            'MediaFormat': media_format,
+            'Settings': {
+                'ShowSpeakerLabels': True,
+                'MaxSpeakerLabels': settings['max_speakers']
+            }
+        }
+
+        vocabulary_settings = {}
+        if settings['vocabulary_name']:
+            vocabulary_settings['VocabularyName'] = settings['vocabulary_name']
+        if settings['vocabulary_filter_name']:
+            vocabulary_settings['VocabularyFilterName'] = settings['vocabulary_filter_name']
+
+        if settings['language'] == 'auto':
+            # 自動言語識別（語彙は言語ごとに登録されるため、候補の先頭言語に適用）
+            if settings['multiple_languages']:
+                job_params['IdentifyMultipleLanguages'] = True
+            else:
+                job_params['IdentifyLanguage'] = True
+            job_params['LanguageOptions'] = settings['language_options']
+            if vocabulary_settings:
+                job_params['LanguageIdSettings'] = {settings['language_options'][0]: vocabulary_settings}
+        else:
+            job_params['LanguageCode'] = settings['language']
+            job_params['Settings'].update(vocabulary_settings)
+
+        if settings['vocabulary_filter_name']:
+            job_params['Settings']['VocabularyFilterMethod'] = settings['vocabulary_filter_method']
+
+        if tags:
+            job_params['Tags'] = [{'Key': k, 'Value': v} for k, v in tags.items()]
+
+        # ジョブ開始
+        self.transcribe_client.start_transcription_job(**job_params)
+        return job_name
+
+    def get_job(self, job_name: str) -> Dict[str, Any]:
+        """Transcribeジョブ情報取得"""
+        return self.transcribe_client.get_transcription_job(TranscriptionJobName=job_name)['TranscriptionJob']
+
+    def wait_for_job(self, job_name: str, context: Any, on_status: Optional[Any] = None) -> Optional[Dict[str, Any]]:
+        """Transcribe完了待機（on_status(job_name, status) に状態の変化を通知）"""
+        remaining_time = context.get_remaining_time_in_millis()
+        max_wait_seconds = min(600, max(60, (remaining_time / 1000) - 180))
+        max_attempts = int(max_wait_seconds // 20)
+
+        logger.info(f"⏱️ 最大待機時間: {max_wait_seconds:.0f}秒")
+
+        last_status = None
+        for attempt in range(max_attempts):
+            try:
+                job = self.get_job(job_name)
+                job_status = job['TranscriptionJobStatus']
+
+                logger.info(f"📊 ジョブ状態確認 ({attempt+1}/{max_attempts}): {job_status}")
+                if on_status and job_status != last_status:
+                    on_status(job_name, job_status)
+                    last_status = job_status
+
+                if job_status == 'COMPLETED':
+                    transcript_json = self.fetch_result(job['Transcript']['TranscriptFileUri'])
+                    self.cleanup_job(job_name)
+                    return self.attach_language(transcript_json, job)
+
+                elif job_status == 'FAILED':
+                    failure_reason = job.get('FailureReason', '不明')
+                    logger.error(f"❌ 文字起こし失敗: {failure_reason}")
+                    self.cleanup_job(job_name)
+                    return None
+
+                # 残り時間チェック
+                remaining = context.get_remaining_time_in_millis()
+                if remaining < 120000:  # 2分以下の場合
+                    logger.warning(f"⚠️ Lambda実行時間残り少なく ({remaining/1000:.1f}秒)、強制終了")
+                    self.cleanup_job(job_name)
+                    return None
+
+                # 待機
+                time.sleep(20)
+
+            except Exception as e:
+                logger.error(f"ジョブ状態チェックエラー: {str(e)}")
+                break
+
+        # タイムアウト
+        logger.warning(f"⚠️ Transcribeジョブ待機タイムアウト: {job_name}")
+        return None
+
+    def attach_language(self, transcript_json: Optional[Dict[str, Any]], job: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+        """ジョブの言語（自動識別時は識別結果）を結果JSONの results.language_code に記録"""
+        if transcript_json:
+            language_codes = [entry['LanguageCode'] for entry in job.get('LanguageCodes', []) if entry.get('LanguageCode')]
+            language = job.get('LanguageCode') or ','.join(language_codes)
+            if language:
+                transcript_json.setdefault('results', {})['language_code'] = language
+        return transcript_json
+
+    def fetch_result(self, transcript_uri: str) -> Optional[Dict[str, Any]]:
+        """文字起こし結果JSON取得"""
+        try:
+            with urllib.request.urlopen(transcript_uri) as response:
+                return json.loads(response.read().decode('utf-8'))
+        except Exception as e:
+            logger.error(f"文字起こし結果取得エラー: {str(e)}")
+            return None
+
+    def cleanup_job(self, job_name: str) -> None:
+        """Transcribeジョブクリーンアップ"""
+        try:
+            self.transcribe_client.delete_transcription_job(TranscriptionJobName=job_name)
+            logger.info(f"🗑️ Transcribeジョブ削除: {job_name}")
+        except Exception as e:
+            logger.warning(f"ジョブ削除失敗 ({job_name}): {str(e)}")
+
+
+class LocalWhisperBackend(TranscriptionBackend):
+    """CPU上で動作するローカル Whisper 互換エンジン
+
+    whisper_engine が 'faster_whisper' の場合は faster-whisper パッケージ、
+    'whisper_cpp' の場合は whisper.cpp の CLI（ffmpeg で 16kHz WAV に変換して実行）を使用する。
+    話者分離は行わないため、全セグメントが spk_0 になる。
+    """
+
+    name = 'local_whisper'
+
+    def __init__(self, s3_client: Any, config: Dict[str, Any]):
+        self.s3_client = s3_client
+        self.config = config
+
+    def transcribe(self, bucket_name: str, object_key: str, context: Any,
+                   settings: Dict[str, Any], on_status: Optional[Any] = None) -> Optional[Dict[str, Any]]:
+        # Whisper は ISO 639-1 の言語コード（ja-JP → ja）、'auto' は自動判定
+        language = None if settings['language'] == 'auto' else settings['language'].split('-')[0]
+        # 固有名詞を初期プロンプトとして与えると表記が安定する
+        initial_prompt = '、'.join(settings['vocabulary_terms']) or None
+
+        with tempfile.TemporaryDirectory() as work_dir:
+            audio_path = os.path.join(work_dir, f"input{os.path.splitext(object_key)[1].lower()}")
+            self.s3_client.download_file(bucket_name, object_key, audio_path)
+            logger.info(f"🖥️ ローカル文字起こし開始 ({self.config['whisper_engine']}): {object_key}")
+
+            if self.config['whisper_engine'] == 'faster_whisper':
+                segments = self._run_faster_whisper(audio_path, language, initial_prompt)
+            elif self.config['whisper_engine'] == 'whisper_cpp':
+                segments = self._run_whisper_cpp(audio_path, work_dir, language, initial_prompt)
+            else:
+                raise ValueError(f"未対応のWhisperエンジン: {self.config['whisper_engine']}")
+
+        logger.info(f"✅ ローカル文字起こし完了: {len(segments)}セグメント")
+        transcript_json = build_transcript_result(segments)
+        if language:
+            transcript_json['results']['language_code'] = language
+        return transcript_json
+
+    def _run_faster_whisper(self, audio_path: str, language: Optional[str],
+                            initial_prompt: Optional[str]) -> List[Dict[str, Any]]:
+        """faster-whisper で文字起こし"""
+        from faster_whisper import WhisperModel
+
+        model = WhisperModel(self.config['whisper_model'], device='cpu', compute_type='int8')
+        segments, _ = model.transcribe(audio_path, language=language, initial_prompt=initial_prompt)
+
+        return [
+            {
+                'speaker': 'spk_0',
+                'start': segment.start,
+                'end': segment.end,
+                'text': segment.text,
+                'confidence': math.exp(segment.avg_logprob)
+            }
+            for segment in segments
+        ]
+
+    def _run_whisper_cpp(self, audio_path: str, work_dir: str, language: Optional[str],
+                         initial_prompt: Optional[str]) -> List[Dict[str, Any]]:
+        """whisper.cpp CLI で文字起こし"""
+        wav_path = os.path.join(work_dir, 'input_16k.wav')
+        subprocess.run(
+            [self.config['ffmpeg_binary'], '-y', '-loglevel', 'error', '-i', audio_path,
+             '-ar', '16000', '-ac', '1', wav_path],
+            check=True
+        )
+
+        output_base = os.path.join(work_dir, 'whisper_output')
+        command = [self.config['whisper_cpp_binary'], '-f', wav_path, '-oj', '-of', output_base]
+        if self.config['whisper_cpp_model_path']:
+            command += ['-m', self.config['whisper_cpp_model_path']]
+        command += ['-l', language or 'auto']
+        if initial_prompt:
+            command += ['--prompt', initial_prompt]
+        subprocess.run(command, check=True, stdout=subprocess.DEVNULL)
+
+        with open(f"{output_base}.json", encoding='utf-8') as f:
+            whisper_json = json.load(f)
+
+        return [
+            {
+                'speaker': 'spk_0',
+                'start': entry['offsets']['from'] / 1000,
+                'end': entry['offsets']['to'] / 1000,
+                'text': entry['text'],
+                'confidence': None
+            }
+            for entry in whisper_json.get('transcription', [])
+        ]
+
+
+class SuppliedTranscriptBackend(TranscriptionBackend):
+    """アップロード済みの文字起こし（.vtt / .srt / .txt）を読み込むバックエンド
+
+    対象キーが文字起こしファイルの場合はそれを、音声ファイルの場合は同じ場所にある
+    同名の文字起こしファイル（例: meeting.m4a → meeting.vtt）を読み込む。
+    サイドカーは音声ファイルより先（または同時）にアップロードしておく。
+    """
+
+    name = 'supplied'
+
+    CUE_TIMING = re.compile(
+        r'(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})\s*-->\s*(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})'
+    )
+
+    def __init__(self, s3_client: Any, transcript_extensions: List[str]):
+        self.s3_client = s3_client
+        self.transcript_extensions = transcript_extensions
+
+    def transcribe(self, bucket_name: str, object_key: str, context: Any,
+                   settings: Dict[str, Any], on_status: Optional[Any] = None) -> Optional[Dict[str, Any]]:
+        base_key, extension = os.path.splitext(object_key)
+        if extension.lower() in self.transcript_extensions:
+            candidates = [object_key]
+        else:
+            candidates = [f"{base_key}{ext}" for ext in self.transcript_extensions]
+
+        for key in candidates:
+            try:
+                response = self.s3_client.get_object(Bucket=bucket_name, Key=key)
+            except self.s3_client.exceptions.NoSuchKey:
+                continue
+            content = response['Body'].read().decode('utf-8-sig')
+            logger.info(f"📄 アップロード済み文字起こしを使用: {key}")
+            return self.parse(content, os.path.splitext(key)[1].lower())
+
+        logger.warning(f"⚠️ アップロード済み文字起こしが見つかりません: {', '.join(candidates)}")
+        return None
+
+    def parse(self, content: str, extension: str) -> Dict[str, Any]:
+        """文字起こしテキストを Transcribe 互換構造に変換"""
+        if extension in ('.vtt', '.srt'):
+            return self._parse_subtitles(content)
+
+        # プレーンテキストは時刻情報がないため、本文のみ（話者ラベル付きならそのまま使用）
+        return {'results': {'transcripts': [{'transcript': content.strip()}], 'items': [], 'speaker_labels': {}}}
+
+    def _parse_subtitles(self, content: str) -> Dict[str, Any]:
+        """WebVTT / SRT の字幕キューをセグメントに変換"""
+        segments = []
+        speaker_ids: Dict[str, str] = {}
+
+        for block in re.split(r'\r?\n\s*\r?\n', content):
+            lines = [line.strip() for line in block.strip().splitlines() if line.strip()]
+            timing_index = next((i for i, line in enumerate(lines) if self.CUE_TIMING.search(line)), None)
+            if timing_index is None:
+                continue
+
+            timing = self.CUE_TIMING.search(lines[timing_index]).groups()
+            start = self._to_seconds(*timing[:4])
+            end = self._to_seconds(*timing[4:])
+            text = ' '.join(lines[timing_index + 1:])
+
+            # 話者: WebVTT の <v 名前> タグ または 「名前: 」形式の接頭辞
+            # （半角コロンは直後が空白・行末の場合のみ。「3:00」などの時刻は話者とみなさない）
+            speaker_name = None
+            voice_match = re.match(r'<v(?:\.[^ >]+)*\s+([^>]+)>', text)
+            if voice_match:
+                speaker_name = voice_match.group(1).strip()
+            else:
+                prefix_match = re.match(r'([^:：]{1,30})(?::(?=\s|$)|：(?!\d))\s*', text)
+                if prefix_match:
+                    speaker_name = prefix_match.group(1).strip()
+                    text = text[prefix_match.end():]
+            text = re.sub(r'<[^>]+>', '', text).strip()
+
+            speaker = 'spk_0'
+            if speaker_name:
+                speaker = speaker_ids.setdefault(speaker_name, f"spk_{len(speaker_ids)}")
+
+            segments.append({'speaker': speaker, 'start': start, 'end': end, 'text': text, 'confidence': None})
+
+        speaker_names = {label: name for name, label in speaker_ids.items()}
+        return build_transcript_result(segments, speaker_names or None)
+
+    @staticmethod
+    def _to_seconds(hours: Optional[str], minutes: str, seconds: str, millis: str) -> float:
+        return int(hours or 0) * 3600 + int(minutes) * 60 + int(seconds) + int(millis) / 1000
+
+
+class JobStateConflict(Exception):
+    """ジョブ状態の条件付き書き込みの競合（他の実行が先に作成・更新した）"""
+
+
+class JobStateStore:
+    """ジョブ状態ストア基底クラス
+
+    レコードは job_id と version（書き込みごとに +1）を持つ。
+    put() は保存済みの version が expected_version（新規作成時は None）と一致する場合のみ書き込み、
+    一致しない場合は JobStateConflict を送出する。
+    """
+
+    name = 'base'
+
+    def get(self, job_id: str) -> Optional[Dict[str, Any]]:
+        raise NotImplementedError
+
+    def put(self, record: Dict[str, Any], expected_version: Optional[int]) -> None:
+        raise NotImplementedError
+
+    def delete(self, job_id: str) -> None:
+        raise NotImplementedError
+
+
+class S3JobStateStore(JobStateStore):
+    """S3 の条件付き書き込み（If-None-Match / If-Match）によるジョブ状態ストア"""
+
+    name = 's3'
+
+    def __init__(self, s3_client: Any, bucket: str, prefix: str):
+        self.s3_client = s3_client
+        self.bucket = bucket
+        self.prefix = prefix
+        self._etags: Dict[str, str] = {}
+
+    def _key(self, job_id: str) -> str:
+        return f"{self.prefix}{job_id}.json"
+
+    def get(self, job_id: str) -> Optional[Dict[str, Any]]:
+        try:
+            response = self.s3_client.get_object(Bucket=self.bucket, Key=self._key(job_id))
+        except self.s3_client.exceptions.NoSuchKey:
+            return None
+        self._etags[job_id] = response['ETag']
+        return json.loads(response['Body'].read().decode('utf-8'))
+
+    def put(self, record: Dict[str, Any], expected_version: Optional[int]) -> None:
+        job_id = record['job_id']
+        condition = {'IfNoneMatch': '*'} if expected_version is None else {'IfMatch': self._etags.get(job_id, '')}
+        try:
+            response = self.s3_client.put_object(
+                Bucket=self.bucket,
+                Key=self._key(job_id),
+                Body=json.dumps(record, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8',
+                **condition
+            )
+        except Exception as e:
+            error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+            if error_code in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                raise JobStateConflict(job_id) from e
+            raise
+        self._etags[job_id] = response['ETag']
+
+    def delete(self, job_id: str) -> None:
+        self.s3_client.delete_object(Bucket=self.bucket, Key=self._key(job_id))
+        self._etags.pop(job_id, None)
+
+
+class DynamoDbJobStateStore(JobStateStore):
+    """DynamoDB の条件付き書き込みによるジョブ状態ストア（パーティションキー: job_id）"""
+
+    name = 'dynamodb'
+
+    def __init__(self, dynamodb_client: Any, table_name: str):
+        self.dynamodb_client = dynamodb_client
+        self.table_name = table_name
+
+    def get(self, job_id: str) -> Optional[Dict[str, Any]]:
+        response = self.dynamodb_client.get_item(
+            TableName=self.table_name,
+            Key={'job_id': {'S': job_id}},
+            ConsistentRead=True
+        )
+        item = response.get('Item')
+        return json.loads(item['record']['S']) if item else None
+
+    def put(self, record: Dict[str, Any], expected_version: Optional[int]) -> None:
+        if expected_version is None:
+            condition = {'ConditionExpression': 'attribute_not_exists(job_id)'}
+        else:
+            condition = {
+                'ConditionExpression': 'version = :expected',
+                'ExpressionAttributeValues': {':expected': {'N': str(expected_version)}}
+            }
+        try:
+            self.dynamodb_client.put_item(
+                TableName=self.table_name,
+                Item={
+                    'job_id': {'S': record['job_id']},
+                    'version': {'N': str(record['version'])},
+                    'state': {'S': record['state']},
+                    'record': {'S': json.dumps(record, ensure_ascii=False)}
+                },
+                **condition
+            )
+        except self.dynamodb_client.exceptions.ConditionalCheckFailedException as e:
+            raise JobStateConflict(record['job_id']) from e
+
+    def delete(self, job_id: str) -> None:
+        self.dynamodb_client.delete_item(TableName=self.table_name, Key={'job_id': {'S': job_id}})
+
+
+class LocalFileJobStateStore(JobStateStore):
+    """ローカルファイルによるジョブ状態ストア（開発・テスト用。単一プロセスでの利用を想定）"""
+
+    name = 'local'
+
+    def __init__(self, directory: str):
+        self.directory = directory
+        os.makedirs(directory, exist_ok=True)
+
+    def _path(self, job_id: str) -> str:
+        return os.path.join(self.directory, f"{job_id}.json")
+
+    def get(self, job_id: str) -> Optional[Dict[str, Any]]:
+        try:
+            with open(self._path(job_id), encoding='utf-8') as f:
+                return json.load(f)
+        except FileNotFoundError:
+            return None
+
+    def put(self, record: Dict[str, Any], expected_version: Optional[int]) -> None:
+        path = self._path(record['job_id'])
+        if expected_version is None:
+            try:
+                with open(path, 'x', encoding='utf-8') as f:
+                    json.dump(record, f, ensure_ascii=False, indent=2)
+            except FileExistsError as e:
+                raise JobStateConflict(record['job_id']) from e
+            return
+
+        current = self.get(record['job_id'])
+        if not current or current.get('version') != expected_version:
+            raise JobStateConflict(record['job_id'])
+        temp_path = f"{path}.{uuid.uuid4().hex}.tmp"
+        with open(temp_path, 'w', encoding='utf-8') as f:
+            json.dump(record, f, ensure_ascii=False, indent=2)
+        os.replace(temp_path, path)
+
+    def delete(self, job_id: str) -> None:
+        try:
+            os.remove(self._path(job_id))
+        except FileNotFoundError:
+            pass
+
+
+def create_job_state_store(config: Dict[str, Any], s3_client: Any) -> Optional[JobStateStore]:
+    """設定に応じたジョブ状態ストア生成（none の場合は None）"""
+    store_name = config['job_state_store']
+    if store_name == 'none':
+        return None
+    if store_name == 's3':
+        return S3JobStateStore(s3_client, config['job_state_bucket'] or config['bucket'], config['job_state_prefix'])
+    if store_name == 'dynamodb':
+        if not config['job_state_table']:
+            raise ValueError("job_state_table が設定されていません")
+        return DynamoDbJobStateStore(boto3.client('dynamodb'), config['job_state_table'])
+    if store_name == 'local':
+        return LocalFileJobStateStore(config['local_job_state_dir'])
+    raise ValueError(f"未対応のジョブ状態ストア: {store_name}")
+
+
+class EmailTransport:
+    """メール送信トランスポート基底クラス
+
+    send() は MIME メッセージを送信し、送信先サーバーが返したメッセージIDを返す。
+    失敗時は例外を送出する。
+    """
+
+    name = 'base'
+
+    def send(self, message: EmailMessage, recipients: List[str]) -> str:
+        raise NotImplementedError
+
+
+class SesEmailTransport(EmailTransport):
+    """Amazon SES（SendRawEmail）"""
+
+    name = 'ses'
+
+    def __init__(self, ses_client: Any):
+        self.ses_client = ses_client
+
+    def send(self, message: EmailMessage, recipients: List[str]) -> str:
+        response = self.ses_client.send_raw_email(
+            Source=message['From'],
+            Destinations=recipients,
+            RawMessage={'Data': message.as_bytes()}
+        )
+        return response['MessageId']
+
+
+class SmtpEmailTransport(EmailTransport):
+    """汎用 SMTP（ローカルの SMTP シンクでの動作確認にも使用）"""
+
+    name = 'smtp'
+
+    def __init__(self, config: Dict[str, Any]):
+        self.config = config
+
+    def send(self, message: EmailMessage, recipients: List[str]) -> str:
+        with smtplib.SMTP(self.config['smtp_host'], self.config['smtp_port'], timeout=30) as smtp:
+            if self.config['smtp_use_tls']:
+                smtp.starttls()
+            if self.config['smtp_username']:
+                smtp.login(self.config['smtp_username'], self.config['smtp_password'])
+            smtp.send_message(message, to_addrs=recipients)
+        return message['Message-ID']
+
+
+def create_email_transport(config: Dict[str, Any]) -> Optional[EmailTransport]:
+    """設定に応じたメール送信トランスポート生成（none の場合は None）"""
+    delivery = config['email_delivery']
+    if delivery == 'none':
+        return None
+    if delivery == 'ses':
+        return SesEmailTransport(boto3.client('ses', region_name=config['ses_region'] or None))
+    if delivery == 'smtp':
+        return SmtpEmailTransport(config)
+    raise ValueError(f"未対応のメール送信方式: {delivery}")
+
+
 class MeetingMinutesProcessor:
     """議事録処理メインクラス"""
 
-    def __init__(self):
-        """AWS クライアント初期化"""
-        self.s3_client = boto3.client('s3')
-        self.transcribe_client = boto3.client('transcribe')
-        self.bedrock_client = boto3.client('bedrock-runtime', region_name='us-east-1')
-        
-        # 設定値
-        self.max_file_size = 100 * 1024 * 1024  # 100MB
-        self.max_transcript_length = 8000
-        self.audio_extensions = {'.mp3', '.wav', '.m4a', '.mp4', '.ogg', '.flac', '.aac'}
+    def __init__(self, config: Optional[Dict[str, Any]] = None):
+        """AWS クライアント初期化"""
+        self.config = config if config is not None else load_config(boto3.client('s3'))
+        self.s3_client = boto3.client('s3', endpoint_url=self.config['s3_endpoint_url'] or None)
+
+        self.transcribe_client = boto3.client('transcribe')
+        self.bedrock_client = boto3.client('bedrock-runtime', region_name=self.config['bedrock_region'])
+
+        # 設定値
+        self.default_bucket = self.config['bucket']
+        self.audio_prefix = self.config['audio_prefix']
+        self.output_prefix = self.config['output_prefix']
+        self.transcript_prefix = self.config['transcript_prefix']
+        self.supplied_transcript_prefix = self.config['supplied_transcript_prefix']
+        self.system_log_prefix = self.config['system_log_prefix']
+        self.max_file_size = self.config['max_file_size_mb'] * 1024 * 1024
+        self.max_transcript_length = self.config['max_transcript_length']
+        self.audio_extensions = {ext.lower() for ext in self.config['audio_extensions']}
+        self.transcript_extensions = {ext.lower() for ext in self.config['transcript_extensions']}
+        self.log_bucket = self.config['log_bucket'] or self.default_bucket
+
+        # 文字起こしバックエンド
+        self.transcribe_backend = AmazonTranscribeBackend(self.transcribe_client)
+        self.transcription_backends: Dict[str, TranscriptionBackend] = {
+            'transcribe': self.transcribe_backend,
+            'local_whisper': LocalWhisperBackend(self.s3_client, self.config),
+            'supplied': SuppliedTranscriptBackend(self.s3_client, sorted(self.transcript_extensions))
+        }
+        if self.config['transcription_backend'] not in self.transcription_backends:
+            raise ValueError(f"未対応の文字起こしバックエンド: {self.config['transcription_backend']}")
+
+        # LLMプロバイダーとモデル（先頭が指定メインモデル、以降フォールバック）
+        provider_name = self.config['llm_provider']
+        self.llm_provider = create_llm_provider(provider_name, self.config, self.bedrock_client)
+        self.claude_models = self.config['llm_models'].get(provider_name) or DEFAULT_LLM_MODELS.get(provider_name, [])
+        if not self.claude_models:
+            raise ValueError(f"LLMプロバイダー {provider_name} のモデルが設定されていません")
+        self.primary_model = self.claude_models[0]
+
+        # 概算コスト計算の料金表
+        self.pricing = resolve_pricing(self.config['pricing'])
+
+        # フォローアップメール送信（未設定時は email_content.txt の保存のみ）
+        self.email_transport = create_email_transport(self.config)
+
+        # ジョブ状態ストア（重複イベント抑止・中断からの再開）
+        self.job_store = create_job_state_store(self.config, self.s3_client)
+
+        # 処理対象オブジェクトキー -> 実行情報（job_id / source_id / run_id / output_folder）
+        self.runs: Dict[str, Dict[str, str]] = {}
+
+        # 直近の議事録生成での LLM 呼び出し試行ログ（マニフェストの processing.llm_attempts）
+        self.llm_attempts: List[Dict[str, Any]] = []
+        # 処理中ファイルの文字起こし実行記録（マニフェストの processing.transcription_usage）
+        self.transcription_usage: Optional[Dict[str, Any]] = None
+        # 再生成前のリビジョンで発生した LLM コスト（resummarize 時。会議ごとの概算コストに加算）
+        self.previous_revisions_cost = 0.0
+        # 再生成時にマニフェストへ引き継ぐリビジョン情報 {'revision': 番号, 'revisions': [...]}（resummarize 以外は None）
+        self.revision_history: Optional[Dict[str, Any]] = None
+        # 処理中の音声ファイルのサイドカー文字起こしのキー（ない場合は None）
+        self.sidecar_transcript: Optional[str] = None
+
+        # 処理中の HTTP API リクエストのヘッダー（小文字キー）
+        self.request_headers: Dict[str, str] = {}
+        # 処理中の Lambda コンテキスト（LLM 再試行の待機を残り時間内に収める）
+        self.context: Optional[Any] = None
+
+        logger.info("=== MeetingMinutesProcessor初期化 ===")
+        logger.info(f"🔌 LLMプロバイダー: {self.llm_provider.name}")
+        logger.info(f"🥇 指定メインモデル: {self.primary_model}")
+        logger.info(f"🔄 フォールバックモデル数: {len(self.claude_models) - 1}")
+
+    def process_event(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """メインイベント処理"""
+        self.context = context
+
+        # HTTP API リクエスト（API Gateway REST / HTTP API / Lambda Function URL）
+        if event.get('httpMethod') or event.get('requestContext', {}).get('http'):
+            return self._process_http_request(event, context)
+
+        logger.info("=== 自動議事録生成システム開始 ===")
+        logger.info(f"使用予定モデル: {self.primary_model}")
+        
+        try:
+            # ログ出力先バケット決定（設定 → イベントのバケット → 既定バケット）
+            self.log_bucket = self._resolve_log_bucket(event)
+
+            # システム状態確認
+            self._create_system_status_log(event, context)
+            
+            # 実行時間チェック
+            remaining_time = context.get_remaining_time_in_millis()
+            logger.info(f"Lambda実行可能時間: {remaining_time/1000:.1f}秒")
+            
+            # Transcribe ジョブ状態変更イベント（非同期モード）
+            if event.get('source') == 'aws.transcribe':
+                return self._process_transcribe_event(event, context)
+
+            # S3イベント処理
+            if 'Records' in event and event['Records']:
+                return self._process_s3_events(event['Records'], context)
+            elif event.get('action') == 'update_speakers':
+                # 話者名・参加者の事後編集
+                return self._process_speaker_update(event)
+            elif event.get('action') == 'approve_email':
+                # 承認待ちフォローアップメールの送信
+                return self._process_email_approval(event)
+            elif event.get('action') == 'query_index':
+                # 議事録一覧の検索（フロントエンド用）
+                return self._process_index_query(event)
+            elif event.get('action') == 'rebuild_index':
+                # エントリーオブジェクトからの index.json 再構築
+                return self._process_index_rebuild(event)
+            elif event.get('action') == 'query_action_items':
+                # シリーズ横断のアクションアイテム一覧（担当者・状態で絞り込み）
+                return self._process_action_item_query(event)
+            elif event.get('action') == 'update_action_item':
+                # アクションアイテムの完了・再オープン
+                return self._process_action_item_update(event)
+            elif event.get('action') == 'usage_report':
+                # 月別の使用量・概算コストレポート
+                return self._process_usage_report(event)
+            elif event.get('action') == 'reprocess':
+                # 議事録の再処理（HTTP API からの非同期呼び出し）
+                return self._process_reprocess(event, context)
+            elif event.get('action') == 'resummarize':
+                # 保存済みの文字起こしから議事録を再生成
+                return self._process_resummarize(event, context)
+            elif event.get('transcript_text'):
+                # 貼り付けテキストからの議事録生成
+                return self._process_pasted_transcript(event, context)
+            else:
+                # 手動実行モード
+                return self._process_manual_mode(event, context)
+                
+        except Exception as e:
+            logger.error(f"システムエラー: {str(e)}", exc_info=True)
+            self._create_error_debug_file(str(e), e)
+            return self._create_error_response(str(e), 500)
+
+    def _resolve_log_bucket(self, event: Dict[str, Any]) -> str:
+        """システムログ出力先バケット決定"""
+        if self.config['log_bucket']:
+            return self.config['log_bucket']
+
+        for record in event.get('Records') or []:
+            bucket_name = record.get('s3', {}).get('bucket', {}).get('name')
+            if bucket_name:
+                return bucket_name
+
+        return self.default_bucket
+
+    def _resolve_output_bucket(self, source_bucket: str) -> str:
+        """出力先バケット決定（未設定時は音声ファイルと同じバケット）"""
+        return self.config['output_bucket'] or source_bucket
+
+    def _source_id(self, object_key: str) -> str:
+        """ソースID（ファイル名 + オブジェクトキーのハッシュ。別フォルダの同名ファイルを区別する）"""
+        audio_filename = object_key.split('/')[-1].rsplit('.', 1)[0]
+        return f"{audio_filename}-{hashlib.sha256(object_key.encode('utf-8')).hexdigest()[:8]}"
+
+    def _register_run(self, bucket_name: str, object_key: str, etag: str) -> Dict[str, str]:
+        """処理対象オブジェクトの実行情報を登録
+
+        出力フォルダは {output_prefix}{ソースID}/{実行ID}/。実行IDはバケット・キー・ETag（内容）のハッシュで、
+        同じ内容の再処理は同じフォルダに、内容の異なる再アップロードは別フォルダに出力される（過去の実行は残る）。
+        """
+        source_id = self._source_id(object_key)
+        run_source = f"{bucket_name}/{object_key}@" + etag.strip('"')
+        run_id = hashlib.sha256(run_source.encode('utf-8')).hexdigest()[:12]
+        run = {
+            'job_id': f"{source_id}-{run_id}",
+            'bucket': bucket_name,
+            'source_id': source_id,
+            'run_id': run_id,
+            'etag': etag,
+            'output_folder': f"{self.output_prefix}{source_id}/{run_id}/"
+        }
+        self.runs[object_key] = run
+        return run
+
+    def _output_folder(self, object_key: str) -> str:
+        """音声ファイルに対応する出力フォルダ（実行が未登録の場合はソース単位のフォルダ）"""
+        run = self.runs.get(object_key)
+        if run:
+            return run['output_folder']
+        return f"{self.output_prefix}{self._source_id(object_key)}/"
+
+    def _transcript_key(self, object_key: str, extension: str) -> str:
+        """文字起こし保存先キー（出力フォルダと同じく実行単位）"""
+        run = self.runs.get(object_key)
+        name = f"{run['source_id']}/{run['run_id']}" if run else self._source_id(object_key)
+        return f"{self.transcript_prefix}{name}_transcript.{extension}"
+
+    def _latest_output_folder(self, bucket_name: str, object_key: str) -> Optional[str]:
+        """音声ファイルの現在の内容に対応する出力フォルダ（音声削除済みの場合はインデックスの最新実行）"""
+        try:
+            file_info = self.s3_client.head_object(Bucket=bucket_name, Key=object_key)
+            return self._register_run(bucket_name, object_key, file_info.get('ETag', ''))['output_folder']
+        except Exception as e:
+            logger.info(f"音声ファイル参照不可のため index.json から検索 ({object_key}): {str(e)}")
+
+        try:
+            latest = self._read_json_object(bucket_name, self._index_source_key(self._source_id(object_key)))
+            return latest['output_folder']
+        except Exception:
+            return None
+
+    def _create_system_status_log(self, event: Dict[str, Any], context: Any) -> None:
+        """システム状態ログ作成"""
+        try:
+            timestamp = datetime.now().strftime('%Y%m%d_%H%M%S')
+            status_key = f"{self.system_log_prefix}system_status_{timestamp}.txt"
+            
+            status_content = f"""=== 議事録生成システム状態 ===
+
+実行時刻: {datetime.now().isoformat()}
+Lambda関数: {context.function_name}
+メモリ制限: {context.memory_limit_in_mb}MB
+実行時間制限: {context.get_remaining_time_in_millis()/1000:.1f}秒
+
+LLMプロバイダー: {self.llm_provider.name}
+
+🥇 指定メインモデル:
+{self.primary_model}
+
+🔄 フォールバック設定:
+"""
+
+            for i, model in enumerate(self.claude_models[1:], 2):
+                status_content += f"{i}. {model}\n"
+            
+            status_content += f"""
+
+【Bedrockアクセス確認が必要】
+以下のモデルが 'Access granted' になっているか確認してください:
+
+最重要:
+□ {self.primary_model}
+
+フォールバック用:
+"""
+
+            for model in self.claude_models[1:]:
+                status_content += f"□ {model}\n"
+
+            status_content += f"""
+【確認方法】
+AWS Bedrock → Model access → 各モデルのStatus確認
+
+【申請方法】
+Status が 'Available to request' の場合:
+1. 'Request model access' をクリック
+2. Use case: 'General'
+3. Submit
+
+受信イベント:
+{json.dumps(event, indent=2, ensure_ascii=False)}
+"""
+
+            self.s3_client.put_object(
+                Bucket=self.log_bucket,
+                Key=status_key,
+                Body=status_content.encode('utf-8'),
+                ContentType='text/plain; charset=utf-8'
+            )
+            logger.info(f"✅ システム状態ログ作成: s3://{self.log_bucket}/{status_key}")
+            
+        except Exception as e:
+            logger.warning(f"⚠️ システム状態ログ作成失敗: {str(e)}")
+
+    def _process_s3_events(self, records: List[Dict[str, Any]], context: Any) -> Dict[str, Any]:
+        """S3イベント処理"""
+        results = []
+        
+        for record in records:
+            if record.get('eventSource') != 'aws:s3':
+                continue
+                
+            bucket_name = record['s3']['bucket']['name']
+            object_key = urllib.parse.unquote_plus(record['s3']['object']['key'])
+            
+            logger.info(f"🎵 処理対象ファイル: s3://{bucket_name}/{object_key}")
+            
+            if self._is_valid_audio_file(object_key):
+                result = self._process_single_audio_file(bucket_name, object_key, context)
+                results.append(result)
+            else:
+                logger.info(f"⏭️ スキップ: {object_key} (無効なファイル)")
+        
+        return self._create_success_response(results)
+
+    def _process_manual_mode(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """手動実行モード
+
+        処理対象の指定（いずれか。指定なしの場合は最新の音声ファイル1件）:
+        - {"object_key": "meeting record/xxx.m4a"}
+        - {"object_keys": ["meeting record/a.m4a", "meeting record/b.m4a"]}
+        - {"prefix": "meeting record/2025/", "date_from": "2025-10-01", "date_to": "2025-10-31"}
+        - {"unprocessed": true}（prefix・日付範囲と併用可）
+        manual_batch_size 件ごと・Lambda 残り時間の範囲で処理し、残りは自身を非同期で呼び出して継続する。
+        """
+        try:
+            bucket_name = event.get('bucket') or self.default_bucket
+
+            if event.get('object_keys') or event.get('object_key'):
+                object_keys = list(event.get('object_keys') or [event['object_key']])
+                logger.info(f"🔧 手動実行モード - 指定ファイル {len(object_keys)}件")
+            else:
+                # prefix 指定なしの場合は音声ファイルと単独の文字起こしファイルのアップロード先
+                prefixes = [event['prefix']] if event.get('prefix') else [self.audio_prefix, self.supplied_transcript_prefix]
+                prefix = ', '.join(dict.fromkeys(prefixes))
+                listed = {obj['Key']: obj for each in dict.fromkeys(prefixes) for obj in self._list_audio_files(bucket_name, each)}
+                audio_files = [
+                    obj for obj in listed.values()
+                    if self._in_date_range(obj['LastModified'], event.get('date_from'), event.get('date_to'))
+                ]
+                if event.get('unprocessed'):
+                    audio_files = [obj for obj in audio_files if not self._is_processed(bucket_name, obj)]
+                    logger.info(f"🔧 手動実行モード - 未処理ファイル {len(audio_files)}件 ({prefix})")
+                elif event.get('date_from') or event.get('date_to') or event.get('prefix'):
+                    logger.info(f"🔧 手動実行モード - 期間指定 {len(audio_files)}件 ({prefix})")
+                else:
+                    logger.info("🔧 手動実行モード - 最新の音声ファイルを処理")
+                    audio_files = [max(audio_files, key=lambda x: x['LastModified'])] if audio_files else []
+                object_keys = [obj['Key'] for obj in sorted(audio_files, key=lambda x: x['LastModified'])]
+
+            if not object_keys:
+                return self._create_error_response("音声ファイルが見つかりません", 404)
+
+            results = []
+            batch_size = max(1, self.config['manual_batch_size'])
+            min_remaining_ms = self.config['manual_min_remaining_seconds'] * 1000
+            for index, object_key in enumerate(object_keys):
+                if index >= batch_size or context.get_remaining_time_in_millis() < min_remaining_ms:
+                    results.extend(self._defer_manual_files(event, bucket_name, object_keys[index:], context))
+                    break
+
+                if not self._is_valid_audio_file(object_key):
+                    results.append(self._create_file_error_result(object_key, "対応していないファイル形式です"))
+                    continue
+
+                results.append(self._process_single_audio_file(
+                    bucket_name, object_key, context,
+                    roster_override=self._roster_from_event(event),
+                    transcription_override=event.get('transcription'),
+                    email_override=event.get('email'),
+                    series_override=event.get('series')
+                ))
+
+            return self._create_success_response(results)
+            
+        except Exception as e:
+            logger.error(f"手動モードエラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _defer_manual_files(self, event: Dict[str, Any], bucket_name: str, object_keys: List[str],
+                            context: Any) -> List[Dict[str, Any]]:
+        """バッチ上限・残り時間で処理しきれなかったファイルを後続の呼び出しに回す"""
+        continuation = {
+            key: event[key] for key in ('participants', 'speaker_names', 'transcription', 'email', 'series') if key in event
+        }
+        continuation.update({'bucket': bucket_name, 'object_keys': object_keys})
+
+        function_arn = getattr(context, 'invoked_function_arn', None)
+        if function_arn:
+            boto3.client('lambda').invoke(
+                FunctionName=function_arn,
+                InvocationType='Event',
+                Payload=json.dumps(continuation, ensure_ascii=False).encode('utf-8')
+            )
+            reason = "後続の呼び出しで処理します"
+        else:
+            reason = "バッチ上限または残り時間のため未処理（object_keys を指定して再実行してください）"
+        logger.info(f"⏭️ {len(object_keys)}件を後続に回します: {reason}")
+
+        return [{
+            'file': object_key,
+            'status': 'deferred',
+            'reason': reason,
+            'timestamp': datetime.now().isoformat()
+        } for object_key in object_keys]
+
+    def _list_audio_files(self, bucket_name: str, prefix: str) -> List[Dict[str, Any]]:
+        """プレフィックス配下の音声ファイル一覧（ページネーション対応）"""
+        audio_files = []
+        paginator = self.s3_client.get_paginator('list_objects_v2')
+        for response in paginator.paginate(Bucket=bucket_name, Prefix=prefix):
+            audio_files.extend(obj for obj in response.get('Contents', []) if self._is_valid_audio_file(obj['Key']))
+        return audio_files
+
+    def _in_date_range(self, last_modified: datetime, date_from: Optional[str], date_to: Optional[str]) -> bool:
+        """最終更新日が期間内か（YYYY-MM-DD、両端を含む）"""
+        modified_date = last_modified.strftime('%Y-%m-%d')
+        return (not date_from or modified_date >= date_from) and (not date_to or modified_date <= date_to)
+
+    def _is_processed(self, bucket_name: str, obj: Dict[str, Any]) -> bool:
+        """現在の内容（ETag）で処理済みか"""
+        run = self._register_run(bucket_name, obj['Key'], obj.get('ETag', ''))
+        if self.job_store:
+            job = self.job_store.get(run['job_id'])
+            return bool(job) and job['state'] == 'done'
+        try:
+            self.s3_client.head_object(Bucket=self._resolve_output_bucket(bucket_name),
+                                       Key=f"{run['output_folder']}manifest.json")
+            return True
+        except Exception:
+            return False
+
+    def _process_speaker_update(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """話者名・参加者の事後編集 - 文字起こし・summary.json・email_content.txt を再出力
+
+        イベント例: {"action": "update_speakers", "object_key": "meeting record/xxx.m4a",
+                     "speaker_names": {"spk_0": "山田太郎"}, "participants": ["佐藤 <sato@example.com>"]}
+        """
+        try:
+            # 議事録は出力先バケットにある（event の bucket は音声ファイルのバケット）
+            bucket_name = self._resolve_output_bucket(event.get('bucket') or self.default_bucket)
+            if event.get('output_folder'):
+                output_folder = event['output_folder'].rstrip('/') + '/'
+            elif event.get('object_key'):
+                output_folder = self._latest_output_folder(bucket_name, event['object_key'])
+                if not output_folder:
+                    return self._create_error_response(f"議事録が見つかりません: {event['object_key']}", 404)
+            else:
+                return self._create_error_response("object_key または output_folder を指定してください", 400)
+
+            try:
+                manifest = self._read_json_object(bucket_name, f"{output_folder}manifest.json")
+            except self.s3_client.exceptions.NoSuchKey:
+                return self._create_error_response(f"議事録が見つかりません: {output_folder}", 404)
+            if manifest['status'] != 'success':
+                return self._create_error_response(f"議事録が生成されていません (status: {manifest['status']})", 409)
+
+            summary_result = self._read_json_object(bucket_name, manifest['files']['summary_json'])
+            try:
+                transcript_document = self._read_json_object(bucket_name, manifest['files']['transcript_json'])
+            except (KeyError, self.s3_client.exceptions.NoSuchKey):
+                response = self.s3_client.get_object(Bucket=bucket_name, Key=manifest['files']['transcript'])
+                transcript_document = self._transcript_document_from_text(response['Body'].read().decode('utf-8'))
+
+            roster = summary_result.get('roster') or {'participants': [], 'speaker_names': {}}
+            self._merge_roster(roster, event.get('participants'), event.get('speaker_names'))
+            participant_names = [p['name'] for p in roster['participants']]
+
+            # 名前を外した話者は話者ラベル表示に戻す
+            for speaker in transcript_document['speakers']:
+                speaker['name'] = roster['speaker_names'].get(speaker['id'])
+            transcript_text = self._render_transcript_text(transcript_document)
+
+            self._apply_speaker_names_to_summary(summary_result, roster['speaker_names'])
+            summary_result['roster'] = roster
+            if participant_names:
+                summary_result['participants'] = ", ".join(participant_names)
+
+            meeting_info = self._meeting_info_from_manifest(manifest, summary_result)
+            copy_paste_text = self._create_copy_paste_text(summary_result, meeting_info, meeting_info['source_file'], transcript_text)
+
+            manifest['meeting']['participants'] = meeting_info['participants']
+            manifest['meeting']['roster'] = roster
+            manifest['summary'] = summary_result
+            manifest['updated_at'] = datetime.now().isoformat()
+
+            # 出席者・担当者名が変わるためカレンダーも作り直す
+            calendar_ics = self._create_calendar_ics(manifest['source']['file'], summary_result) if self.config['calendar_export'] else None
+            calendar_files = []
+            if calendar_ics:
+                manifest['files']['calendar'] = f"{output_folder}events.ics"
+                calendar_files = [(manifest['files']['calendar'], calendar_ics, 'text/calendar; charset=utf-8')]
+
+            files_to_save = calendar_files + [
+                (manifest['files']['transcript'], transcript_text, 'text/plain; charset=utf-8'),
+                (f"{output_folder}transcript.json", json.dumps(transcript_document, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
+                (manifest['files']['summary_json'], json.dumps(summary_result, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
+                (manifest['files']['email_content'], copy_paste_text, 'text/plain; charset=utf-8'),
+                (f"{output_folder}manifest.json", json.dumps(manifest, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
+            ]
+            for key, content, content_type in files_to_save:
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=key,
+                    Body=content.encode('utf-8'),
+                    ContentType=content_type
+                )
+            logger.info(f"👥 話者名を更新して再出力: s3://{bucket_name}/{output_folder}")
+
+            return {
+                'statusCode': 200,
+                'body': json.dumps({
+                    'mode': 'update_speakers',
+                    'output_folder': output_folder,
+                    'roster': roster
+                }, ensure_ascii=False, indent=2)
+            }
+
+        except Exception as e:
+            logger.error(f"話者名更新エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _meeting_info_from_manifest(self, manifest: Dict[str, Any], summary_result: Dict[str, Any]) -> Dict[str, Any]:
+        """保存済みマニフェストから再出力用の会議情報を復元"""
+        return {
+            'title': manifest['meeting']['title'],
+            'date': manifest['meeting']['date'],
+            'participants': summary_result.get('participants', manifest['meeting']['participants']),
+            'source_file': manifest['source']['file'],
+            'roster': summary_result.get('roster') or manifest['meeting'].get('roster', {'participants': [], 'speaker_names': {}}),
+            'email': manifest.get('email') or summary_result.get('email', {}),
+            'series': manifest['meeting'].get('series') or self._resolve_meeting_series(manifest['source']['file'], {})
+        }
+
+    def _process_email_approval(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """承認待ちフォローアップメールを送信
+
+        イベント例: {"action": "approve_email", "object_key": "meeting record/xxx.m4a",
+                     "approved_by": "yamada@example.com", "recipients": ["client@example.com"]}
+        recipients を指定した場合は宛先を差し替えて送信する。
+        """
+        try:
+            if not self.email_transport:
+                return self._create_error_response("メール送信が設定されていません (email_delivery)", 400)
+
+            # 議事録は出力先バケットにある（event の bucket は音声ファイルのバケット）
+            bucket_name = self._resolve_output_bucket(event.get('bucket') or self.default_bucket)
+            if event.get('output_folder'):
+                output_folder = event['output_folder'].rstrip('/') + '/'
+            elif event.get('object_key'):
+                output_folder = self._latest_output_folder(bucket_name, event['object_key'])
+                if not output_folder:
+                    return self._create_error_response(f"議事録が見つかりません: {event['object_key']}", 404)
+            else:
+                return self._create_error_response("object_key または output_folder を指定してください", 400)
+
+            manifest_key = f"{output_folder}manifest.json"
+            try:
+                manifest = self._read_json_object(bucket_name, manifest_key)
+            except self.s3_client.exceptions.NoSuchKey:
+                return self._create_error_response(f"議事録が見つかりません: {output_folder}", 404)
+
+            if manifest['status'] != 'success':
+                return self._create_error_response(f"議事録が生成されていません (status: {manifest['status']})", 409)
+            if manifest.get('delivery', {}).get('status') == 'sent':
+                return self._create_error_response("このメールは送信済みです", 409)
+
+            # 承認時点の議事録（話者名の編集などを反映済み）から本文を作成
+            summary_result = self._read_json_object(bucket_name, manifest['files']['summary_json'])
+            meeting_info = self._meeting_info_from_manifest(manifest, summary_result)
+            delivery = self._deliver_followup_email(bucket_name, manifest_key, summary_result, meeting_info,
+                                                    approved=True, recipients=event.get('recipients'),
+                                                    approved_by=event.get('approved_by'))
+
+            status_code = {'sent': 200, 'duplicate': 409}.get(delivery['status'], 502)
+            return {
+                'statusCode': status_code,
+                'body': json.dumps({
+                    'mode': 'approve_email',
+                    'output_folder': output_folder,
+                    'delivery': delivery
+                }, ensure_ascii=False, indent=2)
+            }
+
+        except Exception as e:
+            logger.error(f"メール承認処理エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _read_json_object(self, bucket_name: str, key: str) -> Dict[str, Any]:
+        """S3上のJSONオブジェクト読み込み"""
+        response = self.s3_client.get_object(Bucket=bucket_name, Key=key)
+        return json.loads(response['Body'].read().decode('utf-8'))
+
+    def _process_pasted_transcript(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """貼り付けテキストモード - テキストをS3に保存して通常処理"""
+        logger.info("📋 貼り付けテキストモード")
+
+        try:
+            bucket_name = self.default_bucket
+            name = re.sub(r'[^\w\-]', '_', event.get('name') or f"pasted_{datetime.now().strftime('%Y%m%d_%H%M%S')}")
+            object_key = f"{self.config['pasted_transcript_prefix']}{name}.txt"
+
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=object_key,
+                Body=event['transcript_text'].encode('utf-8'),
+                ContentType='text/plain; charset=utf-8'
+            )
+            logger.info(f"💾 貼り付けテキスト保存: s3://{bucket_name}/{object_key}")
+
+            result = self._process_single_audio_file(bucket_name, object_key, context,
+                                                     roster_override=self._roster_from_event(event),
+                                                     transcription_override=event.get('transcription'),
+                                                     email_override=event.get('email'),
+                                                     series_override=event.get('series'))
+
+            return {
+                'statusCode': 200,
+                'body': json.dumps({
+                    'mode': 'pasted_transcript',
+                    'result': result
+                }, ensure_ascii=False, indent=2)
+            }
+
+        except Exception as e:
+            logger.error(f"貼り付けテキストモードエラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _is_valid_audio_file(self, object_key: str) -> bool:
+        """有効な音声ファイル（または supplied_transcript_prefix 配下の文字起こしファイル）かチェック
+
+        audio_prefix 配下の文字起こしファイルは音声のサイドカーのため、単独の会議としては処理しない。
+        """
+        if self._is_transcript_file(object_key):
+            return object_key.startswith(self.supplied_transcript_prefix)
+        if not object_key.startswith(self.audio_prefix):
+            return False
+        
+        return any(object_key.lower().endswith(ext) for ext in self.audio_extensions)
+
+    def _is_transcript_file(self, object_key: str) -> bool:
+        """文字起こしファイル（.vtt / .srt / .txt）かチェック"""
+        return os.path.splitext(object_key)[1].lower() in self.transcript_extensions
+
+    def _find_sidecar_transcript(self, bucket_name: str, object_key: str) -> Optional[str]:
+        """音声ファイルと同じ場所にある同名の文字起こしファイル（meeting.m4a → meeting.vtt）のキー"""
+        base_key = os.path.splitext(object_key)[0]
+        for extension in sorted(self.transcript_extensions):
+            sidecar_key = f"{base_key}{extension}"
+            try:
+                self.s3_client.head_object(Bucket=bucket_name, Key=sidecar_key)
+                return sidecar_key
+            except Exception as e:
+                if not is_s3_not_found(e):
+                    raise
+        return None
+
+    def _select_transcription_backend(self, object_key: str) -> TranscriptionBackend:
+        """対象ファイルに応じた文字起こしバックエンド選択（サイドカーの文字起こしがある音声は supplied）"""
+        if self._is_transcript_file(object_key) or self.sidecar_transcript:
+            return self.transcription_backends['supplied']
+        return self.transcription_backends[self.config['transcription_backend']]
+
+    def _process_single_audio_file(self, bucket_name: str, object_key: str, context: Any,
+                                   roster_override: Optional[Dict[str, Any]] = None,
+                                   transcription_override: Optional[Dict[str, Any]] = None,
+                                   email_override: Optional[Dict[str, Any]] = None,
+                                   series_override: Optional[str] = None,
+                                   force: bool = False) -> Dict[str, Any]:
+        """単一音声ファイル処理（更新版）
+
+        force=True の場合は処理済みのジョブも再処理する（再処理API）。
+        """
+        logger.info(f"🎵 音声ファイル処理開始: {object_key}")
+        logger.info(f"🥇 使用予定メインモデル: {self.primary_model}")
+
+        output_bucket = self._resolve_output_bucket(bucket_name)
+        self.transcription_usage = None
+        self.previous_revisions_cost = 0.0
+        self.revision_history = None
+        self.sidecar_transcript = None
+        # ジョブ確保前（ファイル情報の取得など）に失敗した場合は None のまま
+        job = None
+        
+        try:
+            # ファイル情報取得
+            file_info = self.s3_client.head_object(Bucket=bucket_name, Key=object_key)
+            file_size = file_info['ContentLength']
+            last_modified = file_info['LastModified']
+            if not self._is_transcript_file(object_key):
+                self.sidecar_transcript = self._find_sidecar_transcript(bucket_name, object_key)
+            
+            logger.info(f"📁 ファイルサイズ: {file_size/1024/1024:.2f}MB")
+            
+            # サイズチェック
+            if file_size > self.max_file_size:
+                return self._create_file_error_result(object_key, f"ファイルサイズが{self.config['max_file_size_mb']}MBを超えています")
+
+            # 実行情報（ジョブID・出力フォルダ）の登録とジョブ確保
+            # 同じオブジェクトを処理中・処理済みなら重複イベントとしてスキップ
+            run = self._register_run(bucket_name, object_key, file_info.get('ETag', ''))
+            job, claimed = self._claim_job(bucket_name, object_key, run, force)
+            if not claimed:
+                return self._create_duplicate_result(object_key, job)
+            
+            # 処理進捗をS3に記録
+            self._update_progress(output_bucket, object_key, f"文字起こし処理開始 (使用予定モデル: {self.primary_model})",
+                                  stage='transcribing', restart=True)
+            
+            # 会議情報生成（参加者名簿: サイドカーJSON < オブジェクトメタデータ < 手動実行イベント）
+            roster = self._load_participant_roster(bucket_name, object_key, file_info.get('Metadata', {}), roster_override)
+            meeting_info = self._generate_meeting_info(object_key, last_modified, roster)
+            logger.info(f"📝 会議情報: {meeting_info['title']}")
+
+            # 文字起こし設定（デプロイ設定 < オブジェクトメタデータ < 手動実行イベント）
+            transcription_settings = self._resolve_transcription_settings(
+                file_info.get('Metadata', {}), transcription_override
+            )
+            meeting_info['transcription'] = {
+                'backend': self._select_transcription_backend(object_key).name,
+                'settings': transcription_settings
+            }
+            meeting_info['email'] = self._resolve_email_settings(file_info.get('Metadata', {}), email_override)
+            meeting_info['series'] = self._resolve_meeting_series(object_key, file_info.get('Metadata', {}), series_override)
+
+            self._advance_job(job, 'transcribing')
+            
+            # 非同期モード: Transcribeジョブ開始のみで終了し、完了イベントで後続処理を実行
+            if (self.config['transcribe_async']
+                    and self._select_transcription_backend(object_key) is self.transcribe_backend):
+                existing_transcript = self._check_existing_transcript(output_bucket, object_key)
+                if not existing_transcript:
+                    return self._start_async_transcription(bucket_name, output_bucket, object_key, meeting_info,
+                                                           transcription_settings, job)
+
+                logger.info("📄 既存の文字起こしを使用")
+                self.transcription_usage = self._transcription_usage_record(
+                    self.transcribe_backend.name, existing_transcript, billable=False
+                )
+                transcript_result = {
+                    'status': 'success',
+                    'transcript': self._render_transcript_text(existing_transcript),
+                    'transcript_document': existing_transcript,
+                    'source': 'existing'
+                }
+            else:
+                # 文字起こし処理
+                transcript_result = self._process_transcription(bucket_name, object_key, context, transcription_settings)
+
+            if transcript_result['status'] != 'success':
+                reason = transcript_result.get('message') or '文字起こし失敗'
+                if not self.config['demo_mode']:
+                    return self._save_incomplete_outputs(output_bucket, object_key, meeting_info, job,
+                                                         'failed', 'transcription', reason)
+                # デモモードのみデモデータで続行
+                logger.warning("文字起こし失敗 - デモデータで続行")
+                transcript_text = self._get_demo_transcript()
+                transcript_document = self._transcript_document_from_text(transcript_text)
+                self._update_progress(output_bucket, object_key, "文字起こし失敗 - デモデータ使用",
+                                      stage='transcribing', fraction=1, error=reason)
+            else:
+                transcript_text = transcript_result['transcript']
+                transcript_document = transcript_result['transcript_document']
+                logger.info(f"✅ 文字起こし完了: {len(transcript_text)}文字")
+                self._update_progress(output_bucket, object_key, f"文字起こし完了 ({len(transcript_text)}文字)",
+                                      stage='transcribing', fraction=1)
+
+            return self._complete_meeting_processing(output_bucket, object_key, meeting_info, transcript_text,
+                                                     transcript_document, job)
+
+        except JobStateConflict:
+            logger.warning(f"⚠️ 他の実行がジョブを引き継いだため処理を中断: {object_key}")
+            return self._create_duplicate_result(object_key, job)
+            
+        except Exception as e:
+            logger.error(f"❌ ファイル処理エラー ({object_key}): {str(e)}", exc_info=True)
+            self._update_progress(output_bucket, object_key, f"❌ 処理エラー: {str(e)}", status='failed', error=str(e))
+            if job:
+                self._fail_job(job, str(e))
+            return self._create_file_error_result(object_key, str(e))
+
+    def _complete_meeting_processing(self, output_bucket: str, object_key: str, meeting_info: Dict[str, str],
+                                     transcript_text: str, transcript_document: Dict[str, Any],
+                                     job: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """文字起こし後の処理（議事録生成・ファイル保存・完了通知）"""
+        # 字幕ファイル等で判明した話者名を名簿に統合（名簿の指定を優先）
+        roster = meeting_info.setdefault('roster', {'participants': [], 'speaker_names': {}})
+        detected_names = {s['id']: s['name'] for s in transcript_document['speakers'] if s.get('name')}
+        if detected_names:
+            self._merge_roster(roster, None, {**detected_names, **roster['speaker_names']})
+            meeting_info['participants'] = ", ".join(p['name'] for p in roster['participants'])
+
+        # 参加者名簿の話者名を文字起こしに反映
+        speaker_names = roster['speaker_names']
+        if speaker_names:
+            self._apply_speaker_names(transcript_document, speaker_names)
+            transcript_text = self._render_transcript_text(transcript_document)
+
+        # 中断した実行を再開した場合は、前回の実行で記録した文字起こしの実行記録を引き継ぐ
+        if job and job.get('transcription_usage') and not (self.transcription_usage or {}).get('billable'):
+            self.transcription_usage = job['transcription_usage']
+
+        if job and job.get('summary'):
+            # 中断した実行が議事録生成まで完了していれば、その結果から再開
+            summary_result = job['summary']
+            self.llm_attempts = job.get('llm_attempts') or []
+            logger.info("♻️ 保存済みの議事録生成結果から再開")
+            self._update_progress(output_bucket, object_key, "議事録生成済み - 出力処理から再開", stage='rendering')
+        else:
+            self._advance_job(job, 'summarizing', transcription_usage=self.transcription_usage)
+
+            # 同じシリーズの過去の会議の未完了アクションアイテム（継続タスクを新規タスクと区別させる）
+            meeting_info['open_action_items'] = self._open_action_items(output_bucket, object_key, meeting_info)
+
+            # Claude処理進捗更新
+            self._update_progress(output_bucket, object_key, f"Claude処理開始 (メインモデル: {self.primary_model})",
+                                  stage='summarizing')
+            
+            # 議事録生成（指定モデル最優先）
+            summary_result = self._generate_meeting_summary_with_specified_model(output_bucket, meeting_info, transcript_text, object_key)
+            if not summary_result and not self.config['demo_mode']:
+                # 全モデル失敗: 文字起こしのみ保存して要対応とする（架空の議事録は作成しない）
+                return self._save_incomplete_outputs(
+                    output_bucket, object_key, meeting_info, job, 'needs_attention', 'summary',
+                    f"議事録生成失敗: 全モデル失敗 (メイン: {self.primary_model})",
+                    transcript_text, transcript_document
+                )
+            if not summary_result:
+                # デモモードのみ、全モデル失敗時はデモデータで続行
+                logger.warning("全Claudeモデル失敗 - デモデータで続行")
+                summary_result = self._create_demo_summary(meeting_info, transcript_text)
+                self._update_progress(output_bucket, object_key, f"全Claudeモデル失敗 (メイン: {self.primary_model}) - デモデータ使用",
+                                      stage='summarizing', fraction=1, model=None, error="全Claudeモデル失敗")
+            else:
+                self._update_progress(output_bucket, object_key, f"Claude処理完了 (使用モデル記録済み)",
+                                      stage='summarizing', fraction=1, model=None)
+
+            self._advance_job(job, 'rendering', summary=summary_result, llm_attempts=self.llm_attempts)
+        
+        self._apply_speaker_names_to_summary(summary_result, speaker_names)
+
+        # 会議情報をサマリーに追加（マニフェスト用）
+        summary_result["meeting_title"] = meeting_info['title']
+        summary_result["meeting_date"] = meeting_info['date']
+        summary_result["meeting_datetime"] = meeting_info.get('datetime')
+        summary_result["participants"] = meeting_info['participants']
+        summary_result["roster"] = meeting_info.get('roster', {'participants': [], 'speaker_names': {}})
+        summary_result["transcription"] = {
+            **meeting_info.get('transcription', {}),
+            'detected_language': transcript_document.get('language')
+        }
+        summary_result["email"] = meeting_info.get('email', {})
+        summary_result["series"] = meeting_info.get('series')
+
+        # 期限の表記（来週月曜日など）を会議日基準の日付に解決
+        self._resolve_action_item_deadlines(summary_result, meeting_info)
+
+        # アクションアイテムをストアに登録し、各項目に安定したID（id）を付与
+        self._sync_action_items(output_bucket, object_key, summary_result)
+
+        # 決定事項・アクション項目の発言箇所（フロントエンドで音声位置へジャンプする用途）
+        summary_result["transcript_refs"] = self._link_summary_to_transcript(summary_result, transcript_document)
+        
+        # メールコピペ用テキスト作成
+        self._update_progress(output_bucket, object_key, "テキストファイル作成開始", stage='rendering')
+        copy_paste_text = self._create_copy_paste_text(summary_result, meeting_info, object_key, transcript_text)
+        
+        # 新しいファイル保存方式で保存
+        saved_files = self._save_text_files_to_email_output(output_bucket, object_key, transcript_text, summary_result,
+                                                           copy_paste_text, transcript_document)
+
+        # フォローアップメール送信（承認必須の場合は下書きとして保留）
+        if self.email_transport and saved_files.get("manifest"):
+            self._deliver_followup_email(output_bucket, saved_files["manifest"], summary_result, meeting_info,
+                                         approved=not self.config['email_require_approval'])
+        
+        # 完了通知作成
+        self._create_completion_notification(output_bucket, object_key, meeting_info, len(transcript_text), saved_files)
+        
+        # 最終進捗
+        self._update_progress(output_bucket, object_key, "✅ 全処理完了 - 標準フォーマットのファイル生成済み", status='done')
+        self._advance_job(job, 'done', output_folder=self._output_folder(object_key), summary=None, llm_attempts=None,
+                          transcription_usage=None)
+        
+        # Get manifest path if available
+        manifest_path = saved_files.get("manifest", "")
+        models_used = self._models_used()
+        
+        return {
+            'file': object_key,
+            'status': 'success',
+            'primary_model_used': self.primary_model,
+            'model_used': models_used[0] if models_used else None,
+            'meeting_info': meeting_info,
+            'transcript_length': len(transcript_text),
+            'text_files_created': True,
+            'output_folder': self._output_folder(object_key),
+            'manifest': manifest_path,
+            'processing_time': datetime.now().isoformat()
+        }
+
+    def _resolve_action_item_deadlines(self, summary_result: Dict[str, Any], meeting_info: Dict[str, Any]) -> None:
+        """各アクションアイテムの期限を normalize_deadline で解決し、元の表記（deadline）に加えて
+        deadline_date（YYYY-MM-DD）/ deadline_kind / deadline_ambiguous（要確認）を付与"""
+        base = self._meeting_local_datetime(meeting_info.get('datetime')).date()
+
+        ambiguous_count = 0
+        for item in summary_result.get('action_items', []) or []:
+            if not isinstance(item, dict):
+                continue
+            resolved = normalize_deadline(item.get('deadline'), base)
+            item['deadline_date'] = resolved['date']
+            item['deadline_kind'] = resolved['kind']
+            item['deadline_ambiguous'] = resolved['ambiguous']
+            if resolved['ambiguous']:
+                ambiguous_count += 1
+                logger.info(f"📅 期限の解釈に確認が必要: {resolved['original']} → {resolved['date'] or '解決できません'}")
+        if ambiguous_count:
+            logger.warning(f"⚠️ 要確認の期限: {ambiguous_count}件 (会議日: {base.isoformat()})")
+
+    def _calendar_timezone(self) -> Any:
+        """calendar_timezone のタイムゾーン（不明な名前の場合は UTC）"""
+        try:
+            return ZoneInfo(self.config['calendar_timezone'])
+        except Exception as e:
+            logger.warning(f"⚠️ calendar_timezone が不正です - UTC を使用: {self.config['calendar_timezone']} ({str(e)})")
+            return timezone.utc
+
+    def _meeting_local_datetime(self, meeting_datetime: Optional[str]) -> datetime:
+        """会議日時（ISO形式）を calendar_timezone の現地時刻に換算（タイムゾーンなしは現地時刻とみなす、不明な場合は現在時刻）"""
+        tz = self._calendar_timezone()
+        try:
+            meeting_at = datetime.fromisoformat(meeting_datetime or '')
+        except (TypeError, ValueError):
+            return datetime.now(tz)
+        return meeting_at.astimezone(tz) if meeting_at.tzinfo else meeting_at.replace(tzinfo=tz)
+
+    def _create_calendar_ics(self, object_key: str, summary_result: Dict[str, Any]) -> Optional[str]:
+        """次回会議（VEVENT）と期限付きアクションアイテム（VEVENT / VTODO）の events.ics を作成
+
+        次回会議は next_meeting を会議日時（calendar_timezone の現地時刻）基準で解決し、
+        時刻の記載がなければ終日の予定にする。出席者は参加者名簿のメールアドレス、
+        アクションアイテムは担当者と名前（敬称・空白を除いて）が一致する名簿のメールアドレス。
+        デモデータの場合、または登録する予定がない場合は None。
+        """
+        if "note" in summary_result:
+            return None
+
+        tz = self._calendar_timezone()
+        meeting_at = self._meeting_local_datetime(summary_result.get('meeting_datetime'))
+
+        language = (summary_result.get('email') or {}).get('language') or self.config['email_language']
+        labels = CALENDAR_LABELS.get(language, CALENDAR_LABELS['ja'])
+        component = self.config['calendar_deadline_component']
+        if component not in CALENDAR_DEADLINE_COMPONENTS:
+            logger.warning(f"⚠️ calendar_deadline_component が不正です - vevent を使用: {component}")
+            component = 'vevent'
+
+        source_id = self._source_id(object_key)
+        title = summary_result.get('meeting_title', 'Meeting Recording')
+        meeting_date = summary_result.get('meeting_date') or meeting_at.date().isoformat()
+        participants = [p for p in (summary_result.get('roster') or {}).get('participants', []) if p.get('name')]
+        stamp = datetime.now(timezone.utc).strftime('%Y%m%dT%H%M%SZ')
+
+        def utc(value: datetime) -> str:
+            return value.astimezone(timezone.utc).strftime('%Y%m%dT%H%M%SZ')
+
+        def attendee(person: Dict[str, Any]) -> str:
+            return (f"ATTENDEE;CN={_ics_param(person['name'])};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:"
+                    f"mailto:{person['email']}")
+
+        organizer = []
+        if self.config['email_sender']:
+            organizer = [f"ORGANIZER:mailto:{self.config['email_sender']}"]
+
+        components = []
+
+        # 次回会議
+        next_meeting = summary_result.get('next_meeting')
+        resolved = normalize_deadline(next_meeting, meeting_at.date())
+        if resolved['date']:
+            day = date.fromisoformat(resolved['date'])
+            timing = parse_meeting_time(next_meeting, (meeting_at.hour, meeting_at.minute))
+            if timing['time']:
+                start = datetime(day.year, day.month, day.day, *timing['time'], tzinfo=tz)
+                end = start + timedelta(minutes=timing['duration_minutes'] or self.config['calendar_event_minutes'])
+                period = [f"DTSTART:{utc(start)}", f"DTEND:{utc(end)}"]
+            else:
+                period = [f"DTSTART;VALUE=DATE:{day.strftime('%Y%m%d')}",
+                          f"DTEND;VALUE=DATE:{(day + timedelta(days=1)).strftime('%Y%m%d')}"]
+            description = labels['next_meeting_description'].format(
+                next_meeting=next_meeting, date=meeting_date,
+                participants=summary_result.get('participants') or '-'
+            )
+            if resolved['ambiguous']:
+                description += '\n' + labels['ambiguous_note'].format(original=resolved['original'])
+            components.append([
+                'BEGIN:VEVENT',
+                f"UID:{source_id}-next-meeting@{CALENDAR_UID_DOMAIN}",
+                f"DTSTAMP:{stamp}",
+                *period,
+                f"SUMMARY:{_ics_escape(labels['next_meeting'].format(title=title))}",
+                f"DESCRIPTION:{_ics_escape(description)}",
+                f"STATUS:{'TENTATIVE' if resolved['ambiguous'] else 'CONFIRMED'}",
+                *organizer,
+                *[attendee(p) for p in participants if p.get('email')],
+                'END:VEVENT'
+            ])
+        elif resolved['kind'] == 'unresolved':
+            logger.info(f"📅 次回会議の日付を解決できないためカレンダーに登録しません: {resolved['original']}")
+
+        # 期限付きアクションアイテム
+        for item in summary_result.get('action_items', []) or []:
+            if not isinstance(item, dict) or not item.get('deadline_date'):
+                continue
+            due = date.fromisoformat(item['deadline_date'])
+            task = item.get('task', '')
+            assignee = item.get('assignee') or '-'
+            assignee_names = split_assignee_names(assignee)
+            uid = item.get('id') or f"{source_id}-{hashlib.sha1(task.encode('utf-8')).hexdigest()[:10]}"
+            description = labels['action_item_description'].format(
+                assignee=assignee, deadline=item.get('deadline', ''), priority=item.get('priority', '中'),
+                title=title, date=meeting_date
+            )
+            if item.get('deadline_ambiguous'):
+                description += '\n' + labels['ambiguous_note'].format(original=item.get('deadline', ''))
+            if item.get('id'):
+                description += '\n' + labels['item_id'].format(id=item['id'])
+            common = [
+                f"DTSTAMP:{stamp}",
+                f"SUMMARY:{_ics_escape(labels['action_item'].format(task=task, assignee=assignee))}",
+                f"DESCRIPTION:{_ics_escape(description)}",
+                f"PRIORITY:{CALENDAR_PRIORITIES.get(item.get('priority'), 5)}",
+                *organizer,
+                *[attendee(p) for p in participants
+                  if p.get('email') and normalize_person_name(p['name']) in assignee_names]
+            ]
+            if component in ('vevent', 'both'):
+                components.append([
+                    'BEGIN:VEVENT',
+                    f"UID:{uid}@{CALENDAR_UID_DOMAIN}",
+                    f"DTSTART;VALUE=DATE:{due.strftime('%Y%m%d')}",
+                    f"DTEND;VALUE=DATE:{(due + timedelta(days=1)).strftime('%Y%m%d')}",
+                    'TRANSP:TRANSPARENT',
+                    *common,
+                    'END:VEVENT'
+                ])
+            if component in ('vtodo', 'both'):
+                components.append([
+                    'BEGIN:VTODO',
+                    f"UID:{uid}-todo@{CALENDAR_UID_DOMAIN}",
+                    f"DUE;VALUE=DATE:{due.strftime('%Y%m%d')}",
+                    'STATUS:NEEDS-ACTION',
+                    *common,
+                    'END:VTODO'
+                ])
+
+        if not components:
+            return None
+
+        lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            f"PRODID:{CALENDAR_PRODID}",
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            f"X-WR-CALNAME:{_ics_escape(title)}",
+            *[line for component_lines in components for line in component_lines],
+            'END:VCALENDAR'
+        ]
+        logger.info(f"📅 カレンダー作成: {len(components)}件")
+        return '\r\n'.join(_ics_fold(line) for line in lines) + '\r\n'
+
+    def _claim_job(self, bucket_name: str, object_key: str, run: Dict[str, str], force: bool = False) -> tuple:
+        """ジョブを確保して (ジョブレコード, 確保できたか) を返す
+
+        - 新規: queued で作成
+        - 処理済み (done) / 占有期限内の処理中: 確保できない（重複イベント）
+        - 失敗 (failed) / 占有期限切れ: 引き継いで最後に完了した段階から再開
+        - force=True: 処理済みでも queued に戻して確保（占有期限内の処理中は確保できない）
+        ジョブ状態ストアが無効な場合は (None, True)。
+        """
+        if not self.job_store:
+            return None, True
+
+        job_id = run['job_id']
+        now = datetime.now()
+        record = {
+            'job_id': job_id,
+            'bucket': bucket_name,
+            'key': object_key,
+            'etag': run['etag'],
+            'state': 'queued',
+            'version': 1,
+            'attempts': 1,
+            'created_at': now.isoformat(),
+            'updated_at': now.isoformat(),
+            'lease_until': (now + timedelta(seconds=self.config['job_lease_seconds'])).isoformat(),
+            'history': [{'state': 'queued', 'at': now.isoformat()}]
+        }
+        try:
+            self.job_store.put(record, expected_version=None)
+            logger.info(f"🆕 ジョブ作成: {job_id} ({object_key})")
+            return record, True
+        except JobStateConflict:
+            pass
+
+        existing = self.job_store.get(job_id)
+        if not existing:
+            return None, False
+        if existing['state'] in ('done', 'needs_attention') and not force:
+            logger.info(f"⏭️ 処理済みのため重複イベントをスキップ: {object_key} (ジョブ {job_id})")
+            return existing, False
+        if existing['state'] not in ('failed', 'done', 'needs_attention') and existing.get('lease_until', '') > now.isoformat():
+            logger.info(f"⏭️ 処理中のため重複イベントをスキップ: {object_key} (ジョブ {job_id}, 状態 {existing['state']})")
+            return existing, False
+
+        # 失敗・中断したジョブを引き継ぐ
+        try:
+            resumed_from = existing['state']
+            existing['attempts'] = existing.get('attempts', 1) + 1
+            existing['error'] = None
+            self._advance_job(existing, 'queued' if resumed_from in ('failed', 'done', 'needs_attention') else resumed_from)
+            logger.info(f"♻️ ジョブを引き継いで再開: {job_id} (前回の状態: {resumed_from}, 試行 {existing['attempts']}回目)")
+            return existing, True
+        except JobStateConflict:
+            logger.info(f"⏭️ 他の実行がジョブを引き継いだためスキップ: {object_key}")
+            return existing, False
+
+    def _advance_job(self, job: Optional[Dict[str, Any]], state: str,
+                     lease_seconds: Optional[int] = None, **updates: Any) -> None:
+        """ジョブ状態を更新（条件付き書き込み。競合時は JobStateConflict）"""
+        if not job or not self.job_store:
+            return
+
+        now = datetime.now()
+        expected_version = job['version']
+        job.update(updates)
+        if job['state'] != state:
+            job['history'].append({'state': state, 'at': now.isoformat()})
+        job['state'] = state
+        job['version'] = expected_version + 1
+        job['updated_at'] = now.isoformat()
+        job['lease_until'] = (now + timedelta(seconds=lease_seconds or self.config['job_lease_seconds'])).isoformat()
+        self.job_store.put(job, expected_version)
+
+    def _fail_job(self, job: Optional[Dict[str, Any]], error: str) -> None:
+        """ジョブを failed に更新（次のイベントで再試行される）"""
+        try:
+            self._advance_job(job, 'failed', error=error)
+        except Exception as e:
+            logger.warning(f"⚠️ ジョブ状態の更新失敗: {str(e)}")
+
+    def _create_duplicate_result(self, object_key: str, job: Optional[Dict[str, Any]]) -> Dict[str, Any]:
+        """重複イベント（処理中・処理済み）の結果"""
+        return {
+            'file': object_key,
+            'status': 'duplicate',
+            'job_id': job['job_id'] if job else None,
+            'job_state': job['state'] if job else None,
+            'output_folder': self._output_folder(object_key),
+            'processing_time': datetime.now().isoformat()
+        }
+
+    def _update_progress(self, bucket_name: str, object_key: str, message: str, stage: Optional[str] = None,
+                         fraction: Optional[float] = None, status: Optional[str] = None, restart: bool = False,
+                         **fields: Any) -> None:
+        """進捗を progress.json に記録（条件付き書き込みで競合時は再読み込みして再試行）
+
+        stage: PROGRESS_STAGES の段階。段階と進捗率は単調増加のみ（後戻りする更新は段階を変えずメッセージのみ記録）
+        fraction: 段階内の進み具合（0〜1、分割処理のパートなど）
+        status: 終了状態（done / failed / needs_attention）
+        restart: 再処理・再生成の開始時に段階と進捗率をリセット（イベント履歴は残す）
+        fields: model（試行中のモデル、None でクリア）/ transcribe_job（{'name', 'status'}）/ error（最後のエラー）
+        """
+        progress_key = f"{self._output_folder(object_key)}progress.json"
+        stage_order = list(PROGRESS_STAGES)
+
+        for attempt in range(PROGRESS_MAX_RETRIES):
+            try:
+                response = self.s3_client.get_object(Bucket=bucket_name, Key=progress_key)
+                progress = json.loads(response['Body'].read().decode('utf-8'))
+                etag = response['ETag']
+            except self.s3_client.exceptions.NoSuchKey:
+                progress, etag = None, None
+            except Exception as e:
+                logger.warning(f"進捗読み込み失敗: {str(e)}")
+                return
+
+            now = datetime.now().isoformat()
+            if progress is None or restart:
+                progress = {
+                    "version": PROGRESS_VERSION,
+                    "job_id": self.runs.get(object_key, {}).get('job_id'),
+                    "source_file": object_key,
+                    "sequence": (progress or {}).get('sequence', 0),
+                    "status": "running",
+                    "stage": "queued",
+                    "percent": 0,
+                    "stages": {"queued": {"started_at": now, "ended_at": None}},
+                    "current_model": None,
+                    "transcribe_job": None,
+                    "last_error": None,
+                    "message": "",
+                    "events": (progress or {}).get('events', []),
+                    "started_at": now,
+                    "updated_at": now
+                }
+
+            if progress['status'] == 'running':
+                current = progress['stage']
+                if stage and stage_order.index(stage) > stage_order.index(current):
+                    progress['stages'][current]['ended_at'] = now
+                    progress['stages'][stage] = {"started_at": now, "ended_at": None}
+                    progress['stage'] = current = stage
+
+                if stage == current:
+                    start_percent, end_percent = PROGRESS_STAGES[current]
+                    percent = start_percent + (end_percent - start_percent) * min(max(fraction or 0, 0), 1)
+                    progress['percent'] = max(progress['percent'], int(percent))
+
+                if status:
+                    progress['status'] = status
+                    progress['stages'][current]['ended_at'] = now
+                    if status == 'done':
+                        progress['stages'].setdefault('done', {"started_at": now, "ended_at": now})
+                        progress['stage'] = 'done'
+                        progress['percent'] = 100
+                        progress['current_model'] = None
+
+            if 'model' in fields:
+                progress['current_model'] = fields['model']
+            if fields.get('transcribe_job'):
+                progress['transcribe_job'] = {**(progress['transcribe_job'] or {}), **fields['transcribe_job'], 'updated_at': now}
+            if fields.get('error'):
+                progress['last_error'] = {"stage": progress['stage'], "message": fields['error'], "at": now}
+
+            progress['message'] = message
+            progress['events'] = (progress['events'] + [{"at": now, "stage": progress['stage'], "message": message}])[-PROGRESS_MAX_EVENTS:]
+            progress['sequence'] += 1
+            progress['updated_at'] = now
+
+            condition = {'IfMatch': etag} if etag else {'IfNoneMatch': '*'}
+            try:
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=progress_key,
+                    Body=json.dumps(progress, ensure_ascii=False, indent=2).encode('utf-8'),
+                    ContentType='application/json; charset=utf-8',
+                    CacheControl='no-cache',
+                    **condition
+                )
+                return
+            except Exception as e:
+                error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+                if error_code not in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                    logger.warning(f"進捗記録失敗: {str(e)}")
+                    return
+                logger.info(f"🔁 progress.json 競合 - 再試行 ({attempt + 1}/{PROGRESS_MAX_RETRIES})")
+
+        logger.warning(f"進捗記録失敗: 競合が解消しません ({progress_key})")
+
+    def _generate_meeting_info(self, object_key: str, last_modified: datetime,
+                               roster: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """会議情報生成"""
+        filename = object_key.split('/')[-1].rsplit('.', 1)[0]
+        
+        # ファイル名から会議タイトルを推測
+        if 'GMT' in filename:
+            meeting_title = "定期会議 (自動検出)"
+        elif 'meeting' in filename.lower():
+            meeting_title = f"会議録音 - {filename}"
+        else:
+            meeting_title = f"音声会議 - {filename}"
+        
+        roster = roster or {'participants': [], 'speaker_names': {}}
+        participant_names = [p['name'] for p in roster['participants']]
+
+        return {
+            'title': meeting_title,
+            'date': last_modified.strftime('%Y年%m月%d日 %H:%M'),
+            'datetime': last_modified.isoformat(),
+            'participants': ", ".join(participant_names) if participant_names else "音声ファイルから自動検出",
+            'source_file': object_key,
+            'roster': roster
+        }
+
+    def _resolve_transcription_settings(self, metadata: Dict[str, str],
+                                        override: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """文字起こし設定（言語・話者数・カスタム語彙）を決定
+
+        アップロード単位の指定:
+        - オブジェクトメタデータ: x-amz-meta-language（'auto' 可）/ x-amz-meta-max-speakers /
+          x-amz-meta-vocabulary / x-amz-meta-vocabulary-filter / x-amz-meta-vocabulary-terms（カンマ区切り・URLエンコード）
+        - 手動実行イベントの transcription: {"language", "max_speakers", "vocabulary_name",
+          "vocabulary_filter_name", "vocabulary_terms", "multiple_languages"}
+        """
+        settings = {
+            'language': self.config['transcribe_language'],
+            'language_options': self.config['transcribe_language_options'],
+            'multiple_languages': self.config['transcribe_multiple_languages'],
+            'max_speakers': self.config['transcribe_max_speakers'],
+            'vocabulary_name': self.config['transcribe_vocabulary_name'],
+            'vocabulary_filter_name': self.config['transcribe_vocabulary_filter_name'],
+            'vocabulary_filter_method': self.config['transcribe_vocabulary_filter_method'],
+            'vocabulary_terms': list(self.config['vocabulary_terms'])
+        }
+
+        metadata_mapping = {
+            'language': 'language',
+            'max-speakers': 'max_speakers',
+            'vocabulary': 'vocabulary_name',
+            'vocabulary-filter': 'vocabulary_filter_name',
+            'vocabulary-terms': 'vocabulary_terms'
+        }
+        overrides = {
+            setting: urllib.parse.unquote(metadata[meta_key])
+            for meta_key, setting in metadata_mapping.items()
+            if metadata.get(meta_key)
+        }
+        overrides.update({k: v for k, v in (override or {}).items() if k in settings and v not in (None, '')})
+
+        for key, value in overrides.items():
+            try:
+                if key == 'max_speakers':
+                    value = int(value)
+                elif key in ('vocabulary_terms', 'language_options'):
+                    value = _coerce_config_value(list, value)
+                elif key == 'multiple_languages':
+                    value = _coerce_config_value(bool, value)
+                settings[key] = value
+            except (TypeError, ValueError) as e:
+                logger.warning(f"⚠️ 文字起こし設定の値が不正 ({key}={value!r}): {str(e)} - 既定値を使用")
+
+        # Transcribe の話者数上限は 2〜30
+        settings['max_speakers'] = min(30, max(2, settings['max_speakers']))
+
+        logger.info(f"🌐 文字起こし言語: {settings['language']} / 最大話者数: {settings['max_speakers']}"
+                    f" / カスタム語彙: {settings['vocabulary_name'] or 'なし'}")
+        return settings
+
+    def _resolve_email_settings(self, metadata: Dict[str, str],
+                                override: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """メールテンプレート・言語・宛名を決定
+
+        アップロード単位の指定:
+        - オブジェクトメタデータ: x-amz-meta-email-template / x-amz-meta-email-language / x-amz-meta-recipient-name /
+          x-amz-meta-email-to（宛先のカンマ区切り。いずれもURLエンコード）
+        - 手動実行イベントの email: {"template", "language", "recipient_name", "recipients"}
+        """
+        settings = {
+            'template': self.config['email_template'],
+            'language': self.config['email_language'],
+            'recipient_name': None,
+            'recipients': None
+        }
+
+        metadata_mapping = {
+            'email-template': 'template',
+            'email-language': 'language',
+            'recipient-name': 'recipient_name',
+            'email-to': 'recipients'
+        }
+        for meta_key, setting in metadata_mapping.items():
+            if metadata.get(meta_key):
+                settings[setting] = urllib.parse.unquote(metadata[meta_key])
+        settings.update({k: v for k, v in (override or {}).items() if k in settings and v})
+        if settings['recipients']:
+            settings['recipients'] = _coerce_config_value(list, settings['recipients'])
+
+        templates = self._email_templates()
+        if settings['template'] not in templates:
+            logger.warning(f"⚠️ 未定義のメールテンプレート: {settings['template']} - {self.config['email_template']} を使用")
+            settings['template'] = self.config['email_template']
+        if settings['language'] not in templates.get(settings['template'], {}):
+            logger.warning(f"⚠️ テンプレート {settings['template']} に言語 {settings['language']} がありません - ja を使用")
+            settings['language'] = 'ja'
+
+        logger.info(f"✉️ メールテンプレート: {settings['template']} ({settings['language']})")
+        return settings
+
+    def _resolve_meeting_series(self, object_key: str, metadata: Dict[str, str],
+                                override: Optional[str] = None) -> Dict[str, str]:
+        """会議シリーズ（アクションアイテムを引き継ぐ単位）を決定
+
+        指定: 手動実行イベントの series / オブジェクトメタデータ x-amz-meta-series（URLエンコード）。
+        指定がない場合はファイル単位のシリーズとし、他の会議には引き継がない
+        （ファイル名からの推定は Zoom の GMT…_Recording など無関係な会議を同じシリーズにしてしまうため行わない）。
+        """
+        name = override or urllib.parse.unquote(metadata.get('series', ''))
+        if not name:
+            return {
+                'id': hashlib.sha1(f"source:{object_key}".encode('utf-8')).hexdigest()[:8],
+                'title': object_key.split('/')[-1].rsplit('.', 1)[0]
+            }
+        key = re.sub(r'\s+', ' ', unicodedata.normalize('NFKC', name).lower()).strip()
+        return {
+            'id': hashlib.sha1(key.encode('utf-8')).hexdigest()[:8],
+            'title': name.strip()
+        }
+
+    def _email_templates(self) -> Dict[str, Dict[str, Dict[str, str]]]:
+        """組み込みテンプレートに設定の独自テンプレートを重ねたテンプレート一覧"""
+        templates = {name: dict(variants) for name, variants in EMAIL_TEMPLATES.items()}
+        for name, variants in self.config['email_templates'].items():
+            templates.setdefault(name, {}).update(variants)
+        return templates
+
+    def _load_participant_roster(self, bucket_name: str, object_key: str, metadata: Dict[str, str],
+                                 roster_override: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """参加者名簿と話者名マッピングを読み込み
+
+        1. サイドカーJSON: 音声ファイルと同じ場所の <ファイル名>.participants.json
+           {"participants": [{"name": "山田太郎", "email": "...", "role": "..."}], "speaker_names": {"spk_0": "山田太郎"}}
+        2. オブジェクトメタデータ（URLエンコード）:
+           x-amz-meta-participants: "山田太郎 <yamada@example.com>, 佐藤" / x-amz-meta-speaker-names: "spk_0=山田太郎;spk_1=佐藤"
+        3. 手動実行イベントの participants / speaker_names
+        後のものほど優先する。
+        """
+        roster: Dict[str, Any] = {'participants': [], 'speaker_names': {}}
+
+        sidecar_key = f"{object_key.rsplit('.', 1)[0]}{PARTICIPANTS_SIDECAR_SUFFIX}"
+        try:
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=sidecar_key)
+            sidecar = json.loads(response['Body'].read().decode('utf-8'))
+            self._merge_roster(roster, sidecar.get('participants'), sidecar.get('speaker_names'))
+            logger.info(f"👥 参加者名簿読み込み: {sidecar_key}")
+        except self.s3_client.exceptions.NoSuchKey:
+            pass
+        except Exception as e:
+            logger.warning(f"⚠️ 参加者名簿読み込み失敗 ({sidecar_key}): {str(e)}")
+
+        if metadata.get('participants') or metadata.get('speaker-names'):
+            participants = [
+                p.strip() for p in urllib.parse.unquote(metadata.get('participants', '')).split(',') if p.strip()
+            ]
+            speaker_names = {}
+            for pair in urllib.parse.unquote(metadata.get('speaker-names', '')).split(';'):
+                speaker, _, name = pair.partition('=')
+                if speaker.strip() and name.strip():
+                    speaker_names[speaker.strip()] = name.strip()
+            self._merge_roster(roster, participants, speaker_names)
+            logger.info("👥 オブジェクトメタデータから参加者情報を読み込み")
+
+        if roster_override:
+            self._merge_roster(roster, roster_override.get('participants'), roster_override.get('speaker_names'))
+
+        return roster
+
+    def _roster_from_event(self, event: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+        """イベントの participants / speaker_names フィールドを取得"""
+        if not event.get('participants') and not event.get('speaker_names'):
+            return None
+        return {'participants': event.get('participants'), 'speaker_names': event.get('speaker_names')}
+
+    def _merge_roster(self, roster: Dict[str, Any], participants: Optional[List[Any]],
+                      speaker_names: Optional[Dict[str, str]]) -> None:
+        """参加者名簿に参加者・話者名を統合（同名の参加者は上書き）"""
+        for participant in participants or []:
+            if isinstance(participant, str):
+                # 「名前 <メールアドレス>」形式に対応
+                match = re.match(r'\s*(.*?)\s*<([^>]+)>\s*$', participant)
+                participant = {'name': match.group(1), 'email': match.group(2)} if match else {'name': participant.strip()}
+            if not isinstance(participant, dict) or not str(participant.get('name', '')).strip():
+                continue
+
+            participant = {k: v for k, v in participant.items() if v not in (None, '')}
+            participant['name'] = str(participant['name']).strip()
+            roster['participants'] = [p for p in roster['participants'] if p['name'] != participant['name']]
+            roster['participants'].append(participant)
+
+        for speaker, name in (speaker_names or {}).items():
+            speaker_id = self._normalize_speaker_id(str(speaker))
+            if speaker_id and name:
+                roster['speaker_names'][speaker_id] = str(name).strip()
+            elif speaker_id:
+                roster['speaker_names'].pop(speaker_id, None)
+
+        # 話者名に対応する参加者がいなければ名簿に追加（話者名の変更で不要になったものは除去）
+        mapped_names = set(roster['speaker_names'].values())
+        roster['participants'] = [
+            p for p in roster['participants'] if not p.get('from_speaker') or p['name'] in mapped_names
+        ]
+        for name in roster['speaker_names'].values():
+            if name not in [p['name'] for p in roster['participants']]:
+                roster['participants'].append({'name': name, 'from_speaker': True})
+
+    def _normalize_speaker_id(self, speaker: str) -> Optional[str]:
+        """話者指定（spk_0 / 話者0 / 0）を spk_N 形式に正規化"""
+        match = re.fullmatch(r'\s*(?:spk_|話者)?(\d+)\s*', speaker)
+        return f"spk_{match.group(1)}" if match else None
+
+    def _apply_speaker_names(self, transcript_document: Dict[str, Any], speaker_names: Dict[str, str]) -> None:
+        """構造化トランスクリプトの話者に名前を設定"""
+        for speaker in transcript_document['speakers']:
+            if speaker['id'] in speaker_names:
+                speaker['name'] = speaker_names[speaker['id']]
+
+    def _apply_speaker_names_to_summary(self, summary_result: Dict[str, Any], speaker_names: Dict[str, str]) -> None:
+        """アクション項目の担当者（話者ラベル）を話者名に置換
+
+        再編集に備えて、話者に対応付いた担当者は assignee_speaker に話者IDを保持する。
+        """
+        name_to_speaker = {name: speaker for speaker, name in speaker_names.items()}
+
+        for item in summary_result.get('action_items', []):
+            if not isinstance(item, dict):
+                continue
+            assignee = str(item.get('assignee', '')).strip()
+
+            label_match = re.fullmatch(r'話者(\d+)(?:[（(][^）)]*[）)])?', assignee)
+            if label_match:
+                item['assignee_speaker'] = f"spk_{label_match.group(1)}"
+            elif assignee in name_to_speaker:
+                item['assignee_speaker'] = name_to_speaker[assignee]
+
+            speaker_id = item.get('assignee_speaker')
+            if speaker_id:
+                item['assignee'] = speaker_names.get(speaker_id, f"話者{speaker_id.replace('spk_', '')}")
+
+    def _process_transcription(self, bucket_name: str, object_key: str, context: Any,
+                               transcription_settings: Dict[str, Any]) -> Dict[str, Any]:
+        """文字起こし処理"""
+        logger.info("🎤 文字起こし処理開始")
+        
+        output_bucket = self._resolve_output_bucket(bucket_name)
+
+        try:
+            # 既存文字起こしチェック（アップロードされた文字起こしファイル・サイドカーは毎回読み直す）
+            existing_transcript = None
+            if self._select_transcription_backend(object_key) is not self.transcription_backends['supplied']:
+                existing_transcript = self._check_existing_transcript(output_bucket, object_key)
+            if existing_transcript:
+                logger.info("📄 既存の文字起こしを使用")
+                self.transcription_usage = self._transcription_usage_record(
+                    self._select_transcription_backend(object_key).name, existing_transcript, billable=False
+                )
+                return {
+                    'status': 'success',
+                    'transcript': self._render_transcript_text(existing_transcript),
+                    'transcript_document': existing_transcript,
+                    'source': 'existing'
+                }
+            
+            # 新規文字起こし実行
+            transcript_document = self._execute_transcription(bucket_name, object_key, context, transcription_settings)
+            
+            if transcript_document and transcript_document['segments']:
+                transcript_text = self._render_transcript_text(transcript_document)
+                self._save_transcript(output_bucket, object_key, transcript_text, transcript_document)
+                return {
+                    'status': 'success',
+                    'transcript': transcript_text,
+                    'transcript_document': transcript_document,
+                    'source': 'new'
+                }
+            else:
+                return {
+                    'status': 'error',
+                    'message': '文字起こし処理失敗（タイムアウトまたはエラー）'
+                }
+                
+        except Exception as e:
+            logger.error(f"文字起こしエラー: {str(e)}", exc_info=True)
+            return {
+                'status': 'error',
+                'message': f'文字起こしエラー: {str(e)}'
+            }
+
+    def _check_existing_transcript(self, bucket_name: str, audio_key: str) -> Optional[Dict[str, Any]]:
+        """既存文字起こしチェック（構造化トランスクリプトを返す）"""
+        try:
+            transcript_key = self._transcript_key(audio_key, 'txt')
+            
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=transcript_key)
+            transcript_text = response['Body'].read().decode('utf-8')
+            logger.info(f"✅ 既存文字起こし発見: {transcript_key}")
+
+            # 構造化トランスクリプトがない（旧形式の）場合はテキストから復元
+            try:
+                response = self.s3_client.get_object(
+                    Bucket=bucket_name, Key=self._transcript_key(audio_key, 'json')
+                )
+                return json.loads(response['Body'].read().decode('utf-8'))
+            except self.s3_client.exceptions.NoSuchKey:
+                return self._transcript_document_from_text(transcript_text)
+            
+        except self.s3_client.exceptions.NoSuchKey:
+            return None
+        except Exception as e:
+            logger.warning(f"既存文字起こしチェックエラー: {str(e)}")
+            return None
+
+    def _execute_transcription(self, bucket_name: str, object_key: str, context: Any,
+                               transcription_settings: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+        """文字起こしバックエンド実行（構造化トランスクリプトを返す）"""
+        backend = self._select_transcription_backend(object_key)
+        logger.info(f"🎤 文字起こしバックエンド: {backend.name}")
+
+        started_at = datetime.now()
+        start_time = time.time()
+        job_names: List[str] = []
+        transcript_document = None
+
+        try:
+            output_bucket = self._resolve_output_bucket(bucket_name)
+
+            def on_status(job_name: str, status: str) -> None:
+                if job_name not in job_names:
+                    job_names.append(job_name)
+                self._update_progress(output_bucket, object_key, f"Transcribeジョブ状態: {status} ({job_name})",
+                                      stage='transcribing', transcribe_job={'name': job_name, 'status': status})
+
+            transcript_json = backend.transcribe(bucket_name, object_key, context, transcription_settings, on_status)
+            if transcript_json:
+                transcript_document = self._build_transcript_document(transcript_json)
+            return transcript_document
+            
+        except Exception as e:
+            logger.error(f"文字起こし実行エラー ({backend.name}): {str(e)}", exc_info=True)
+            return None
+
+        finally:
+            # 失敗した実行も課金対象になりうるため記録する（音声の長さは文字起こし結果から算出）
+            self.transcription_usage = self._transcription_usage_record(
+                backend.name, transcript_document, job_name=job_names[-1] if job_names else None,
+                started_at=started_at, latency_ms=int((time.time() - start_time) * 1000)
+            )
+
+    def _transcription_usage_record(self, backend_name: str, transcript_document: Optional[Dict[str, Any]],
+                                    billable: bool = True, job_name: Optional[str] = None,
+                                    started_at: Optional[datetime] = None,
+                                    latency_ms: Optional[int] = None) -> Dict[str, Any]:
+        """文字起こしの実行記録（音声の長さは最後の発言の終了時刻から算出）
+
+        billable=False は既存の文字起こしの再利用（今回の実行では文字起こしを行っていない）。
+        """
+        ends = [s['end'] for s in (transcript_document or {}).get('segments', []) if s.get('end') is not None]
+        return {
+            'backend': backend_name,
+            'job_name': job_name,
+            'billable': billable,
+            'succeeded': bool(transcript_document and transcript_document['segments']),
+            'audio_minutes': round(max(ends) / 60, 2) if ends else None,
+            'started_at': started_at.isoformat() if started_at else None,
+            'latency_ms': latency_ms
+        }
+
+    def _start_async_transcription(self, bucket_name: str, output_bucket: str, object_key: str,
+                                   meeting_info: Dict[str, Any], transcription_settings: Dict[str, Any],
+                                   job: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """非同期モード: Transcribeジョブを開始し、完了イベント用のジョブ記録を保存"""
+        # 完了イベントからジョブ記録の場所を辿れるよう、保存先バケットをタグに付与
+        job_name = self.transcribe_backend.start_job(
+            bucket_name, object_key, transcription_settings, tags={TRANSCRIBE_RECORD_BUCKET_TAG: output_bucket}
+        )
+
+        # 完了イベントを待つ間は占有期限を延長し、重複イベントによる再実行を防ぐ
+        self._advance_job(job, 'transcribing', transcribe_job_name=job_name,
+                          lease_seconds=ASYNC_TRANSCRIBE_LEASE_SECONDS)
+
+        job_record = {
+            'job_name': job_name,
+            'job_id': job['job_id'] if job else None,
+            'run': self.runs.get(object_key),
+            'source_bucket': bucket_name,
+            'output_bucket': output_bucket,
+            'object_key': object_key,
+            'meeting_info': meeting_info,
+            'started_at': datetime.now().isoformat()
+        }
+        self.s3_client.put_object(
+            Bucket=output_bucket,
+            Key=self._transcribe_job_record_key(job_name),
+            Body=json.dumps(job_record, ensure_ascii=False, indent=2).encode('utf-8'),
+            ContentType='application/json; charset=utf-8'
+        )
+
+        self._update_progress(output_bucket, object_key, f"Transcribeジョブ開始 ({job_name}) - 完了イベント待ち",
+                              stage='transcribing', transcribe_job={'name': job_name, 'status': 'IN_PROGRESS'})
+        logger.info(f"⏳ 非同期文字起こし開始: {job_name} - 完了イベントで後続処理を実行")
+
+        return {
+            'file': object_key,
+            'status': 'transcribing',
+            'transcribe_job': job_name,
+            'meeting_info': meeting_info,
+            'output_folder': self._output_folder(object_key),
+            'processing_time': datetime.now().isoformat()
+        }
+
+    def _transcribe_job_record_key(self, job_name: str) -> str:
+        """非同期Transcribeジョブ記録のキー"""
+        return f"{self.config['transcribe_job_prefix']}{job_name}.json"
+
+    def _process_transcribe_event(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """Transcribe ジョブ状態変更イベント処理（非同期モードの後半）"""
+        detail = event.get('detail', {})
+        job_name = detail.get('TranscriptionJobName', '')
+        job_status = detail.get('TranscriptionJobStatus', '')
+
+        logger.info(f"📨 Transcribeジョブ状態変更イベント: {job_name} ({job_status})")
+
+        if not job_name.startswith(TRANSCRIBE_JOB_NAME_PREFIX):
+            logger.info(f"⏭️ スキップ: {job_name} (本システム以外のジョブ)")
+            return self._create_success_response([])
+
+        if job_status not in ('COMPLETED', 'FAILED'):
+            logger.info(f"⏭️ スキップ: {job_name} (終了状態ではありません)")
+            return self._create_success_response([])
+
+        job = self.transcribe_backend.get_job(job_name)
+        tags = {tag['Key']: tag['Value'] for tag in job.get('Tags', [])}
+        record_bucket = tags.get(TRANSCRIBE_RECORD_BUCKET_TAG, self.default_bucket)
+        record_key = self._transcribe_job_record_key(job_name)
+
+        try:
+            response = self.s3_client.get_object(Bucket=record_bucket, Key=record_key)
+            job_record = json.loads(response['Body'].read().decode('utf-8'))
+        except self.s3_client.exceptions.NoSuchKey:
+            logger.warning(f"⚠️ ジョブ記録が見つかりません: s3://{record_bucket}/{record_key}")
+            return self._create_error_response(f"ジョブ記録が見つかりません: {job_name}", 404)
+
+        output_bucket = job_record['output_bucket']
+        object_key = job_record['object_key']
+        meeting_info = job_record['meeting_info']
+        if job_record.get('run'):
+            self.runs[object_key] = job_record['run']
+
+        job_state = self.job_store.get(job_record['job_id']) if self.job_store and job_record.get('job_id') else None
+        if job_state and job_state['state'] != 'transcribing':
+            logger.info(f"⏭️ スキップ: {job_name} (ジョブ状態: {job_state['state']})")
+            return self._create_success_response([self._create_duplicate_result(object_key, job_state)])
+
+        try:
+            transcript_document = None
+            if job['TranscriptionJobStatus'] == 'COMPLETED':
+                transcript_json = self.transcribe_backend.attach_language(
+                    self.transcribe_backend.fetch_result(job['Transcript']['TranscriptFileUri']), job
+                )
+                if transcript_json:
+                    transcript_document = self._build_transcript_document(transcript_json)
+            else:
+                logger.error(f"❌ 文字起こし失敗: {job.get('FailureReason', '不明')}")
+
+            # Transcribe ジョブの作成から完了までを文字起こしの所要時間として記録
+            created_at = job.get('CreationTime')
+            completed_at = job.get('CompletionTime')
+            latency_ms = None
+            if isinstance(created_at, datetime) and isinstance(completed_at, datetime):
+                latency_ms = int((completed_at - created_at).total_seconds() * 1000)
+            self.transcription_usage = self._transcription_usage_record(
+                self.transcribe_backend.name, transcript_document, job_name=job_name,
+                started_at=created_at if isinstance(created_at, datetime) else None, latency_ms=latency_ms
+            )
+            self.previous_revisions_cost = 0.0
+            self.revision_history = None
+
+            if transcript_document and transcript_document['segments']:
+                transcript_text = self._render_transcript_text(transcript_document)
+                self._save_transcript(output_bucket, object_key, transcript_text, transcript_document)
+                logger.info(f"✅ 文字起こし完了: {len(transcript_text)}文字")
+                self._update_progress(output_bucket, object_key, f"文字起こし完了 ({len(transcript_text)}文字)",
+                                      stage='transcribing', fraction=1,
+                                      transcribe_job={'name': job_name, 'status': job['TranscriptionJobStatus']})
+            elif not self.config['demo_mode']:
+                reason = f"文字起こし失敗: {job.get('FailureReason') or '文字起こし結果が空です'}"
+                transcript_text = None
+            else:
+                # デモモードのみデモデータで続行
+                logger.warning("文字起こし失敗 - デモデータで続行")
+                transcript_text = self._get_demo_transcript()
+                transcript_document = self._transcript_document_from_text(transcript_text)
+                self._update_progress(output_bucket, object_key, "文字起こし失敗 - デモデータ使用",
+                                      stage='transcribing', fraction=1, error=job.get('FailureReason') or '文字起こし結果が空です',
+                                      transcribe_job={'name': job_name, 'status': job['TranscriptionJobStatus']})
+
+            if transcript_text is None:
+                result = self._save_incomplete_outputs(output_bucket, object_key, meeting_info, job_state,
+                                                       'failed', 'transcription', reason)
+            else:
+                result = self._complete_meeting_processing(output_bucket, object_key, meeting_info, transcript_text,
+                                                           transcript_document, job_state)
+
+        except JobStateConflict:
+            logger.warning(f"⚠️ 他の実行がジョブを引き継いだため処理を中断: {object_key}")
+            return self._create_success_response([self._create_duplicate_result(object_key, job_state)])
+
+        except Exception as e:
+            logger.error(f"❌ ファイル処理エラー ({object_key}): {str(e)}", exc_info=True)
+            self._update_progress(output_bucket, object_key, f"❌ 処理エラー: {str(e)}", status='failed', error=str(e))
+            self._fail_job(job_state, str(e))
+            result = self._create_file_error_result(object_key, str(e))
+
+        self.transcribe_backend.cleanup_job(job_name)
+        try:
+            self.s3_client.delete_object(Bucket=record_bucket, Key=record_key)
+        except Exception as e:
+            logger.warning(f"ジョブ記録削除失敗 ({record_key}): {str(e)}")
+
+        return self._create_success_response([result])
+
+    def _build_transcript_document(self, transcript_json: Dict[str, Any]) -> Dict[str, Any]:
+        """文字起こし結果（Transcribe互換構造）から構造化トランスクリプト作成
+
+        発言（同一話者の連続区間）ごとに speaker / start / end / text / confidence（平均）を保持する。
+        """
+        results = transcript_json.get('results', {})
+        items = results.get('items', [])
+        speaker_labels = results.get('speaker_labels', {}) or {}
+
+        # 話者ラベルがない場合は全文を1セグメントとして扱う
+        if not items or speaker_labels.get('speakers', 0) <= 0:
+            logger.info("📝 基本フォーマット使用")
+            transcript = results.get('transcripts', [{}])[0].get('transcript', '')
+            timed_items = [item for item in items if item.get('start_time')]
+            segment = {
+                'speaker': None,
+                'start': float(timed_items[0]['start_time']) if timed_items else None,
+                'end': float(timed_items[-1]['end_time']) if timed_items else None,
+                'text': transcript.strip(),
+                'confidence': self._average_confidence(items)
+            }
+            return self._new_transcript_document([segment] if segment['text'] else [],
+                                                 language=results.get('language_code'))
+
+        # マッピング作成
+        time_to_speaker = {}
+        for speaker_segment in speaker_labels.get('segments', []):
+            speaker_label = speaker_segment.get('speaker_label')
+            for item in speaker_segment.get('items', []):
+                start_time = item.get('start_time')
+                if start_time and speaker_label:
+                    time_to_speaker[start_time] = speaker_label
+
+        # 発言単位にまとめる
+        segments: List[Dict[str, Any]] = []
+        current: Optional[Dict[str, Any]] = None
+
+        for item in items:
+            content = item.get('alternatives', [{}])[0].get('content', '')
+
+            if item.get('type') == 'pronunciation':
+                speaker = time_to_speaker.get(item.get('start_time'))
+
+                if current is None or (speaker and current['speaker'] and speaker != current['speaker']):
+                    current = {'speaker': speaker, 'start': None, 'end': None, 'text': '', 'items': []}
+                    segments.append(current)
+                elif not current['speaker']:
+                    current['speaker'] = speaker
+
+                if current['start'] is None and item.get('start_time'):
+                    current['start'] = float(item['start_time'])
+                if item.get('end_time'):
+                    current['end'] = float(item['end_time'])
+                current['items'].append(item)
+                current['text'] += content + " "
+
+            elif item.get('type') == 'punctuation' and current is not None:
+                current['text'] = current['text'].rstrip() + content + " "
+
+        for segment in segments:
+            segment['text'] = segment['text'].strip()
+            segment['confidence'] = self._average_confidence(segment.pop('items'))
+
+        logger.info("🗣️ 話者ラベル付きフォーマット適用")
+        return self._new_transcript_document(segments, speaker_labels.get('speaker_names'),
+                                             language=results.get('language_code'))
+
+    def _transcript_document_from_text(self, transcript_text: str) -> Dict[str, Any]:
+        """テキスト（「話者N: 」形式）から構造化トランスクリプト作成（時刻情報なし）"""
+        segments = []
+        for paragraph in re.split(r'\n\s*\n', transcript_text.strip()):
+            paragraph = paragraph.strip()
+            if not paragraph:
+                continue
+            speaker_match = re.match(r'話者(\d+)(?:（[^）]*）)?[:：]\s*', paragraph)
+            segments.append({
+                'speaker': f"spk_{speaker_match.group(1)}" if speaker_match else None,
+                'start': None,
+                'end': None,
+                'text': paragraph[speaker_match.end():] if speaker_match else paragraph,
+                'confidence': None
+            })
+        return self._new_transcript_document(segments)
+
+    def _new_transcript_document(self, segments: List[Dict[str, Any]],
+                                 speaker_names: Optional[Dict[str, str]] = None,
+                                 language: Optional[str] = None) -> Dict[str, Any]:
+        """構造化トランスクリプト（transcript.json の形式）"""
+        speakers = []
+        for segment in segments:
+            if segment['speaker'] and segment['speaker'] not in [s['id'] for s in speakers]:
+                speakers.append({
+                    'id': segment['speaker'],
+                    'label': f"話者{segment['speaker'].replace('spk_', '')}",
+                    'name': (speaker_names or {}).get(segment['speaker'])
+                })
+
+        return {
+            'version': TRANSCRIPT_DOCUMENT_VERSION,
+            'language': language,
+            'speakers': speakers,
+            'segments': [
+                {
+                    'id': index,
+                    'speaker': segment['speaker'],
+                    'start': segment['start'],
+                    'end': segment['end'],
+                    'text': segment['text'],
+                    'confidence': segment['confidence']
+                }
+                for index, segment in enumerate(segments)
+            ]
+        }
+
+    def _average_confidence(self, items: List[Dict[str, Any]]) -> Optional[float]:
+        """発音アイテムの平均信頼度"""
+        confidences = [
+            float(item['alternatives'][0]['confidence'])
+            for item in items
+            if item.get('type') == 'pronunciation' and item.get('alternatives', [{}])[0].get('confidence')
+        ]
+        return round(sum(confidences) / len(confidences), 4) if confidences else None
+
+    def _render_transcript_text(self, transcript_document: Dict[str, Any]) -> str:
+        """構造化トランスクリプトを「話者N: 発言」形式のテキストに変換（名前が分かる場合は「話者N（名前）: 」）"""
+        speaker_names = {s['id']: s.get('name') for s in transcript_document.get('speakers', [])}
+
+        lines = []
+        for segment in transcript_document['segments']:
+            if segment['speaker']:
+                label = f"話者{segment['speaker'].replace('spk_', '')}"
+                if speaker_names.get(segment['speaker']):
+                    label += f"（{speaker_names[segment['speaker']]}）"
+                lines.append(f"{label}: {segment['text']}")
+            else:
+                lines.append(segment['text'])
+        return "\n\n".join(lines)
+
+    def _link_summary_to_transcript(self, summary_result: Dict[str, Any],
+                                    transcript_document: Dict[str, Any]) -> Dict[str, List[Optional[Dict[str, Any]]]]:
+        """決定事項・アクション項目が話された箇所を推定（文字バイグラムの一致度）"""
+        def bigrams(text: str) -> set:
+            normalized = re.sub(r'\s', '', unicodedata.normalize('NFKC', text)).lower()
+            return {normalized[i:i + 2] for i in range(len(normalized) - 1)}
+
+        segment_bigrams = [(segment, bigrams(segment['text'])) for segment in transcript_document['segments']]
+
+        def locate(text: str) -> Optional[Dict[str, Any]]:
+            target = bigrams(text)
+            if not target:
+                return None
+            best_score, best_segment = 0.0, None
+            for segment, grams in segment_bigrams:
+                score = len(target & grams) / len(target)
+                if score > best_score:
+                    best_score, best_segment = score, segment
+            if not best_segment or best_score < TRANSCRIPT_LINK_MIN_SCORE:
+                return None
+            return {'segment_id': best_segment['id'], 'start': best_segment['start'], 'score': round(best_score, 2)}
+
+        return {
+            'key_decisions': [locate(str(decision)) for decision in summary_result.get('key_decisions', [])],
+            'action_items': [
+                locate(str(item.get('task', ''))) if isinstance(item, dict) else None
+                for item in summary_result.get('action_items', [])
+            ]
+        }
+
+    def _save_transcript(self, bucket_name: str, audio_key: str, transcript_text: str,
+                         transcript_document: Dict[str, Any]) -> None:
+        """文字起こし保存（テキストと構造化トランスクリプト）"""
+        try:
+            transcript_key = self._transcript_key(audio_key, 'txt')
+            
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=transcript_key,
+                Body=transcript_text.encode('utf-8'),
+                ContentType='text/plain; charset=utf-8'
+            )
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=self._transcript_key(audio_key, 'json'),
+                Body=json.dumps(transcript_document, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+            logger.info(f"💾 文字起こし保存: s3://{bucket_name}/{transcript_key}")
+            
+        except Exception as e:
+            logger.warning(f"文字起こし保存失敗: {str(e)}")
+
+    def _get_demo_transcript(self) -> str:
+        """デモ文字起こしデータ"""
+        return """話者1: 皆さん、お疲れ様です。それでは、Project Xの進捗会議を始めさせていただきます。まず、山田さんから開発状況をお聞かせください。
+
+話者2: ありがとうございます、山田です。今週の開発状況についてご報告いたします。フロントエンドの実装が約80%完了しており、予定通り今月末にはベータ版がリリースできる見込みです。ただし、APIの統合部分で一部課題が発生しております。
+
+話者1: どのような課題でしょうか？
+
+話者2: データベースとの連携部分で、レスポンス時間が予想より長くなっている問題があります。最適化が必要な状況です。
+
+話者3: 佐藤です。その件について、インフラ側から支援できることがあります。来週月曜日までに、データベースのパフォーマンスチューニングを実施いたします。
+
+話者4: 鈴木です。マーケティング側の準備はいかがでしょうか？
+
+話者5: 高橋です。マーケティング資料は完成しており、ランディングページも来週火曜日には公開予定です。広告キャンペーンの準備も整っております。
+
+話者1: 素晴らしいですね。それでは、次回の会議は来週金曜日の同じ時間ということで、最終確認を行いましょう。各担当者は今日決めたアクション項目を来週までに完了をお願いします。
+
+話者2: 承知いたしました。
+
+話者3: 了解です。
+
+話者1: それでは、今日はありがとうございました。お疲れ様でした。"""
+
+    def _generate_meeting_summary_with_specified_model(self, bucket_name: str, meeting_info: Dict[str, str], transcript_text: str, object_key: str) -> Optional[Dict[str, Any]]:
+        """指定モデル anthropic.claude-sonnet-4-20250514-v1:0 でClaude議事録生成"""
+        logger.info(f"🤖 Claude議事録生成開始")
+        logger.info(f"🥇 指定メインモデル: {self.primary_model}")
+        self.llm_attempts = []
+        
+        # Claude処理状況をS3に記録
+        output_folder = self._output_folder(object_key)
+        
+        # 文字数制限以内ならそのまま1回で生成
+        if len(transcript_text) <= self.max_transcript_length:
+            return self._invoke_summary_models(
+                bucket_name, meeting_info, transcript_text, object_key,
+                f"{output_folder}claude_processing.txt"
+            )
+
+        # 文字数制限超過時は話者の発言単位で分割して各パートを要約（map）し、結果を統合（reduce）
+        chunks = self._split_transcript_into_chunks(transcript_text, self.max_transcript_length)
+        logger.info(f"📏 文字起こしを {len(chunks)} パートに分割 (元: {len(transcript_text)}文字, 上限: {self.max_transcript_length}文字/パート)")
+
+        chunk_results = []
+        for chunk_number, chunk_text in enumerate(chunks, 1):
+            logger.info(f"🧩 パート {chunk_number}/{len(chunks)} 要約開始 ({len(chunk_text)}文字)")
+            chunk_result = self._invoke_summary_models(
+                bucket_name, meeting_info, chunk_text, object_key,
+                f"{output_folder}claude_processing_part{chunk_number}.txt",
+                chunk_position=(chunk_number, len(chunks))
+            )
+            if not chunk_result:
+                # 一部パートのみの議事録は内容が欠落するため、全体を失敗扱いにする
+                logger.error(f"❌ パート {chunk_number}/{len(chunks)} の要約に失敗")
+                return None
+            chunk_results.append(chunk_result)
+
+        merged_result = self._merge_chunk_summaries(chunk_results)
+        logger.info(f"✅ {len(chunks)} パートの要約を統合")
+        return merged_result
+
+    def _split_transcript_into_chunks(self, transcript_text: str, max_length: int) -> List[str]:
+        """文字起こしを「話者N:」の発言境界で max_length 以下のパートに分割"""
+        # 発言単位に分割（「話者N:」で始まる段落の直前で区切る）
+        turns = [t.strip() for t in re.split(r'\n\s*\n(?=話者[^:\n]*:)', transcript_text) if t.strip()]
+
+        # 1発言が上限を超える場合は文末で分割し、話者ラベルを引き継ぐ
+        pieces: List[str] = []
+        for turn in turns:
+            if len(turn) <= max_length:
+                pieces.append(turn)
+                continue
+
+            label_match = re.match(r'(話者[^:\n]*:)\s*', turn)
+            label = label_match.group(1) if label_match else ''
+            body = turn[label_match.end():] if label_match else turn
+            sentences = re.findall(r'[^。！？!?]*[。！？!?]?', body)
+            piece_limit = max(1, max_length - len(label) - 1)
+
+            current = ''
+            for sentence in sentences:
+                while len(sentence) > piece_limit:
+                    if current:
+                        pieces.append(f"{label} {current}".strip())
+                        current = ''
+                    pieces.append(f"{label} {sentence[:piece_limit]}".strip())
+                    sentence = sentence[piece_limit:]
+                if len(current) + len(sentence) > piece_limit:
+                    pieces.append(f"{label} {current}".strip())
+                    current = ''
+                current += sentence
+            if current.strip():
+                pieces.append(f"{label} {current}".strip())
+
+        # 上限に収まる範囲で発言をまとめてパートを作成
+        chunks: List[str] = []
+        current_chunk = ''
+        for piece in pieces:
+            candidate = f"{current_chunk}\n\n{piece}" if current_chunk else piece
+            if len(candidate) > max_length and current_chunk:
+                chunks.append(current_chunk)
+                current_chunk = piece
+            else:
+                current_chunk = candidate
+        if current_chunk:
+            chunks.append(current_chunk)
+
+        return chunks
+
+    def _merge_chunk_summaries(self, chunk_results: List[Dict[str, Any]]) -> Dict[str, Any]:
+        """パートごとの議事録を1つに統合（重複除去・出典パート記録）"""
+        def normalize(text: str) -> str:
+            return re.sub(r'[\s、。，．,.・「」『』（）()]', '', unicodedata.normalize('NFKC', text)).lower()
+
+        merged: Dict[str, Any] = {
+            "meeting_summary": "",
+            "key_decisions": [],
+            "action_items": [],
+            "next_meeting": "未定",
+            "concerns": []
+        }
+        sources: Dict[str, List[List[int]]] = {"key_decisions": [], "action_items": [], "concerns": []}
+        seen: Dict[str, Dict[str, int]] = {"key_decisions": {}, "action_items": {}, "concerns": {}}
+        summaries = []
+
+        for chunk_number, result in enumerate(chunk_results, 1):
+            summary = str(result.get('meeting_summary', '')).strip()
+            if summary:
+                summaries.append(summary)
+
+            for field in ('key_decisions', 'concerns'):
+                for item in result.get(field, []) or []:
+                    text = str(item).strip()
+                    if not text:
+                        continue
+                    key = normalize(text)
+                    if key in seen[field]:
+                        index = seen[field][key]
+                        if chunk_number not in sources[field][index]:
+                            sources[field][index].append(chunk_number)
+                        continue
+                    seen[field][key] = len(merged[field])
+                    merged[field].append(text)
+                    sources[field].append([chunk_number])
+
+            for item in result.get('action_items', []) or []:
+                if not isinstance(item, dict) or not str(item.get('task', '')).strip():
+                    continue
+                key = normalize(str(item['task']))
+                if key in seen['action_items']:
+                    index = seen['action_items'][key]
+                    existing = merged['action_items'][index]
+                    # 後のパートで担当者・期限が判明した場合は補完
+                    for field, unknown in (('assignee', '要確認'), ('deadline', '要設定')):
+                        if existing.get(field, unknown) == unknown and item.get(field, unknown) != unknown:
+                            existing[field] = item[field]
+                    if chunk_number not in sources['action_items'][index]:
+                        sources['action_items'][index].append(chunk_number)
+                    continue
+                seen['action_items'][key] = len(merged['action_items'])
+                merged['action_items'].append(dict(item))
+                sources['action_items'].append([chunk_number])
+
+            # 次回会議は後半のパートで決まることが多いため、最後に判明した予定を採用
+            next_meeting = str(result.get('next_meeting', '')).strip()
+            if next_meeting and next_meeting != '未定':
+                merged['next_meeting'] = next_meeting
+
+        merged['meeting_summary'] = ' '.join(summaries)
+        merged['chunking'] = {
+            "chunk_count": len(chunk_results),
+            "chunk_summaries": [str(r.get('meeting_summary', '')).strip() for r in chunk_results],
+            # 各リストと同じ並びで、その項目が抽出されたパート番号（1始まり）
+            "sources": sources
+        }
+        return merged
+
+    def _build_summary_prompt(self, meeting_info: Dict[str, str], transcript_text: str,
+                              chunk_position: Optional[tuple] = None, output_mode: str = 'text') -> str:
+        """議事録生成プロンプト作成（output_mode: text / tool）"""
+        chunk_note = ""
+        if chunk_position:
+            chunk_number, chunk_count = chunk_position
+            chunk_note = f"""
+【分割処理について】
+この文字起こしは長時間の会議を {chunk_count} パートに分割したうちのパート {chunk_number} です。
+このパートで話された内容のみを対象に議事録を作成してください。
+"""
+
+        speaker_note = ""
+        speaker_names = meeting_info.get('roster', {}).get('speaker_names', {})
+        if speaker_names:
+            speaker_note = "\n【話者と参加者の対応】\n"
+            for speaker_id, name in sorted(speaker_names.items()):
+                speaker_note += f"話者{speaker_id.replace('spk_', '')} = {name}\n"
+            speaker_note += "担当者（assignee）には話者番号ではなく参加者名を記載してください。\n"
+
+        open_items = meeting_info.get('open_action_items') or []
+        if open_items:
+            speaker_note += "\n【前回までの未完了アクションアイテム】\n"
+            for item in open_items:
+                deadline = item.get('deadline')
+                if item.get('deadline_date'):
+                    deadline = f"{deadline}（{item['deadline_date']}）"
+                speaker_note += (f"- [{item['id']}] {item['task']}（担当: {item['assignee']} / 期限: {deadline} / "
+                                 f"{item['source']['meeting_date']} の会議）\n")
+            speaker_note += ("今回の会議でこれらのタスクに言及している場合は新しいタスクとして重複させず、"
+                             "action_items の carryover_id にそのIDを記載してください（新規タスクは空文字）。\n")
+
+        if meeting_info.get('prompt_instructions'):
+            speaker_note += f"\n【追加の指示】\n{meeting_info['prompt_instructions']}\n"
+
+        vocabulary_terms = meeting_info.get('transcription', {}).get('settings', {}).get('vocabulary_terms', [])
+        if vocabulary_terms:
+            speaker_note += "\n【用語集】\n"
+            speaker_note += "以下の固有名詞・専門用語が誤認識されている場合は、正しい表記に直して記載してください。\n"
+            speaker_note += "、".join(vocabulary_terms) + "\n"
+
+        # メールを英語で作成する場合は議事録の記載も英語にそろえる
+        if meeting_info.get('email', {}).get('language') == 'en':
+            language_rule = "すべて英語で回答してください（JSONのキー名は変更しないでください）"
+        else:
+            language_rule = "すべて日本語で回答してください"
+
+        prompt_head = f"""以下の会議の文字起こしから、構造化された議事録を作成してください。
+
+【会議情報】
+会議名: {meeting_info['title']}
+日時: {meeting_info['date']}
+参加者: {meeting_info['participants']}
+{speaker_note}{chunk_note}
+【文字起こし内容】
+{transcript_text}
+"""
+
+        if output_mode == 'tool':
+            # 出力形式はツール定義（SUMMARY_SCHEMA）で指定されるため、記載ルールのみ伝える
+            return f"""{prompt_head}
+【出力方法】
+{SUMMARY_TOOL_NAME} ツールを呼び出して議事録を記録してください。
+
+【重要な注意事項】
+1. 担当者が不明な場合は「要確認」、期限が不明な場合は「要設定」、次回会議が不明な場合は「未定」と記載してください
+2. 文字起こしから明確に読み取れる内容のみを記載してください
+3. 推測や補完は避けてください
+4. {language_rule}"""
+
+        return f"""{prompt_head}
+【必須出力形式】
+以下のJSON形式で必ず回答してください:
+
+{{
+"meeting_summary": "会議の要約を2-3文で簡潔に記述してください",
+"key_decisions": ["決定事項1", "決定事項2", "決定事項3"],
+"action_items": [
+{{
+"task": "具体的なタスク内容を記述",
+"assignee": "担当者名（不明な場合は「要確認」と記載）",
+"deadline": "期限（不明な場合は「要設定」と記載）",
+"priority": "高/中/低のいずれかを設定",
+"carryover_id": "前回までの未完了アクションアイテムの継続ならそのID（新規タスクは空文字）"
+}}
+],
+"next_meeting": "次回会議の予定（不明な場合は「未定」と記載）",
+"concerns": ["懸念事項1", "懸念事項2"]
+}}
+
+【重要な注意事項】
+1. 必ずJSONの構文を正しく守ってください
+2. 文字起こしから明確に読み取れる内容のみを記載してください
+3. 推測や補完は避けてください
+4. {language_rule}
+5. JSONの外に説明文は含めないでください"""
+
+    def _invoke_summary_models(self, bucket_name: str, meeting_info: Dict[str, str], transcript_text: str,
+                               object_key: str, claude_debug_key: str,
+                               chunk_position: Optional[tuple] = None) -> Optional[Dict[str, Any]]:
+        """メインモデルからフォールバックモデルへ順に議事録生成を試行
+
+        API エラーは classify_llm_error で分類し、分類ごとの方針（LLM_ERROR_POLICIES / llm_error_policies）に従う:
+        backoff = 同じモデルを指数バックオフで再試行 / skip = 次のモデルへ / abort = 全モデルの試行を中止。
+        tool use での validation エラーは中止でなければ同じモデルを本文JSON（text）で1回再試行する（llm_max_retries には数えない）。
+        再試行の待機は Lambda の残り時間（LLM_BACKOFF_RESERVE_SECONDS を残す）に収まるよう短縮し、足りなければ次のモデルへ。
+        各試行は self.llm_attempts（マニフェストに記録）と claude_debug_key（全試行を追記）に残す。
+        """
+        prompts: Dict[str, str] = {}
+        part_label = f"パート {chunk_position[0]}/{chunk_position[1]}" if chunk_position else "全体"
+        debug_sections: List[str] = []
+
+        # 指定モデル anthropic.claude-sonnet-4-20250514-v1:0 で順次試行
+        for i, model_id in enumerate(self.claude_models):
+            if i == 0:
+                model_status = f"🥇 指定メインモデル: {model_id}"
+            else:
+                model_status = f"#{i+1} フォールバックモデル: {model_id}"
+            final_step = 'デモデータ使用' if self.config['demo_mode'] else '要対応 (needs_attention) として終了'
+            next_step = '次のモデルで再試行' if i < len(self.claude_models) - 1 else final_step
+
+            # 出力方式（tool use 対応モデルはツール入力、それ以外は本文のJSON）
+            output_mode = self._summary_output_mode(model_id)
+            if output_mode not in prompts:
+                prompts[output_mode] = self._build_summary_prompt(meeting_info, transcript_text, chunk_position, output_mode)
+            prompt = prompts[output_mode]
+
+            attempt = 0
+            # backoff での再試行回数（text への切り替えは数えない）
+            retries = 0
+            while True:
+                attempt += 1
+                logger.info(f"🔄 Claude API呼び出し: {model_status} (試行 {attempt})")
+                self._update_progress(
+                    bucket_name, object_key, f"Claude API呼び出し ({part_label}): {model_id} (試行 {attempt})",
+                    stage='summarizing',
+                    fraction=(chunk_position[0] - 1) / chunk_position[1] if chunk_position else 0,
+                    model=model_id
+                )
+                started_at = datetime.now()
+                start_time = time.time()
+                attempt_record: Dict[str, Any] = {
+                    'model': model_id,
+                    'part': chunk_position[0] if chunk_position else None,
+                    'attempt': attempt,
+                    'output_mode': output_mode,
+                    'started_at': started_at.isoformat(),
+                    'input_tokens': 0,
+                    'output_tokens': 0,
+                    'calls': []
+                }
+                self.llm_attempts.append(attempt_record)
+
+                try:
+                    # Claude API呼び出し（指定モデル優先）
+                    logger.info(f"📡 LLM API呼び出し実行 ({self.llm_provider.name}, {output_mode}): {model_id}")
+
+                    llm_response = self._invoke_recorded_summary_model(attempt_record, 'summary', prompt)
+                    content = llm_response['text']
+
+                    logger.info(f"✅ Claude レスポンス受信: {len(content)}文字")
+
+                    # JSON解析・スキーマ検証
+                    validation = self._validate_claude_response(content, llm_response.get('tool_input'))
+                    validation_reports = [self._format_validation_report('初回応答', validation)]
+
+                    if validation['errors']:
+                        # 検証エラーを伝えて同じモデルで1回だけ修復を試行
+                        logger.warning(f"⚠️ スキーマ検証エラー {len(validation['errors'])}件: {model_status} - 同じモデルで修復を試行")
+                        llm_response = self._invoke_recorded_summary_model(
+                            attempt_record, 'repair', self._build_repair_prompt(prompt, content, validation['errors'], output_mode)
+                        )
+                        content = llm_response['text']
+                        validation = self._validate_claude_response(content, llm_response.get('tool_input'))
+                        validation_reports.append(self._format_validation_report('修復応答', validation))
+
+                except Exception as e:
+                    error_class = classify_llm_error(e)
+                    policy = self._llm_error_policy(error_class)
+                    wait_seconds = 0.0
+                    if policy == 'abort':
+                        action = 'abort'
+                    elif error_class == 'validation' and output_mode == 'tool':
+                        # 切り替え後は text のため、モデルごとに1回のみ
+                        action = 'text_mode'
+                    elif policy == 'backoff' and retries < self.config['llm_max_retries']:
+                        action = 'retry'
+                        wait_seconds = self._llm_backoff_seconds(retries + 1)
+                        available_seconds = self._remaining_seconds()
+                        if available_seconds is not None:
+                            available_seconds -= LLM_BACKOFF_RESERVE_SECONDS
+                            if available_seconds <= 0:
+                                action, wait_seconds = 'next_model', 0.0
+                            else:
+                                wait_seconds = min(wait_seconds, available_seconds)
+                    else:
+                        action = 'next_model'
+
+                    attempt_record.update({
+                        'duration_ms': int((time.time() - start_time) * 1000),
+                        'outcome': 'error',
+                        'error_class': error_class,
+                        'error_code': llm_error_code(e),
+                        'error_message': str(e)[:500],
+                        'action': action,
+                        'wait_seconds': round(wait_seconds, 2)
+                    })
+                    logger.warning(f"⚠️ Claude API エラー ({error_class} → {action}): {model_status} - {type(e).__name__}: {str(e)}")
+                    self._update_progress(bucket_name, object_key, f"Claude API エラー ({error_class} → {action}): {model_id}",
+                                          stage='summarizing', error=f"{model_id}: {attempt_record['error_code']}: {str(e)[:200]}")
+
+                    if action == 'retry':
+                        next_action = f"{wait_seconds:.1f}秒待機して同じモデルで再試行"
+                    elif action == 'text_mode':
+                        next_action = "同じモデルを本文JSON（text）の出力方式で再試行"
+                    elif action == 'abort':
+                        next_action = f"中止（他のモデルでも同じ結果になるため）- {final_step}"
+                    else:
+                        next_action = next_step
+
+                    # エラー詳細をS3に保存（それまでの試行に追記）
+                    debug_sections.append(f"""=== Claude API エラー詳細 ===
+
+処理時刻: {started_at.isoformat()}
+音声ファイル: {object_key}
+対象: {part_label}
+
+❌ 失敗モデル: {model_id}
+モデル状態: {model_status}
+モデル: {i+1}/{len(self.claude_models)} / 同一モデルでの試行: {attempt}
+エラー種類: {type(e).__name__} ({attempt_record['error_code']})
+エラー分類: {error_class} (方針: {policy})
+エラーメッセージ: {str(e)}
+
+【このエラーの対処法】
+{self._llm_error_advice(error_class, model_id)}
+次の対応: {next_action}""")
+                    self._write_claude_debug(bucket_name, claude_debug_key, debug_sections)
+
+                    if action == 'retry':
+                        retries += 1
+                        time.sleep(wait_seconds)
+                        continue
+                    if action == 'text_mode':
+                        output_mode = 'text'
+                        if output_mode not in prompts:
+                            prompts[output_mode] = self._build_summary_prompt(meeting_info, transcript_text, chunk_position, output_mode)
+                        prompt = prompts[output_mode]
+                        continue
+                    if action == 'abort':
+                        logger.error(f"❌ 再試行不可のエラー ({error_class}) - 全モデルの試行を中止")
+                        return None
+                    break
+
+                validation_report = "\n\n".join(validation_reports)
+                parsed_result = validation['summary']
+                attempt_record.update({
+                    'duration_ms': int((time.time() - start_time) * 1000),
+                    'outcome': 'success' if parsed_result else 'invalid',
+                    'repaired': len(validation_reports) > 1,
+                    'action': 'accept' if parsed_result else 'next_model'
+                })
+
+                if parsed_result:
+                    # 成功 - 詳細デバッグ情報をS3に保存
+                    debug_sections.append(f"""=== Claude API 成功 ===
+
+処理時刻: {started_at.isoformat()}
+音声ファイル: {object_key}
+対象: {part_label}
+
+🥇 使用成功モデル: {model_id}
+モデル状態: {model_status}
+モデル: {i+1}/{len(self.claude_models)} / 同一モデルでの試行: {attempt}
+出力方式: {output_mode}
+
+処理詳細:
+- 入力文字数: {len(transcript_text)}文字
+- 出力文字数: {len(content)}文字
+- JSON解析・スキーマ検証: ✅ 成功{'（修復後）' if len(validation_reports) > 1 else ''}
+
+スキーマ検証レポート:
+{validation_report}
+
+会議情報:
+- タイトル: {meeting_info['title']}
+- 日時: {meeting_info['date']}
+
+生成された議事録:
+{json.dumps(parsed_result, ensure_ascii=False, indent=2)}
+
+Claude レスポンス (Raw):
+{content}
+""")
+                    self._write_claude_debug(bucket_name, claude_debug_key, debug_sections)
+
+                    logger.info(f"✅ Claude API成功: {model_status}")
+                    return parsed_result
+
+                # 修復後も検証失敗 - レポートを保存して次のモデルを試行
+                logger.warning(f"⚠️ スキーマ検証失敗（修復後）: {model_status} - 次のモデルを試行")
+                debug_sections.append(f"""=== Claude 応答のスキーマ検証失敗 ===
+
+処理時刻: {started_at.isoformat()}
+音声ファイル: {object_key}
+対象: {part_label}
+
+❌ 失敗モデル: {model_id}
+モデル状態: {model_status}
+モデル: {i+1}/{len(self.claude_models)} / 同一モデルでの試行: {attempt}
+
+スキーマ検証レポート:
+{validation_report}
+
+次の対応: {next_step}
+
+Claude レスポンス (Raw, 修復応答):
+{content}
+""")
+                self._write_claude_debug(bucket_name, claude_debug_key, debug_sections)
+                break
+        
+        # 全モデル失敗
+        logger.error(f"❌ 全モデル失敗")
+        return None
+
+    def _llm_error_policy(self, error_class: str) -> str:
+        """エラー分類の方針（backoff / skip / abort）。llm_error_policies で上書き可能"""
+        policy = self.config['llm_error_policies'].get(error_class) or LLM_ERROR_POLICIES.get(error_class, 'skip')
+        if policy not in ('backoff', 'skip', 'abort'):
+            logger.warning(f"⚠️ 未対応のエラー方針 {policy} ({error_class}) - skip として扱います")
+            return 'skip'
+        return policy
+
+    def _remaining_seconds(self) -> Optional[float]:
+        """Lambda の残り実行時間（秒）。コンテキストがない場合は None"""
+        if self.context is None or not hasattr(self.context, 'get_remaining_time_in_millis'):
+            return None
+        return self.context.get_remaining_time_in_millis() / 1000
+
+    def _llm_backoff_seconds(self, attempt: int) -> float:
+        """指数バックオフの待機秒数（上限付き、同時再試行を避けるため後半50%の範囲でランダム化）"""
+        ceiling = min(self.config['llm_backoff_max_seconds'], self.config['llm_backoff_base_seconds'] * (2 ** (attempt - 1)))
+        return random.uniform(ceiling / 2, ceiling)
+
+    def _llm_error_advice(self, error_class: str, model_id: str) -> str:
+        """claude_processing.txt に記載するエラー分類ごとの対処法"""
+        if error_class == 'auth':
+            return """AWS の認証情報が無効です（期限切れ・署名不正・未設定）。
+全モデルで同じエラーになるため試行を中止しました。
+Lambda の実行ロール・認証情報を確認し、resummarize で議事録を再生成してください。
+"""
+        if error_class == 'access':
+            return f"""このモデルはBedrockでアクセス権限がありません（または利用できないモデルIDです）。
+
+解決手順:
+1. AWS Bedrock コンソール → Model access
+2. {model_id} を検索
+3. Status確認:
+   - 'Access granted' → 使用可能 (このエラーは別の原因)
+   - 'Available to request' → 以下の手順で申請:
+     a) 'Request model access' をクリック
+     b) Use case: 'General' を選択
+     c) Submit
+     d) 承認まで数分〜数時間待機
+4. 承認後、resummarize で議事録を再生成（再アップロード不要）
+   {{"action": "resummarize", "meeting_id": "<manifest.json の job_id>"}}
+"""
+        if error_class == 'throttling':
+            return """リクエスト数またはトークン数の上限に達しました。
+待機して同じモデルで再試行し、上限を超えた場合は次のモデルへ移ります。
+頻発する場合は Service Quotas で Bedrock のクォータ引き上げを申請してください。
+"""
+        if error_class == 'validation':
+            return """リクエスト内容がモデルに受け付けられませんでした。
+tool use の場合は同じモデルを本文JSON（text）で再試行し、それでも失敗した場合は次のモデルへ移ります。
+原因として考えられるもの:
+- オンデマンド呼び出し非対応のモデル（推論プロファイルのID（us. / apac. など）を llm_models に指定してください）
+- モデルが tool use に対応していない（llm_tool_use_models から外すか llm_output_mode を text にしてください）
+- 入力トークン数の上限超過（max_transcript_length を小さくしてください）
+- llm_max_tokens / llm_temperature などのパラメータ不正
+"""
+        if error_class == 'timeout':
+            return """モデルの応答がタイムアウトしました。
+待機して同じモデルで再試行します。
+頻発する場合は max_transcript_length を小さくして分割処理してください。
+"""
+        return """予期しないエラーです。
+原因として考えられるもの:
+- ネットワーク問題
+- 一時的なサービス問題
+- リクエスト形式の問題
+
+待機して同じモデルで再試行し、解消しない場合は次のフォールバックモデルへ移ります。
+"""
+
+    def _write_claude_debug(self, bucket_name: str, claude_debug_key: str, sections: List[str]) -> None:
+        """全試行の記録を claude_processing.txt に保存（試行ごとに上書きせず追記した内容で保存）"""
+        separator = "\n\n" + "=" * 60 + "\n\n"
+        try:
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=claude_debug_key,
+                Body=separator.join(sections).encode('utf-8'),
+                ContentType='text/plain; charset=utf-8'
+            )
+        except Exception as e:
+            logger.warning(f"Claude処理ログ保存エラー: {str(e)}")
+
+    def _summary_output_mode(self, model_id: str) -> str:
+        """モデルごとの議事録出力方式（tool / text）を決定"""
+        if not self.llm_provider.supports_tools:
+            return 'text'
+        output_mode = self.config['llm_output_mode']
+        if output_mode == 'auto':
+            return 'tool' if any(pattern in model_id for pattern in self.config['llm_tool_use_models']) else 'text'
+        return 'tool' if output_mode == 'tool' else 'text'
+
+    def _invoke_recorded_summary_model(self, attempt_record: Dict[str, Any], purpose: str, prompt: str) -> Dict[str, Any]:
+        """試行記録のモデル・出力方式でLLMを呼び出し、呼び出しごとのトークン数・所要時間を試行記録に追加
+
+        purpose: summary（初回）/ repair（スキーマ検証エラーの修復）。失敗した呼び出しもトークン数 0 で記録する。
+        """
+        call: Dict[str, Any] = {'purpose': purpose, 'input_tokens': 0, 'output_tokens': 0}
+        attempt_record['calls'].append(call)
+        start_time = time.time()
+        try:
+            llm_response = self._invoke_summary_model(attempt_record['model'], prompt, attempt_record['output_mode'])
+        finally:
+            call['latency_ms'] = int((time.time() - start_time) * 1000)
+
+        usage = llm_response.get('usage') or {}
+        call['input_tokens'] = usage.get('input_tokens', 0)
+        call['output_tokens'] = usage.get('output_tokens', 0)
+        attempt_record['input_tokens'] += call['input_tokens']
+        attempt_record['output_tokens'] += call['output_tokens']
+        return llm_response
+
+    def _invoke_summary_model(self, model_id: str, prompt: str, output_mode: str) -> Dict[str, Any]:
+        """出力方式に応じてLLMを呼び出し（tool 時は text にツール入力のJSONを入れて返す）"""
+        if output_mode != 'tool':
+            return self.llm_provider.invoke(
+                model_id, prompt,
+                max_tokens=self.config['llm_max_tokens'],
+                temperature=self.config['llm_temperature']
+            )
+
+        llm_response = self.llm_provider.invoke_tool(
+            model_id, prompt, summary_tool_definition(),
+            max_tokens=self.config['llm_max_tokens'],
+            temperature=self.config['llm_temperature']
+        )
+        if llm_response['tool_input'] is not None:
+            llm_response['text'] = json.dumps(llm_response['tool_input'], ensure_ascii=False)
+        else:
+            logger.warning(f"⚠️ ツール呼び出しが含まれていません: {model_id}")
+        return llm_response
+
+    def _validate_claude_response(self, content: str, tool_input: Any = None) -> Dict[str, Any]:
+        """Claude レスポンスをJSON解析してスキーマ検証（validate_summary の結果を返す）
+
+        tool_input（tool use のツール入力）がある場合は本文ではなくツール入力を検証する。
+        """
+        if tool_input is not None:
+            return validate_summary(tool_input)
+        parsed = self._parse_claude_response(content)
+        if parsed is None:
+            return {'summary': None, 'errors': ["JSONとして解析できません（JSONオブジェクトがないか構文エラー）"], 'normalized': []}
+        return validate_summary(parsed)
+
+    def _format_validation_report(self, label: str, validation: Dict[str, Any]) -> str:
+        """claude_processing.txt 用のスキーマ検証レポート"""
+        lines = [f"[{label}] {'❌ エラー ' + str(len(validation['errors'])) + '件' if validation['errors'] else '✅ 合格'}"]
+        lines += [f"  - エラー: {error}" for error in validation['errors']]
+        lines += [f"  - 正規化: {note}" for note in validation['normalized']]
+        return "\n".join(lines)
+
+    def _build_repair_prompt(self, prompt: str, content: str, errors: List[str], output_mode: str = 'text') -> str:
+        """検証エラーを伝えて議事録JSONの修正を依頼するプロンプト"""
+        error_lines = "\n".join(f"- {error}" for error in errors)
+        if output_mode == 'tool':
+            instruction = f"エラー箇所を修正し、{SUMMARY_TOOL_NAME} ツールで議事録を記録し直してください。"
+        else:
+            instruction = "エラー箇所を修正し、必須出力形式どおりのJSONのみを出力してください。"
+        return f"""{prompt}
+
+【前回の回答】
+{content}
+
+【検証エラー】
+{error_lines}
+
+前回の回答は上記の理由で必須出力形式に適合していません。
+{instruction}"""
+
+    def _parse_claude_response(self, content: str) -> Optional[Dict[str, Any]]:
+        """Claude レスポンス解析"""
+        try:
+            # JSONの開始と終了を検索
+            start_idx = content.find('{')
+            end_idx = content.rfind('}') + 1
+            
+            if start_idx == -1 or end_idx <= 0 or end_idx <= start_idx:
+                logger.warning("⚠️ JSON形式が見つかりません")
+                return None
+            
+            json_content = content[start_idx:end_idx]
+            return json.loads(json_content)
+            
+        except json.JSONDecodeError as e:
+            logger.error(f"❌ JSON解析エラー: {str(e)}")
+            return None
+        except Exception as e:
+            logger.error(f"❌ 解析エラー: {str(e)}")
+            return None
+
+    def _create_demo_summary(self, meeting_info: Dict[str, str], transcript_text: str) -> Dict[str, Any]:
+        """デモ議事録作成（指定モデル失敗時のフォールバック）"""
+        logger.info(f"📝 デモ議事録作成 (指定モデル {self.primary_model} アクセス権限問題)")
         
-        # 指定されたClaude モデルID（最優先設定）
-        self.primary_model = "anthropic.claude-sonnet-4-20250514-v1:0"  # 指定されたメインモデル
+        return {
+            "meeting_summary": f"{meeting_info['title']}を開催しました。音声から文字起こしを実行し、指定のClaude モデル ({self.primary_model}) での議事録生成を試行しましたが、Bedrockのアクセス権限問題のため、デモデータで結果を生成しています。",
+            "key_decisions": [
+                "音声ファイルから文字起こしを完了",
+                "指定Claude モデルでの議事録生成を試行",
+                "Bedrockモデルアクセス権限の問題を確認",
+                "デモデータで暫定結果を出力"
+            ],
+            "action_items": [
+                {
+                    "task": f"AWS Bedrockで指定モデル ({self.primary_model}) のアクセス権限申請",
+                    "assignee": "システム管理者",
+                    "deadline": "要設定",
+                    "priority": "高"
+                },
+                {
+                    "task": "文字起こし内容の手動確認と正式な議事録作成",
+                    "assignee": "参加者全員",
+                    "deadline": "要設定",
+                    "priority": "高"
+                },
+                {
+                    "task": "フォールバックモデルのアクセス権限確認",
+                    "assignee": "システム管理者",
+                    "deadline": "要設定",
+                    "priority": "中"
+                }
+            ],
+            "next_meeting": "未定（参加者で調整）",
+            "concerns": [
+                f"指定メインモデル ({self.primary_model}) のアクセス権限なし",
+                f"全フォールバックモデル ({len(self.claude_models)-1}個) でもアクセス拒否",
+                "AWS Bedrock Model access での申請・承認が必要",
+                "暫定的にデモデータで出力中"
+            ],
+            "specified_model": self.primary_model,
+            "model_access_status": "Access Denied - 申請が必要",
+            "technical_note": f"指定モデル '{self.primary_model}' (Claude Sonnet 4) を最優先で試行したが、全{len(self.claude_models)}モデルでAccessDenied",
+            "note": f"この議事録は指定モデル {self.primary_model} のアクセス権限問題時のデモデータです。Bedrockでモデルアクセス申請後に再実行してください。"
+        }
+
+    def _create_copy_paste_text(self, summary_result: Dict[str, Any], meeting_info: Dict[str, Any], source_file: str, transcript_text: str) -> str:
+        """メールコピペ用テキスト作成 - 選択されたテンプレート・言語で件名と本文を生成"""
+        email = self._render_email(summary_result, meeting_info)
+        labels = EMAIL_LABELS.get(email['language'], EMAIL_LABELS['ja'])
+
+        email_body = f"{labels['subject']}{email['subject']}\n\n{email['body']}\n"
+
+        # デモデータの場合はシステム使用情報を追加
+        is_demo = "note" in summary_result
+        if is_demo:
+            email_body += "\n" + labels['demo_note'].format(model=self.primary_model)
         
-        self.claude_models = [
-            "anthropic.claude-sonnet-4-20250514-v1:0",         # 🥇 指定されたメインモデル
-            "anthropic.claude-3-5-sonnet-20241022-v2:0",       # フォールバック1
-            "anthropic.claude-3-5-sonnet-20240620-v1:0",       # フォールバック2
-            "anthropic.claude-3-sonnet-20240229-v1:0",         # フォールバック3
-            "anthropic.claude-3-haiku-20240307-v1:0"           # フォールバック4
+        return email_body
+
+    def _render_email(self, summary_result: Dict[str, Any], meeting_info: Dict[str, Any]) -> Dict[str, str]:
+        """テンプレートのプレースホルダーに議事録の内容を埋め込み、件名と本文を返す"""
+        email_settings = meeting_info.get('email') or {}
+        template_name = email_settings.get('template') or self.config['email_template']
+        language = email_settings.get('language') or self.config['email_language']
+
+        templates = self._email_templates()
+        variants = templates.get(template_name) or templates[self.config['email_template']]
+        template = variants.get(language) or variants.get('ja') or next(iter(variants.values()))
+        labels = EMAIL_LABELS.get(language, EMAIL_LABELS['ja'])
+        bullet = template.get('bullet', '\t• ')
+
+        # メール件名用の日付整形
+        meeting_date = meeting_info['date']
+        if '年' in meeting_date and '月' in meeting_date and '日' in meeting_date:
+            try:
+                # 「2025年9月26日 18:50」形式から「9/26」形式に変換
+                date_parts = meeting_date.split(' ')[0].split('年')
+                month = date_parts[1].split('月')[0]
+                day = date_parts[1].split('月')[1].split('日')[0]
+                short_date = f"{month}/{day}"
+            except:
+                short_date = meeting_date
+        else:
+            short_date = meeting_date
+
+        def bullets(lines: List[str], empty_text: str) -> str:
+            return "\n".join(f"{bullet}{line}" for line in (lines or [empty_text]))
+
+        # 会議概要の整形
+        meeting_summary = str(summary_result.get('meeting_summary', '')).strip()
+
+        # 重要な決定事項
+        key_decisions = [str(d).strip() for d in summary_result.get('key_decisions', []) if d and str(d).strip()]
+        concerns = [str(c).strip() for c in summary_result.get('concerns', []) if c and str(c).strip()]
+
+        # アクション項目
+        action_items = []
+        for item in summary_result.get('action_items', []):
+            task = str(item.get('task', '')).strip()
+            assignee = str(item.get('assignee', '要確認')).strip()
+            deadline = str(item.get('deadline', '未定')).strip()
+            
+            if task:
+                deadline_text = ""
+                if deadline and deadline not in ("要設定", "未定", "TBD"):
+                    deadline_text = labels['deadline'].format(deadline=deadline)
+                # 相対表現（来週月曜日など）・解釈に幅がある期限は解決した日付を併記
+                if item.get('deadline_date') and (item.get('deadline_kind') == 'relative' or item.get('deadline_ambiguous')):
+                    deadline_date = date.fromisoformat(item['deadline_date'])
+                    deadline_text = labels['deadline_resolved'].format(
+                        deadline=deadline, month=deadline_date.month, day=deadline_date.day,
+                        weekday=labels['weekdays'].split(',')[deadline_date.weekday()],
+                        note=labels['deadline_ambiguous_note'] if item.get('deadline_ambiguous') else ''
+                    )
+                
+                action_items.append(labels['action_item'].format(assignee=assignee, task=task, deadline=deadline_text))
+
+        next_meeting = str(summary_result.get('next_meeting', '')).strip()
+        if not next_meeting or next_meeting == '未定':
+            next_meeting = labels['next_meeting_undecided']
+
+        values = {
+            'recipient_name': email_settings.get('recipient_name') or template.get('recipient', ''),
+            'meeting_title': meeting_info['title'],
+            'meeting_date': meeting_date,
+            'short_date': short_date,
+            'participants': meeting_info.get('participants', ''),
+            'summary': f"{bullet}{meeting_summary}" if meeting_summary else '',
+            'decisions': bullets(key_decisions, labels['no_decisions']),
+            'action_items': bullets(action_items, labels['no_action_items']),
+            'next_meeting': next_meeting,
+            'concerns': bullets(concerns, labels['no_concerns'])
+        }
+
+        return {
+            'template': template_name,
+            'language': language,
+            'subject': Template(template.get('subject', '')).safe_substitute(values),
+            'body': Template(template.get('body', '')).safe_substitute(values).rstrip('\n')
+        }
+
+    def _models_used(self) -> List[str]:
+        """直近の議事録生成で議事録を返したモデル（分割時はパート順、重複なし）"""
+        models: List[str] = []
+        for attempt in self.llm_attempts:
+            if attempt.get('outcome') == 'success' and attempt['model'] not in models:
+                models.append(attempt['model'])
+        return models
+
+    def _usage_summary(self, llm_attempts: List[Dict[str, Any]]) -> Dict[str, Any]:
+        """マニフェスト用の使用量・概算コスト（processing.usage）"""
+        llm_calls = [
+            {'model': attempt['model'], **call}
+            for attempt in llm_attempts for call in attempt.get('calls', [])
         ]
-        
-        logger.info("=== MeetingMinutesProcessor初期化 ===")
-        logger.info(f"🥇 指定メインモデル: {self.primary_model}")
-        logger.info(f"🔄 フォールバックモデル数: {len(self.claude_models) - 1}")
+        usage = estimate_usage_cost(llm_calls, self.transcription_usage, self.pricing)
+        usage['previous_revisions_cost'] = self.previous_revisions_cost
+        usage['estimated_cost'] = round(usage['estimated_cost'] + self.previous_revisions_cost, 6)
+        return usage
 
-    def process_event(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
-        """メインイベント処理"""
-        logger.info("=== 自動議事録生成システム開始 ===")
-        logger.info(f"使用予定モデル: {self.primary_model}")
+    def _save_incomplete_outputs(self, bucket_name: str, object_key: str, meeting_info: Dict[str, Any],
+                                 job: Optional[Dict[str, Any]], status: str, stage: str, reason: str,
+                                 transcript_text: Optional[str] = None,
+                                 transcript_document: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+        """処理を完了できなかったジョブの途中までの成果物とマニフェストを保存（デモモード以外）
+
+        status: failed（文字起こし失敗）/ needs_attention（議事録生成失敗、文字起こしは保存済み）
+        summary.json・email_content.txt は作成しない。既存の議事録（resummarize の失敗時など）は上書きしない。
+        """
+        logger.error(f"❌ {reason} - {status}")
+        self._update_progress(bucket_name, object_key, f"❌ {reason} ({status})", status=status, error=reason)
+
+        run = self.runs.get(object_key, {})
+        output_folder = self._output_folder(object_key)
+        manifest_key = f"{output_folder}manifest.json"
+        try:
+            existing = self._read_json_object(bucket_name, manifest_key)
+        except self.s3_client.exceptions.NoSuchKey:
+            existing = None
+
+        if existing and existing.get('status') == 'success':
+            logger.warning(f"⚠️ 既存の議事録を保持: s3://{bucket_name}/{manifest_key}")
+        else:
+            if stage == 'summary':
+                next_steps = [
+                    f"{output_folder}claude_processing.txt でエラー内容を確認",
+                    f"原因を解消後、resummarize で議事録を再生成（文字起こしは保存済み）: "
+                    f"{{\"action\": \"resummarize\", \"meeting_id\": \"{run.get('job_id', '')}\"}}"
+                ]
+            else:
+                next_steps = [
+                    f"{output_folder}progress.json と CloudWatch Logs でエラー内容を確認",
+                    "音声ファイル・文字起こし設定を確認後、reprocess または再アップロードで再実行"
+                ]
+
+            files = {
+                "progress": f"{output_folder}progress.json",
+                "status": f"{output_folder}status.txt",
+                "manifest": manifest_key
+            }
+            if transcript_text is not None:
+                # 文字起こしは保存しておき、resummarize で議事録のみ再生成できるようにする
+                files["transcript"] = f"{output_folder}transcript.txt"
+                files["transcript_json"] = f"{output_folder}transcript.json"
+                files["claude_processing"] = f"{output_folder}claude_processing.txt"
+                for key, content, content_type in (
+                    (files["transcript"], transcript_text, 'text/plain; charset=utf-8'),
+                    (files["transcript_json"], json.dumps(transcript_document, ensure_ascii=False, indent=2), 'application/json; charset=utf-8')
+                ):
+                    self.s3_client.put_object(Bucket=bucket_name, Key=key, Body=content.encode('utf-8'), ContentType=content_type)
+
+            processed_at = datetime.now().isoformat()
+            manifest = {
+                "status": status,
+                "job_id": run.get("job_id", self._source_id(object_key)),
+                "source": {
+                    "file": object_key,
+                    "bucket": run.get("bucket"),
+                    "source_id": run.get("source_id", self._source_id(object_key)),
+                    "run_id": run.get("run_id"),
+                    "etag": run.get("etag"),
+                    "processed_at": processed_at
+                },
+                "output_folder": output_folder,
+                "meeting": {
+                    "title": meeting_info['title'],
+                    "date": meeting_info['date'],
+                    "datetime": meeting_info.get('datetime') or processed_at,
+                    "participants": meeting_info['participants'],
+                    "roster": meeting_info.get('roster', {"participants": [], "speaker_names": {}}),
+                    "series": meeting_info.get('series')
+                },
+                "transcription": {
+                    **meeting_info.get('transcription', {}),
+                    'detected_language': (transcript_document or {}).get('language')
+                },
+                "email": meeting_info.get('email', {}),
+                "processing": {
+                    "transcript_length": len(transcript_text or ''),
+                    "model_used": None,
+                    "models_used": [],
+                    "is_demo_data": False,
+                    "llm_attempts": self.llm_attempts if stage == 'summary' else [],
+                    "transcription_usage": self.transcription_usage,
+                    "usage": self._usage_summary(self.llm_attempts if stage == 'summary' else [])
+                },
+                "attention": {
+                    "stage": stage,
+                    "reason": reason,
+                    "next_steps": next_steps
+                },
+                "files": files,
+                "summary": None
+            }
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=manifest_key,
+                Body=json.dumps(manifest, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+            step_lines = "\n".join(f"{i}. {step}" for i, step in enumerate(next_steps, 1))
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=files["status"],
+                Body=f"""=== 議事録生成未完了 ({status}) ===
+
+時刻: {datetime.now().strftime('%Y年%m月%d日 %H:%M:%S')}
+音声ファイル: {object_key}
+会議タイトル: {meeting_info['title']}
+理由: {reason}
+
+⚠️ 議事録・メール本文（email_content.txt）は作成していません。
+
+【対処法】
+{step_lines}
+""".encode('utf-8'),
+                ContentType='text/plain; charset=utf-8'
+            )
+            logger.info(f"📋 マニフェスト作成 ({status}): s3://{bucket_name}/{manifest_key}")
+            self._update_index_file(bucket_name, manifest)
+
+        self._advance_job(job, status, error=reason, summary=None, llm_attempts=None, transcription_usage=None)
+
+        return {
+            'file': object_key,
+            'status': status,
+            'error': reason,
+            'job_id': run.get('job_id'),
+            'output_folder': output_folder,
+            'manifest': manifest_key,
+            'processing_time': datetime.now().isoformat()
+        }
+
+    def _save_text_files_to_email_output(self, bucket_name: str, object_key: str, transcript_text: str, 
+                                    summary_result: Dict[str, Any], copy_paste_text: str,
+                                    transcript_document: Dict[str, Any]) -> Dict[str, str]:
+        """
+        Save output files to S3 with an organized folder structure and manifest
         
+        Returns a dictionary of file paths created
+        """
         try:
-            # システム状態確認
-            self._create_system_status_log(event, context)
+            # Stable job ID derived from the source path and content (see _register_run)
+            run = self.runs.get(object_key, {})
+            job_id = run.get('job_id', self._source_id(object_key))
             
-            # 実行時間チェック
-            remaining_time = context.get_remaining_time_in_millis()
-            logger.info(f"Lambda実行可能時間: {remaining_time/1000:.1f}秒")
+            # Create subfolder path
+            output_folder = self._output_folder(object_key)
+            
+            # Define standard filenames without timestamps
+            files_to_save = [
+                # Main content files with standardized names
+                ("email_content", f"{output_folder}email_content.txt", copy_paste_text, 'text/plain; charset=utf-8'),
+                ("transcript", f"{output_folder}transcript.txt", transcript_text, 'text/plain; charset=utf-8'),
+                ("transcript_json", f"{output_folder}transcript.json", json.dumps(transcript_document, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
+                ("summary", f"{output_folder}summary.json", json.dumps(summary_result, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
+            ]
+
+            # 次回会議・期限付きアクションアイテムのカレンダー（登録する予定がない場合は作成しない）
+            calendar_ics = self._create_calendar_ics(object_key, summary_result) if self.config['calendar_export'] else None
+            if calendar_ics:
+                files_to_save.append(("calendar", f"{output_folder}events.ics", calendar_ics, 'text/calendar; charset=utf-8'))
+            
+            # Save files
+            saved_files = {}
+            for file_name, key, content, content_type in files_to_save:
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=key,
+                    Body=content.encode('utf-8') if isinstance(content, str) else content,
+                    ContentType=content_type
+                )
+                saved_files[file_name] = key
+                logger.info(f"💾 保存完了: s3://{bucket_name}/{key}")
+            
+            # Create manifest file with all metadata
+            is_demo = "note" in summary_result
+            models_used = [] if is_demo else self._models_used()
+            processed_at = datetime.now().isoformat()
+            
+            manifest = {
+                "status": "success",
+                "job_id": job_id,
+                "source": {
+                    "file": object_key,
+                    "bucket": run.get("bucket"),
+                    "source_id": run.get("source_id", self._source_id(object_key)),
+                    "run_id": run.get("run_id"),
+                    "etag": run.get("etag"),
+                    "processed_at": processed_at
+                },
+                "output_folder": output_folder,
+                "meeting": {
+                    "title": summary_result.get("meeting_title", "Meeting Recording"),
+                    "date": summary_result.get("meeting_date", processed_at),
+                    "datetime": summary_result.get("meeting_datetime") or processed_at,
+                    "participants": summary_result.get("participants", "Automatically detected"),
+                    "roster": summary_result.get("roster", {"participants": [], "speaker_names": {}}),
+                    "series": summary_result.get("series")
+                },
+                "transcription": summary_result.get("transcription", {}),
+                "email": summary_result.get("email", {}),
+                "processing": {
+                    "transcript_length": len(transcript_text),
+                    # 議事録を生成したモデル（フォールバック時はフォールバック先、デモデータの場合は None）
+                    "model_used": models_used[0] if models_used else None,
+                    "models_used": models_used,
+                    "is_demo_data": is_demo,
+                    "llm_attempts": self.llm_attempts,
+                    "transcription_usage": self.transcription_usage,
+                    "usage": self._usage_summary(self.llm_attempts)
+                },
+                "files": {
+                    "transcript": f"{output_folder}transcript.txt",
+                    "transcript_json": f"{output_folder}transcript.json",
+                    "email_content": f"{output_folder}email_content.txt",
+                    "summary_json": f"{output_folder}summary.json",
+                    # 次回会議・期限付きアクションアイテムがない場合は None
+                    "calendar": saved_files.get("calendar"),
+                    "progress": f"{output_folder}progress.json",
+                    "manifest": f"{output_folder}manifest.json"
+                },
+                # シリーズのアクションアイテムストア（summary.action_items[].id で参照）
+                "action_item_store": self._action_items_key(summary_result["series"]["id"]) if summary_result.get("series") else None,
+                # 再生成時のリビジョン番号と過去のリビジョン（resummarize 以外では記録しない）
+                **(self.revision_history or {}),
+                # Include the full summary directly in the manifest
+                "summary": summary_result
+            }
+            
+            # Save manifest file
+            manifest_key = manifest["files"]["manifest"]
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=manifest_key,
+                Body=json.dumps(manifest, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+            saved_files["manifest"] = manifest_key
+            logger.info(f"📋 マニフェスト作成: s3://{bucket_name}/{manifest_key}")
+            
+            # Create index file at the root of the output prefix to help frontend find latest results
+            self._update_index_file(bucket_name, manifest)
+            
+            logger.info(f"✅ 出力ファイル保存完了: {output_folder}")
+            return saved_files
             
-            # S3イベント処理
-            if 'Records' in event and event['Records']:
-                return self._process_s3_events(event['Records'], context)
-            else:
-                # 手動実行モード
-                return self._process_manual_mode(context)
-                
         except Exception as e:
-            logger.error(f"システムエラー: {str(e)}", exc_info=True)
-            self._create_error_debug_file(str(e), e)
-            return self._create_error_response(str(e), 500)
+            logger.error(f"❌ ファイル保存エラー: {str(e)}", exc_info=True)
+            return {}
+
+    def _deliver_followup_email(self, bucket_name: str, manifest_key: str, summary_result: Dict[str, Any],
+                                meeting_info: Dict[str, Any], approved: bool,
+                                recipients: Optional[List[str]] = None,
+                                approved_by: Optional[str] = None) -> Dict[str, Any]:
+        """フォローアップメールを送信（未承認なら下書きとして保留）し、結果を manifest.json の delivery に記録"""
+        email = self._render_email(summary_result, meeting_info)
+        recipients = recipients or self._resolve_email_recipients(meeting_info)
+        delivery = {
+            'transport': self.email_transport.name,
+            'sender': self.config['email_sender'],
+            'recipients': recipients,
+            'subject': email['subject'],
+            'updated_at': datetime.now().isoformat()
+        }
+
+        if "note" in summary_result:
+            delivery.update({'status': 'skipped', 'reason': 'デモデータのため送信しません'})
+        elif not recipients:
+            delivery.update({'status': 'skipped', 'reason': '宛先がありません（参加者名簿にメールアドレスを指定してください）'})
+        elif not self.config['email_sender']:
+            delivery.update({'status': 'failed', 'error': '送信元アドレス (email_sender) が設定されていません'})
+        elif not approved:
+            delivery['status'] = 'pending_approval'
+            logger.info(f"📨 メール下書きを保存（承認待ち）: {', '.join(recipients)}")
+        else:
+            try:
+                if not self._claim_email_send(bucket_name, manifest_key, delivery):
+                    # 他の実行（同時の承認・承認の再試行）が送信中または送信済み。マニフェストの記録はその実行に任せる
+                    return {**delivery, 'status': 'duplicate', 'reason': '他の実行が送信中または送信済みです'}
+                attachments = self._email_attachments(bucket_name, manifest_key)
+                message = self._build_email_message(email, recipients, attachments)
+                message_id = self.email_transport.send(message, recipients)
+                delivery.update({
+                    'status': 'sent',
+                    'message_id': message_id,
+                    'attachments': [attachment['filename'] for attachment in attachments],
+                    'sent_at': datetime.now().isoformat(),
+                    'approved_by': approved_by
+                })
+                logger.info(f"📨 メール送信完了 ({self.email_transport.name}): {', '.join(recipients)}")
+            except Exception as e:
+                logger.error(f"❌ メール送信エラー ({self.email_transport.name}): {str(e)}")
+                delivery.update({'status': 'failed', 'error': f"{type(e).__name__}: {str(e)}"})
 
-    def _create_system_status_log(self, event: Dict[str, Any], context: Any) -> None:
-        """システム状態ログ作成"""
         try:
-            timestamp = datetime.now().strftime('%Y%m%d_%H%M%S')
-            status_key = f"system_logs/system_status_{timestamp}.txt"
-            
-            status_content = f"""=== 議事録生成システム状態 ===
+            manifest = self._read_json_object(bucket_name, manifest_key)
+            manifest['delivery'] = delivery
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=manifest_key,
+                Body=json.dumps(manifest, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+        except Exception as e:
+            logger.warning(f"⚠️ 送信結果のマニフェスト記録失敗: {str(e)}")
+
+        return delivery
+
+    def _claim_email_send(self, bucket_name: str, manifest_key: str, delivery: Dict[str, Any]) -> bool:
+        """manifest.json の delivery を sending にする条件付き書き込み（ETag 一致時のみ）で送信を確保
 
-実行時刻: {datetime.now().isoformat()}
-Lambda関数: {context.function_name}
-メモリ制限: {context.memory_limit_in_mb}MB
-実行時間制限: {context.get_remaining_time_in_millis()/1000:.1f}秒
+        送信済み・他の実行が送信中（MANIFEST_CLAIM_SECONDS 以内に確保）の場合は False。
+        無関係な更新（話者名の編集など）との競合は読み直して再試行する。
+        """
+        for attempt in range(MANIFEST_MAX_RETRIES):
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=manifest_key)
+            manifest = json.loads(response['Body'].read().decode('utf-8'))
+            current = manifest.get('delivery') or {}
+            if current.get('status') == 'sent':
+                logger.info(f"⏭️ メールは送信済みのためスキップ: {manifest_key}")
+                return False
+            if current.get('status') == 'sending':
+                claimed_at = datetime.fromisoformat(current['claimed_at'])
+                if (datetime.now() - claimed_at).total_seconds() < MANIFEST_CLAIM_SECONDS:
+                    logger.info(f"⏭️ 他の実行がメールを送信中のためスキップ: {manifest_key}")
+                    return False
+                logger.warning(f"⚠️ 中断されたメール送信の確保を引き継ぎ: {manifest_key} ({current['claimed_at']})")
 
-🥇 指定メインモデル:
-{self.primary_model}
+            manifest['delivery'] = {**delivery, 'status': 'sending', 'claimed_at': datetime.now().isoformat()}
+            try:
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=manifest_key,
+                    Body=json.dumps(manifest, ensure_ascii=False, indent=2).encode('utf-8'),
+                    ContentType='application/json; charset=utf-8',
+                    IfMatch=response['ETag']
+                )
+                return True
+            except Exception as e:
+                error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+                if error_code not in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                    raise
+                logger.info(f"🔁 manifest.json 競合 - 再試行 ({attempt + 1}/{MANIFEST_MAX_RETRIES})")
 
-🔄 フォールバック設定:
-"""
+        logger.warning(f"⚠️ メール送信を確保できません: 競合が解消しません ({manifest_key})")
+        return False
 
-            for i, model in enumerate(self.claude_models[1:], 2):
-                status_content += f"{i}. {model}\n"
-            
-            status_content += f"""
+    def _resolve_email_recipients(self, meeting_info: Dict[str, Any]) -> List[str]:
+        """宛先決定: アップロード単位の指定 → 参加者名簿のメールアドレス + 設定の固定宛先"""
+        explicit = meeting_info.get('email', {}).get('recipients')
+        if explicit:
+            candidates = list(explicit)
+        else:
+            roster = meeting_info.get('roster', {})
+            candidates = [p['email'] for p in roster.get('participants', []) if p.get('email')]
+            candidates += self.config['email_recipients']
 
-【Bedrockアクセス確認が必要】
-以下のモデルが 'Access granted' になっているか確認してください:
+        recipients = []
+        for address in candidates:
+            address = address.strip()
+            if address and address.lower() not in [r.lower() for r in recipients]:
+                recipients.append(address)
+        return recipients
 
-最重要:
-□ {self.primary_model}
+    def _email_attachments(self, bucket_name: str, manifest_key: str) -> List[Dict[str, Any]]:
+        """フォローアップメールの添付ファイル（マニフェストの files.calendar の events.ics）"""
+        if not self.config['email_attach_calendar']:
+            return []
+        try:
+            calendar_key = self._read_json_object(bucket_name, manifest_key).get('files', {}).get('calendar')
+            if not calendar_key:
+                return []
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=calendar_key)
+            return [{
+                'filename': calendar_key.rsplit('/', 1)[-1],
+                'content': response['Body'].read(),
+                'maintype': 'text',
+                'subtype': 'calendar'
+            }]
+        except Exception as e:
+            logger.warning(f"⚠️ カレンダー添付の読み込み失敗（添付なしで送信）: {str(e)}")
+            return []
 
-フォールバック用:
-□ {self.claude_models[1]}
-□ {self.claude_models[2]}
-□ {self.claude_models[3]}
-□ {self.claude_models[4]}
+    def _build_email_message(self, email: Dict[str, str], recipients: List[str],
+                             attachments: Optional[List[Dict[str, Any]]] = None) -> EmailMessage:
+        """テキスト本文と HTML 本文（と添付ファイル）を持つ MIME メッセージを作成"""
+        message = EmailMessage()
+        message['Subject'] = email['subject']
+        message['From'] = self.config['email_sender']
+        message['To'] = ', '.join(recipients)
+        message['Message-ID'] = make_msgid(domain=self.config['email_sender'].rpartition('@')[2] or None)
 
-【確認方法】
-AWS Bedrock → Model access → 各モデルのStatus確認
+        message.set_content(email['body'])
+        html_body = (
+            f'<html lang="{email["language"]}"><body>'
+            f'<div style="font-family: sans-serif; white-space: pre-wrap;">{html.escape(email["body"])}</div>'
+            '</body></html>'
+        )
+        message.add_alternative(html_body, subtype='html')
+        for attachment in attachments or []:
+            message.add_attachment(attachment['content'], maintype=attachment['maintype'],
+                                   subtype=attachment['subtype'], filename=attachment['filename'])
+        return message
 
-【申請方法】
-Status が 'Available to request' の場合:
-1. 'Request model access' をクリック
-2. Use case: 'General'
-3. Submit
+    def _update_index_file(self, bucket_name: str, manifest: Dict[str, Any]) -> None:
+        """
+        Add this run to the index the frontend uses to find processed recordings
 
-受信イベント:
-{json.dumps(event, indent=2, ensure_ascii=False)}
-"""
+        Layout under the output prefix:
+        - index/entries/<job_id>.json: one entry per run (never contended; source of truth for rebuilds)
+        - index/sources/<source_id>.json: the latest run of each source file
+        - index/pages/<generation>/page-NNNN.json: entries sorted by meeting date, newest first
+        - index.json: page list of the current generation, committed with an ETag-conditional put
+        """
+        try:
+            entry = self._index_entry(manifest)
+            for key, content in (
+                (self._index_entry_key(entry['job_id']), entry),
+                (self._index_source_key(entry['source_id']), entry),
+            ):
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=key,
+                    Body=json.dumps(content, ensure_ascii=False, indent=2).encode('utf-8'),
+                    ContentType='application/json; charset=utf-8'
+                )
 
-            self.s3_client.put_object(
-                Bucket="followup-mail",
-                Key=status_key,
-                Body=status_content.encode('utf-8'),
-                ContentType='text/plain; charset=utf-8'
+            entries = self._modify_index(
+                bucket_name, lambda entries: [e for e in entries if e['job_id'] != entry['job_id']] + [entry]
             )
-            logger.info(f"✅ システム状態ログ作成: s3://followup-mail/{status_key}")
+            if entries is None:
+                logger.warning(f"⚠️ インデックス更新の競合が解消しませんでした - rebuild_index で再構築してください: {entry['job_id']}")
             
         except Exception as e:
-            logger.warning(f"⚠️ システム状態ログ作成失敗: {str(e)}")
+            logger.warning(f"⚠️ インデックス更新失敗: {str(e)}")
 
-    def _process_s3_events(self, records: List[Dict[str, Any]], context: Any) -> Dict[str, Any]:
-        """S3イベント処理"""
-        results = []
-        
-        for record in records:
-            if record.get('eventSource') != 'aws:s3':
-                continue
-                
-            bucket_name = record['s3']['bucket']['name']
-            object_key = urllib.parse.unquote_plus(record['s3']['object']['key'])
-            
-            logger.info(f"🎵 処理対象ファイル: s3://{bucket_name}/{object_key}")
-            
-            if self._is_valid_audio_file(object_key):
-                result = self._process_single_audio_file(bucket_name, object_key, context)
-                results.append(result)
+    def _modify_index(self, bucket_name: str, modify: Any) -> Optional[List[Dict[str, Any]]]:
+        """index.json のエントリー一覧を modify(entries) で更新（競合時は読み直して再試行）
+
+        index.json が未作成・旧形式の場合はエントリーオブジェクトから再構築した一覧を modify に渡す。
+        更新後のエントリー一覧を返す。競合が解消しない場合は None。
+        """
+        for attempt in range(INDEX_MAX_RETRIES):
+            index_data, etag = self._read_index(bucket_name)
+            if index_data is None:
+                entries = self._load_index_entries(bucket_name)
+                if etag:
+                    entries += self._legacy_index_entries(bucket_name, {e['job_id'] for e in entries})
             else:
-                logger.info(f"⏭️ スキップ: {object_key} (無効なファイル)")
-        
-        return self._create_success_response(results)
+                entries = self._load_index_pages(bucket_name, index_data)
+                if entries is None:
+                    # 読み込み中に他の実行が index.json を差し替えた（旧世代のページは削除済み）
+                    continue
 
-    def _process_manual_mode(self, context: Any) -> Dict[str, Any]:
-        """手動実行モード"""
-        logger.info("🔧 手動実行モード - 最新のMP3ファイルを処理")
-        
-        try:
-            bucket_name = "followup-mail"
-            audio_prefix = "meeting record/"
-            
-            latest_file = self._find_latest_audio_file(bucket_name, audio_prefix)
-            if not latest_file:
-                return self._create_error_response("音声ファイルが見つかりません", 404)
-            
-            result = self._process_single_audio_file(bucket_name, latest_file['Key'], context)
-            
-            return {
-                'statusCode': 200,
-                'body': json.dumps({
-                    'mode': 'manual',
-                    'result': result
-                }, ensure_ascii=False, indent=2)
-            }
-            
-        except Exception as e:
-            logger.error(f"手動モードエラー: {str(e)}", exc_info=True)
-            return self._create_error_response(str(e), 500)
+            entries = modify(entries)
+            if self._commit_index(bucket_name, entries, index_data, etag):
+                logger.info(f"📑 インデックス更新: s3://{bucket_name}/{self.output_prefix}index.json ({len(entries)}件)")
+                return entries
 
-    def _is_valid_audio_file(self, object_key: str) -> bool:
-        """有効な音声ファイルかチェック"""
-        if not object_key.startswith('meeting record/'):
-            return False
-        
-        return any(object_key.lower().endswith(ext) for ext in self.audio_extensions)
+            # 他の実行が先に更新した場合は読み直して再試行
+            wait_seconds = random.uniform(0.1, 0.5) * (2 ** attempt)
+            logger.info(f"🔁 インデックス更新競合 - {wait_seconds:.2f}秒後に再試行 ({attempt + 1}/{INDEX_MAX_RETRIES})")
+            time.sleep(wait_seconds)
+
+        return None
+
+    def _index_entry(self, manifest: Dict[str, Any]) -> Dict[str, Any]:
+        """マニフェストからインデックスのエントリーを作成"""
+        return {
+            "job_id": manifest["job_id"],
+            "source_file": manifest["source"]["file"],
+            "source_id": manifest["source"]["source_id"],
+            "run_id": manifest["source"]["run_id"],
+            "output_folder": manifest["output_folder"],
+            "manifest_path": manifest["files"]["manifest"],
+            "processed_at": manifest["source"]["processed_at"],
+            "meeting_date": manifest["meeting"].get("datetime") or manifest["source"]["processed_at"],
+            "title": manifest["meeting"]["title"],
+            "status": manifest["status"],
+            "is_demo_data": manifest["processing"]["is_demo_data"],
+            "usage": self._index_usage(manifest["processing"])
+        }
 
-    def _find_latest_audio_file(self, bucket_name: str, prefix: str) -> Optional[Dict[str, Any]]:
-        """最新の音声ファイルを検索"""
+    def _index_usage(self, processing: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+        """インデックス用の使用量・概算コスト（月別レポートの集計元。記録のない旧マニフェストは None）"""
+        usage = processing.get('usage')
+        if not usage:
+            return None
+        return {
+            "model_used": processing.get("model_used"),
+            "llm_calls": usage['llm']['calls'],
+            "input_tokens": usage['llm']['input_tokens'],
+            "output_tokens": usage['llm']['output_tokens'],
+            "audio_minutes": usage['transcription']['audio_minutes'],
+            "llm_cost": usage['llm']['cost'],
+            "transcription_cost": usage['transcription']['cost'],
+            "previous_revisions_cost": usage.get('previous_revisions_cost', 0),
+            "estimated_cost": usage['estimated_cost'],
+            "currency": usage['currency'],
+            "by_model": {model_id: {"input_tokens": totals['input_tokens'], "output_tokens": totals['output_tokens'],
+                                    "cost": totals['cost']}
+                         for model_id, totals in usage['llm']['by_model'].items()}
+        }
+
+    def _index_entry_key(self, job_id: str) -> str:
+        return f"{self.output_prefix}index/entries/{job_id}.json"
+
+    def _index_source_key(self, source_id: str) -> str:
+        return f"{self.output_prefix}index/sources/{source_id}.json"
+
+    def _read_index(self, bucket_name: str) -> tuple:
+        """index.json と ETag を取得（未作成・旧形式の場合は (None, ETag または None)）"""
         try:
-            response = self.s3_client.list_objects_v2(Bucket=bucket_name, Prefix=prefix)
-            
-            if 'Contents' not in response:
-                return None
-            
-            audio_files = [
-                obj for obj in response['Contents'] 
-                if self._is_valid_audio_file(obj['Key'])
-            ]
-            
-            if not audio_files:
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=f"{self.output_prefix}index.json")
+        except self.s3_client.exceptions.NoSuchKey:
+            return None, None
+        index_data = json.loads(response['Body'].read().decode('utf-8'))
+        if index_data.get('version') != INDEX_VERSION:
+            return None, response['ETag']
+        return index_data, response['ETag']
+
+    def _load_index_pages(self, bucket_name: str, index_data: Dict[str, Any]) -> Optional[List[Dict[str, Any]]]:
+        """現在の世代の全ページのエントリーを取得
+
+        読み込み中に他の実行が index.json を差し替えてページが削除された場合は None（index.json から読み直す）。
+        """
+        entries = []
+        for page in index_data.get('pages', []):
+            page_data = self._read_index_page(bucket_name, page)
+            if page_data is None:
                 return None
-            
-            return max(audio_files, key=lambda x: x['LastModified'])
-            
-        except Exception as e:
-            logger.error(f"音声ファイル検索エラー: {str(e)}")
-            return None
+            entries.extend(page_data['entries'])
+        return entries
 
-    def _process_single_audio_file(self, bucket_name: str, object_key: str, context: Any) -> Dict[str, Any]:
-        """単一音声ファイル処理（更新版）"""
-        logger.info(f"🎵 音声ファイル処理開始: {object_key}")
-        logger.info(f"🥇 使用予定メインモデル: {self.primary_model}")
-        
+    def _read_index_page(self, bucket_name: str, page: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+        """インデックスのページを取得（差し替え済みの旧世代で削除されている場合は None）"""
         try:
-            # ファイル情報取得
-            file_info = self.s3_client.head_object(Bucket=bucket_name, Key=object_key)
-            file_size = file_info['ContentLength']
-            last_modified = file_info['LastModified']
-            
-            logger.info(f"📁 ファイルサイズ: {file_size/1024/1024:.2f}MB")
-            
-            # サイズチェック
-            if file_size > self.max_file_size:
-                return self._create_file_error_result(object_key, "ファイルサイズが100MBを超えています")
-            
-            # 処理進捗をS3に記録
-            self._create_progress_file(object_key, f"文字起こし処理開始 (使用予定モデル: {self.primary_model})")
-            
-            # 会議情報生成
-            meeting_info = self._generate_meeting_info(object_key, last_modified)
-            logger.info(f"📝 会議情報: {meeting_info['title']}")
-            
-            # 文字起こし処理
-            transcript_result = self._process_transcription(bucket_name, object_key, context)
-            if transcript_result['status'] != 'success':
-                # 文字起こし失敗時もデモデータで続行
-                logger.warning("文字起こし失敗 - デモデータで続行")
-                transcript_text = self._get_demo_transcript()
-                self._create_progress_file(object_key, "文字起こし失敗 - デモデータ使用")
-            else:
-                transcript_text = transcript_result['transcript']
-                logger.info(f"✅ 文字起こし完了: {len(transcript_text)}文字")
-                self._create_progress_file(object_key, f"文字起こし完了 ({len(transcript_text)}文字)")
-            
-            # Claude処理進捗更新
-            self._create_progress_file(object_key, f"Claude処理開始 (メインモデル: {self.primary_model})")
-            
-            # 議事録生成（指定モデル最優先）
-            summary_result = self._generate_meeting_summary_with_specified_model(meeting_info, transcript_text, object_key)
-            if not summary_result:
-                # 全モデル失敗時はデモデータで続行
-                logger.warning("全Claudeモデル失敗 - デモデータで続行")
-                summary_result = self._create_demo_summary(meeting_info, transcript_text)
-                self._create_progress_file(object_key, f"全Claudeモデル失敗 (メイン: {self.primary_model}) - デモデータ使用")
-            else:
-                self._create_progress_file(object_key, f"Claude処理完了 (使用モデル記録済み)")
-            
-            # 会議情報をサマリーに追加（マニフェスト用）
-            summary_result["meeting_title"] = meeting_info['title']
-            summary_result["meeting_date"] = meeting_info['date']
-            summary_result["participants"] = meeting_info['participants']
-            
-            # メールコピペ用テキスト作成
-            self._create_progress_file(object_key, "テキストファイル作成開始")
-            copy_paste_text = self._create_copy_paste_text(summary_result, meeting_info, object_key, transcript_text)
-            
-            # 新しいファイル保存方式で保存
-            saved_files = self._save_text_files_to_email_output(bucket_name, object_key, transcript_text, summary_result, copy_paste_text)
-            
-            # 完了通知作成
-            self._create_completion_notification(bucket_name, object_key, meeting_info, len(transcript_text), saved_files)
-            
-            # 最終進捗
-            self._create_progress_file(object_key, "✅ 全処理完了 - 標準フォーマットのファイル生成済み")
-            
-            # Get manifest path if available
-            manifest_path = saved_files.get("manifest", "")
-            
-            return {
-                'file': object_key,
-                'status': 'success',
-                'primary_model_used': self.primary_model,
-                'meeting_info': meeting_info,
-                'transcript_length': len(transcript_text),
-                'text_files_created': True,
-                'output_folder': f"email_output/{object_key.split('/')[-1].rsplit('.', 1)[0]}/",
-                'manifest': manifest_path,
-                'processing_time': datetime.now().isoformat()
-            }
-            
-        except Exception as e:
-            logger.error(f"❌ ファイル処理エラー ({object_key}): {str(e)}", exc_info=True)
-            self._create_progress_file(object_key, f"❌ 処理エラー: {str(e)}")
-            return self._create_file_error_result(object_key, str(e))
+            return self._read_json_object(bucket_name, page['key'])
+        except self.s3_client.exceptions.NoSuchKey:
+            logger.info(f"🔁 インデックスの世代が差し替わったため読み直し: {page['key']}")
+            return None
+
+    def _load_index_entries(self, bucket_name: str) -> List[Dict[str, Any]]:
+        """全エントリーオブジェクトを取得（再構築用）"""
+        entries = []
+        paginator = self.s3_client.get_paginator('list_objects_v2')
+        for response in paginator.paginate(Bucket=bucket_name, Prefix=f"{self.output_prefix}index/entries/"):
+            for obj in response.get('Contents', []):
+                if obj['Key'].endswith('.json'):
+                    entries.append(self._read_json_object(bucket_name, obj['Key']))
+        return entries
 
-    def _create_progress_file(self, object_key: str, status: str) -> None:
-        """進捗をファイルに記録（新しいフォルダ構造に対応）"""
+    def _legacy_index_entries(self, bucket_name: str, known_job_ids: set) -> List[Dict[str, Any]]:
+        """旧形式の index.json（processed_files / runs）の項目をエントリー形式に変換し、エントリーオブジェクトとして保存"""
         try:
-            # Extract filename for folder name
-            audio_filename = object_key.split('/')[-1].rsplit('.', 1)[0]
-            timestamp = datetime.now().strftime('%H:%M:%S')
-            progress_key = f"email_output/{audio_filename}/progress.txt"
-            
-            # Get existing content or create new
-            try:
-                existing = self.s3_client.get_object(Bucket="followup-mail", Key=progress_key)
-                existing_content = existing['Body'].read().decode('utf-8')
-            except:
-                existing_content = f"""=== 処理進捗: {audio_filename} ===
+            legacy = self._read_json_object(bucket_name, f"{self.output_prefix}index.json")
+        except Exception:
+            return []
 
-開始時刻: {datetime.now().strftime('%Y-%m-%d %H:%M:%S')}
-指定メインモデル: {self.primary_model}
-処理モード: テキストファイル出力専用
+        entries = {}
+        for name, item in {**legacy.get('processed_files', {}), **legacy.get('runs', {})}.items():
+            job_id = item.get('job_id', name)
+            if job_id in known_job_ids:
+                continue
+            # manifest_path がない項目は output_folder から補う（どちらもない項目は移行できないためスキップ）
+            output_folder = item.get('output_folder') or (item['manifest_path'].rsplit('/', 1)[0] + '/' if item.get('manifest_path') else None)
+            if not output_folder:
+                logger.warning(f"⚠️ 旧形式インデックスの項目に manifest_path / output_folder がないためスキップ: {name}")
+                continue
+            entries[job_id] = {
+                "job_id": job_id,
+                "source_file": item.get('source_file'),
+                "source_id": item.get('source_id', name),
+                "run_id": item.get('run_id'),
+                "output_folder": output_folder,
+                "manifest_path": item.get('manifest_path') or f"{output_folder}manifest.json",
+                "processed_at": item.get('processed_at'),
+                "meeting_date": item.get('processed_at'),
+                "title": item.get('title', name),
+                "status": item.get('status'),
+                "is_demo_data": None
+            }
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=self._index_entry_key(job_id),
+                Body=json.dumps(entries[job_id], ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+        return list(entries.values())
 
-"""
+    def _commit_index(self, bucket_name: str, entries: List[Dict[str, Any]],
+                      previous: Optional[Dict[str, Any]], etag: Optional[str]) -> bool:
+        """新しい世代のページを書き出し、index.json を条件付きで差し替える（競合時は False）"""
+        entries = sorted(entries, key=lambda e: (e.get('meeting_date') or '', e.get('processed_at') or ''), reverse=True)
+        page_size = max(1, self.config['index_page_size'])
+        generation = f"{datetime.now().strftime('%Y%m%d%H%M%S')}-{uuid.uuid4().hex[:8]}"
 
-            new_content = existing_content + f"[{timestamp}] {status}\n"
-            
+        pages = []
+        for number, start in enumerate(range(0, len(entries), page_size), start=1):
+            page_entries = entries[start:start + page_size]
+            page_key = f"{self.output_prefix}index/pages/{generation}/page-{number:04d}.json"
             self.s3_client.put_object(
-                Bucket="followup-mail",
-                Key=progress_key,
-                Body=new_content.encode('utf-8'),
-                ContentType='text/plain; charset=utf-8'
+                Bucket=bucket_name,
+                Key=page_key,
+                Body=json.dumps({"page": number, "entries": page_entries}, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
+            )
+            pages.append({
+                "page": number,
+                "key": page_key,
+                "count": len(page_entries),
+                "newest": page_entries[0].get('meeting_date'),
+                "oldest": page_entries[-1].get('meeting_date')
+            })
+
+        index_data = {
+            "version": INDEX_VERSION,
+            "generation": generation,
+            "total": len(entries),
+            "page_size": page_size,
+            "pages": pages,
+            "last_updated": datetime.now().isoformat()
+        }
+        condition = {'IfMatch': etag} if etag else {'IfNoneMatch': '*'}
+        try:
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=f"{self.output_prefix}index.json",
+                Body=json.dumps(index_data, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8',
+                **condition
             )
-            
         except Exception as e:
-            logger.warning(f"進捗記録失敗: {str(e)}")
+            error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+            if error_code not in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                raise
+            self._delete_index_pages(bucket_name, pages)
+            return False
 
-    def _generate_meeting_info(self, object_key: str, last_modified: datetime) -> Dict[str, str]:
-        """会議情報生成"""
-        filename = object_key.split('/')[-1].rsplit('.', 1)[0]
-        
-        # ファイル名から会議タイトルを推測
-        if 'GMT' in filename:
-            meeting_title = "定期会議 (自動検出)"
-        elif 'meeting' in filename.lower():
-            meeting_title = f"会議録音 - {filename}"
+        # 旧世代のページを削除（読み取り中のフロントエンドは index.json を読み直す）
+        if previous:
+            self._delete_index_pages(bucket_name, previous.get('pages', []))
+        return True
+
+    def _delete_index_pages(self, bucket_name: str, pages: List[Dict[str, Any]]) -> None:
+        for page in pages:
+            try:
+                self.s3_client.delete_object(Bucket=bucket_name, Key=page['key'])
+            except Exception as e:
+                logger.warning(f"インデックスページ削除失敗 ({page['key']}): {str(e)}")
+
+    def _query_index(self, bucket_name: str, filters: Dict[str, Any], limit: int = 20,
+                     next_token: Optional[str] = None) -> Dict[str, Any]:
+        """インデックス検索（会議日時の新しい順）
+
+        filters: {"title": 部分一致, "date_from": "YYYY-MM-DD", "date_to": "YYYY-MM-DD",
+                  "status": "success" など, "is_demo": true / false}
+        next_token は前回の結果の next_token（読み飛ばす件数）。total は条件に一致する件数。
+        """
+        title_filter = unicodedata.normalize('NFKC', filters.get('title') or '').lower()
+        date_from = filters.get('date_from') or ''
+        date_to = filters.get('date_to') or ''
+        status_filter = filters.get('status')
+        demo_filter = filters.get('is_demo')
+        if isinstance(demo_filter, str):
+            demo_filter = _coerce_config_value(bool, demo_filter)
+        # 条件なしの場合は index.json の total が一致件数のため、必要なページだけ読む
+        filtered = bool(title_filter or date_from or date_to or status_filter or demo_filter is not None)
+
+        def matches(entry: Dict[str, Any]) -> bool:
+            meeting_date = (entry.get('meeting_date') or '')[:10]
+            if title_filter and title_filter not in unicodedata.normalize('NFKC', entry.get('title', '')).lower():
+                return False
+            if date_from and meeting_date < date_from:
+                return False
+            if date_to and meeting_date > date_to:
+                return False
+            if status_filter and entry.get('status') != status_filter:
+                return False
+            if demo_filter is not None and entry.get('is_demo_data') != demo_filter:
+                return False
+            return True
+
+        def scan(index_data: Dict[str, Any]) -> Optional[List[Dict[str, Any]]]:
+            matched = []
+            for page in index_data.get('pages', []):
+                # ページ単位の日付範囲で読み込みを省略（ページは新しい順）
+                if date_from and (page.get('newest') or '')[:10] < date_from:
+                    break
+                if date_to and (page.get('oldest') or '')[:10] > date_to:
+                    continue
+                page_data = self._read_index_page(bucket_name, page)
+                if page_data is None:
+                    return None
+                matched.extend(e for e in page_data['entries'] if matches(e))
+                if not filtered and len(matched) > offset + limit:
+                    break
+            return matched
+
+        offset = int(next_token or 0)
+        limit = max(1, min(int(limit), 100))
+        # 読み込み中に index.json が差し替わった場合は新しい世代で読み直す
+        for attempt in range(INDEX_MAX_RETRIES):
+            index_data, _ = self._read_index(bucket_name)
+            if index_data is None:
+                return {"items": [], "total": 0, "next_token": None}
+            matched = scan(index_data)
+            if matched is not None:
+                break
         else:
-            meeting_title = f"音声会議 - {filename}"
-        
+            raise RuntimeError("インデックスの読み込み中に更新が続いたため検索できませんでした")
+
+        items = matched[offset:offset + limit]
+        has_more = len(matched) > offset + limit
         return {
-            'title': meeting_title,
-            'date': last_modified.strftime('%Y年%m月%d日 %H:%M'),
-            'participants': "音声ファイルから自動検出",
-            'source_file': object_key
+            "items": items,
+            "total": len(matched) if filtered else index_data.get('total', 0),
+            "next_token": str(offset + limit) if has_more else None
         }
 
-    def _process_transcription(self, bucket_name: str, object_key: str, context: Any) -> Dict[str, Any]:
-        """文字起こし処理"""
-        logger.info("🎤 文字起こし処理開始")
-        
+    def _process_index_query(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """議事録一覧の検索
+
+        イベント例: {"action": "query_index", "filters": {"title": "定例", "date_from": "2025-10-01",
+                     "status": "success", "is_demo": false}, "limit": 20, "next_token": "20"}
+        """
         try:
-            # 既存文字起こしチェック
-            existing_transcript = self._check_existing_transcript(bucket_name, object_key)
-            if existing_transcript:
-                logger.info("📄 既存の文字起こしを使用")
-                return {
-                    'status': 'success',
-                    'transcript': existing_transcript,
-                    'source': 'existing'
-                }
-            
-            # 新規文字起こし実行
-            transcript_text = self._execute_transcription(bucket_name, object_key, context)
-            
-            if transcript_text:
-                self._save_transcript(bucket_name, object_key, transcript_text)
-                return {
-                    'status': 'success',
-                    'transcript': transcript_text,
-                    'source': 'new'
-                }
-            else:
-                return {
-                    'status': 'error',
-                    'message': 'Transcribe処理タイムアウト'
-                }
-                
-        except Exception as e:
-            logger.error(f"文字起こしエラー: {str(e)}", exc_info=True)
+            bucket_name = event.get('bucket') or self._resolve_output_bucket(self.default_bucket)
+            result = self._query_index(bucket_name, event.get('filters') or {}, event.get('limit', 20), event.get('next_token'))
             return {
-                'status': 'error',
-                'message': f'文字起こしエラー: {str(e)}'
+                'statusCode': 200,
+                'body': json.dumps({'mode': 'query_index', **result}, ensure_ascii=False, indent=2)
             }
-
-    def _check_existing_transcript(self, bucket_name: str, audio_key: str) -> Optional[str]:
-        """既存文字起こしチェック"""
-        try:
-            audio_filename = audio_key.split('/')[-1].rsplit('.', 1)[0]
-            transcript_key = f"transcripts/{audio_filename}_transcript.txt"
-            
-            response = self.s3_client.get_object(Bucket=bucket_name, Key=transcript_key)
-            transcript_text = response['Body'].read().decode('utf-8')
-            logger.info(f"✅ 既存文字起こし発見: {transcript_key}")
-            return transcript_text
-            
-        except self.s3_client.exceptions.NoSuchKey:
-            return None
         except Exception as e:
-            logger.warning(f"既存文字起こしチェックエラー: {str(e)}")
-            return None
+            logger.error(f"インデックス検索エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
 
-    def _execute_transcription(self, bucket_name: str, object_key: str, context: Any) -> Optional[str]:
-        """Transcribe実行"""
-        try:
-            # ジョブ設定
-            timestamp = datetime.now().strftime('%Y%m%d_%H%M%S')
-            job_name = f"auto-meeting-{timestamp}-{uuid.uuid4().hex[:8]}"
-            
-            # ファイル形式判定
-            file_extension = object_key.lower().split('.')[-1]
-            format_mapping = {
-                'mp3': 'mp3', 'wav': 'wav', 'm4a': 'mp4', 'mp4': 'mp4',
-                'ogg': 'ogg', 'flac': 'flac', 'aac': 'mp4'
+    def _process_index_rebuild(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """エントリーオブジェクトから index.json を再構築"""
+        try:
+            bucket_name = event.get('bucket') or self._resolve_output_bucket(self.default_bucket)
+            entries = self._modify_index(bucket_name, lambda _: self._load_index_entries(bucket_name))
+            if entries is None:
+                return self._create_error_response("インデックス更新の競合が解消しませんでした", 409)
+            logger.info(f"📑 インデックス再構築: {len(entries)}件")
+            return {
+                'statusCode': 200,
+                'body': json.dumps({'mode': 'rebuild_index', 'total': len(entries)}, ensure_ascii=False)
             }
-            media_format = format_mapping.get(file_extension, 'mp3')
-            
-            audio_url = f"s3://{bucket_name}/{object_key}"
-            
-            logger.info(f"🎙️ Transcribeジョブ開始: {job_name} ({media_format})")
-            
-            # ジョブ開始
-            self.transcribe_client.start_transcription_job(
-                TranscriptionJobName=job_name,
-                Media={'MediaFileUri': audio_url},
-                MediaFormat=media_format,
-                LanguageCode='ja-JP',
-                Settings={
-                    'ShowSpeakerLabels': True,
-                    'MaxSpeakerLabels': 10
-                }
-            )
-            
-            # 完了待機
-            return self._wait_for_transcription(job_name, context)
-            
         except Exception as e:
-            logger.error(f"Transcribe実行エラー: {str(e)}", exc_info=True)
-            return None
+            logger.error(f"インデックス再構築エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
 
-    def _wait_for_transcription(self, job_name: str, context: Any) -> Optional[str]:
-        """Transcribe完了待機"""
-        remaining_time = context.get_remaining_time_in_millis()
-        max_wait_seconds = min(600, max(60, (remaining_time / 1000) - 180))
-        max_attempts = int(max_wait_seconds // 20)
-        
-        logger.info(f"⏱️ 最大待機時間: {max_wait_seconds:.0f}秒")
-        
-        for attempt in range(max_attempts):
+    def _action_items_key(self, series_id: str) -> str:
+        return f"{self.output_prefix}action_items/{series_id}.json"
+
+    def _read_action_items(self, bucket_name: str, series_id: str) -> tuple:
+        """シリーズのアクションアイテムストアと ETag を取得（未作成の場合は (None, None)）"""
+        try:
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=self._action_items_key(series_id))
+        except self.s3_client.exceptions.NoSuchKey:
+            return None, None
+        return json.loads(response['Body'].read().decode('utf-8')), response['ETag']
+
+    def _modify_action_items(self, bucket_name: str, series: Dict[str, str], modify: Any) -> Optional[Dict[str, Any]]:
+        """シリーズのアクションアイテム（ID -> 項目）を modify(items) で更新（競合時は読み直して再試行）
+
+        更新後のストアを返す。競合が解消しない場合は None。
+        """
+        for attempt in range(ACTION_ITEMS_MAX_RETRIES):
+            store, etag = self._read_action_items(bucket_name, series['id'])
+            items = {item['id']: item for item in (store or {}).get('items', [])}
+            items = modify(items)
+
+            store = {
+                'version': ACTION_ITEMS_VERSION,
+                'series': series,
+                'items': sorted(items.values(), key=lambda item: item['created_at']),
+                'updated_at': datetime.now().isoformat()
+            }
+            condition = {'IfMatch': etag} if etag else {'IfNoneMatch': '*'}
             try:
-                response = self.transcribe_client.get_transcription_job(TranscriptionJobName=job_name)
-                job_status = response['TranscriptionJob']['TranscriptionJobStatus']
-                
-                logger.info(f"📊 ジョブ状態確認 ({attempt+1}/{max_attempts}): {job_status}")
-                
-                if job_status == 'COMPLETED':
-                    transcript_uri = response['TranscriptionJob']['Transcript']['TranscriptFileUri']
-                    transcript_text = self._fetch_transcript_result(transcript_uri)
-                    self._cleanup_transcribe_job(job_name)
-                    return transcript_text
-                
-                elif job_status == 'FAILED':
-                    failure_reason = response['TranscriptionJob'].get('FailureReason', '不明')
-                    logger.error(f"❌ 文字起こし失敗: {failure_reason}")
-                    self._cleanup_transcribe_job(job_name)
-                    return None
-                
-                # 残り時間チェック
-                remaining = context.get_remaining_time_in_millis()
-                if remaining < 120000:  # 2分以下の場合
-                    logger.warning(f"⚠️ Lambda実行時間残り少なく ({remaining/1000:.1f}秒)、強制終了")
-                    self._cleanup_transcribe_job(job_name)
-                    return None
-                
-                # 待機
-                time.sleep(20)
-                
+                self.s3_client.put_object(
+                    Bucket=bucket_name,
+                    Key=self._action_items_key(series['id']),
+                    Body=json.dumps(store, ensure_ascii=False, indent=2).encode('utf-8'),
+                    ContentType='application/json; charset=utf-8',
+                    **condition
+                )
+                return store
             except Exception as e:
-                logger.error(f"ジョブ状態チェックエラー: {str(e)}")
-                break
-        
-        # タイムアウト
-        logger.warning(f"⚠️ Transcribeジョブ待機タイムアウト: {job_name}")
+                error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+                if error_code not in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                    raise
+
+            # 他の実行が先に更新した場合は読み直して再試行
+            wait_seconds = random.uniform(0.1, 0.5) * (2 ** attempt)
+            logger.info(f"🔁 アクションアイテム更新競合 - {wait_seconds:.2f}秒後に再試行 ({attempt + 1}/{ACTION_ITEMS_MAX_RETRIES})")
+            time.sleep(wait_seconds)
+
         return None
 
-    def _fetch_transcript_result(self, transcript_uri: str) -> Optional[str]:
-        """文字起こし結果取得"""
+    def _normalize_task(self, task: str) -> str:
+        """タスク内容の比較用キー（NFKC正規化・小文字化し、空白・記号を除去）"""
+        return re.sub(r'[\W_]+', '', unicodedata.normalize('NFKC', task or '').lower())
+
+    def _open_action_items(self, bucket_name: str, object_key: str, meeting_info: Dict[str, Any]) -> List[Dict[str, Any]]:
+        """同じシリーズの過去の会議で登録された未完了アクションアイテム
+
+        この会議自身から登録された項目と、この会議より後の会議で登録された項目（過去の会議の再生成時）は除く。
+        """
+        limit = self.config['action_item_carryover_limit']
+        if not meeting_info.get('series') or limit <= 0:
+            return []
         try:
-            with urllib.request.urlopen(transcript_uri) as response:
-                transcript_json = json.loads(response.read().decode('utf-8'))
-            
-            # 基本文字起こし
-            transcript = transcript_json.get('results', {}).get('transcripts', [{}])[0].get('transcript', '')
-            
-            # 話者ラベル付きフォーマット試行
-            items = transcript_json.get('results', {}).get('items', [])
-            speakers = transcript_json.get('results', {}).get('speaker_labels', {}).get('speakers', 0)
-            
-            if items and speakers > 0:
-                formatted = self._format_with_speakers(transcript_json)
-                if formatted:
-                    logger.info("🗣️ 話者ラベル付きフォーマット適用")
-                    return formatted
-            
-            logger.info("📝 基本フォーマット使用")
-            return transcript
-            
+            store, _ = self._read_action_items(bucket_name, meeting_info['series']['id'])
         except Exception as e:
-            logger.error(f"文字起こし結果取得エラー: {str(e)}")
-            return None
+            logger.warning(f"⚠️ アクションアイテム取得失敗: {str(e)}")
+            return []
+
+        source_id = self._source_id(object_key)
+        meeting_datetime = meeting_info.get('datetime') or ''
+        open_items = [
+            item for item in (store or {}).get('items', [])
+            if item['status'] == 'open' and item['source']['source_id'] != source_id
+            and not (meeting_datetime and (item['source'].get('meeting_datetime') or '') > meeting_datetime)
+        ]
+        if open_items:
+            logger.info(f"📌 未完了アクションアイテム {len(open_items)}件をプロンプトに追加 (シリーズ: {meeting_info['series']['title']})")
+        return open_items[-limit:]
+
+    def _sync_action_items(self, bucket_name: str, object_key: str, summary_result: Dict[str, Any]) -> None:
+        """議事録のアクションアイテムをシリーズのストアに登録し、各項目に id / carried_over を付与
+
+        - carryover_id（LLM が継続と判断した既存項目のID）またはタスク内容が一致する既存項目は、
+          担当者・期限・優先度を更新して言及した会議（meetings）を追加
+        - それ以外は新規項目（ID はソースIDとタスク内容から決まるため、再処理しても変わらない）
+        - 再処理・再生成で消えた、この会議から登録された未完了の項目は削除
+        デモデータの議事録は登録しない。
+        """
+        series = summary_result.get('series')
+        if not series or "note" in summary_result:
+            return
+
+        run = self.runs.get(object_key, {})
+        source_id = run.get('source_id', self._source_id(object_key))
+        job_id = run.get('job_id', source_id)
+        now = datetime.now().isoformat()
+        action_items = [item for item in summary_result.get('action_items', []) or [] if isinstance(item, dict)]
+
+        def modify(items: Dict[str, Dict[str, Any]]) -> Dict[str, Dict[str, Any]]:
+            by_task = {self._normalize_task(item['task']): item_id for item_id, item in items.items()}
+            seen_ids = set()
+            for action_item in action_items:
+                task_key = self._normalize_task(action_item.get('task', ''))
+                carryover_id = action_item.get('carryover_id') or ''
+                item_id = carryover_id if carryover_id in items else by_task.get(task_key)
+                if item_id is None:
+                    task_hash = hashlib.sha1(f"{source_id}/{task_key}".encode('utf-8')).hexdigest()[:10]
+                    item_id = f"{series['id']}-{task_hash}"
+                    items[item_id] = {
+                        'id': item_id,
+                        'task': action_item.get('task', ''),
+                        'status': 'open',
+                        'source': {
+                            'job_id': job_id,
+                            'source_id': source_id,
+                            'meeting_title': summary_result.get('meeting_title'),
+                            'meeting_date': summary_result.get('meeting_date'),
+                            'meeting_datetime': summary_result.get('meeting_datetime'),
+                            'output_folder': self._output_folder(object_key)
+                        },
+                        'meetings': [],
+                        'created_at': now
+                    }
+                    by_task[task_key] = item_id
+
+                item = items[item_id]
+                # 継続タスクで担当者・期限が未定（要確認・要設定）になった場合は前回の値を残す
+                for field, placeholder in (('assignee', '要確認'), ('deadline', '要設定'), ('priority', None)):
+                    value = action_item.get(field)
+                    if value and (value != placeholder or not item.get(field)):
+                        item[field] = value
+                        if field == 'deadline':
+                            item.update({key: action_item.get(key) for key in
+                                         ('deadline_date', 'deadline_kind', 'deadline_ambiguous')})
+                if job_id not in item['meetings']:
+                    item['meetings'].append(job_id)
+                item['updated_at'] = now
+                seen_ids.add(item_id)
+
+                action_item['id'] = item_id
+                action_item['carried_over'] = item['source']['source_id'] != source_id
+
+            for item_id, item in list(items.items()):
+                if item_id in seen_ids:
+                    continue
+                # 再処理前の実行（同じソースの別の実行ID）の言及を除く
+                item['meetings'] = [j for j in item['meetings'] if not j.startswith(f"{source_id}-") and j != source_id]
+                if item['source']['source_id'] == source_id and item['status'] == 'open':
+                    del items[item_id]
+            return items
 
-    def _format_with_speakers(self, transcript_json: Dict[str, Any]) -> Optional[str]:
-        """話者ラベル付きフォーマット"""
         try:
-            items = transcript_json.get('results', {}).get('items', [])
-            speaker_labels = transcript_json.get('results', {}).get('speaker_labels', {})
-            segments = speaker_labels.get('segments', [])
-            
-            # マッピング作成
-            time_to_speaker = {}
-            for segment in segments:
-                speaker_label = segment.get('speaker_label')
-                for item in segment.get('items', []):
-                    start_time = item.get('start_time')
-                    if start_time and speaker_label:
-                        time_to_speaker[start_time] = speaker_label
-            
-            # 発言テキスト構築
-            current_speaker = None
-            formatted_transcript = []
-            buffer = ""
-            
-            for item in items:
-                if item.get('type') == 'pronunciation':
-                    start_time = item.get('start_time')
-                    speaker = time_to_speaker.get(start_time)
-                    
-                    if speaker and speaker != current_speaker and buffer:
-                        if current_speaker:
-                            formatted_transcript.append(f"話者{current_speaker.replace('spk_', '')}: {buffer.strip()}")
-                        buffer = ""
-                        current_speaker = speaker
-                    
-                    if not current_speaker:
-                        current_speaker = speaker
-                    
-                    content = item.get('alternatives', [{}])[0].get('content', '')
-                    buffer += content + " "
-                    
-                elif item.get('type') == 'punctuation':
-                    content = item.get('alternatives', [{}])[0].get('content', '')
-                    buffer = buffer.rstrip() + content + " "
-            
-            # 最後の発言を追加
-            if current_speaker and buffer:
-                formatted_transcript.append(f"話者{current_speaker.replace('spk_', '')}: {buffer.strip()}")
-            
-            return "\n\n".join(formatted_transcript)
-            
+            store = self._modify_action_items(bucket_name, series, modify)
+            if store is None:
+                logger.warning(f"⚠️ アクションアイテム更新の競合が解消しませんでした: {series['id']}")
+                return
+            carried = sum(1 for item in action_items if item.get('carried_over'))
+            logger.info(f"📌 アクションアイテム登録: {len(action_items)}件 (継続 {carried}件) - "
+                        f"s3://{bucket_name}/{self._action_items_key(series['id'])}")
         except Exception as e:
-            logger.error(f"話者フォーマットエラー: {str(e)}")
+            logger.warning(f"⚠️ アクションアイテム登録失敗: {str(e)}")
+
+    def _query_action_items(self, bucket_name: str, filters: Dict[str, Any]) -> List[Dict[str, Any]]:
+        """アクションアイテム検索（未完了を先に、期限の近い順。期限のない項目は登録日時の新しい順で最後）
+
+        filters: {"assignee": 部分一致, "status": "open" / "done", "series": シリーズID}
+        """
+        if filters.get('series'):
+            keys = [self._action_items_key(filters['series'])]
+        else:
+            keys = []
+            paginator = self.s3_client.get_paginator('list_objects_v2')
+            for response in paginator.paginate(Bucket=bucket_name, Prefix=f"{self.output_prefix}action_items/"):
+                keys.extend(obj['Key'] for obj in response.get('Contents', []) if obj['Key'].endswith('.json'))
+
+        assignee_filter = unicodedata.normalize('NFKC', filters.get('assignee') or '').lower()
+        status_filter = filters.get('status')
+        items = []
+        for key in keys:
+            try:
+                store = self._read_json_object(bucket_name, key)
+            except self.s3_client.exceptions.NoSuchKey:
+                continue
+            for item in store.get('items', []):
+                if status_filter and item['status'] != status_filter:
+                    continue
+                if assignee_filter and assignee_filter not in unicodedata.normalize('NFKC', item.get('assignee') or '').lower():
+                    continue
+                items.append({**item, 'series': store['series']})
+
+        items.sort(key=lambda item: item['created_at'], reverse=True)
+        items.sort(key=lambda item: (item['status'] != 'open', item.get('deadline_date') or '9999-12-31'))
+        return items
+
+    def _update_action_item_status(self, bucket_name: str, item_id: str, status: str,
+                                   updated_by: Optional[str] = None, note: Optional[str] = None) -> Optional[Dict[str, Any]]:
+        """アクションアイテムの状態を更新（ID の先頭がシリーズID）。項目がない場合は None"""
+        store, _ = self._read_action_items(bucket_name, item_id.split('-', 1)[0])
+        if not store or not any(item['id'] == item_id for item in store['items']):
             return None
 
-    def _cleanup_transcribe_job(self, job_name: str) -> None:
-        """Transcribeジョブクリーンアップ"""
+        updated: Dict[str, Any] = {}
+
+        def modify(items: Dict[str, Dict[str, Any]]) -> Dict[str, Dict[str, Any]]:
+            item = items.get(item_id)
+            if item:
+                now = datetime.now().isoformat()
+                item.update(status=status, updated_at=now)
+                if status == 'done':
+                    item.update(done_at=now, done_by=updated_by)
+                else:
+                    item.update(done_at=None, done_by=None)
+                if note is not None:
+                    item['note'] = note
+                updated.update(item)
+            return items
+
+        if self._modify_action_items(bucket_name, store['series'], modify) is None:
+            raise RuntimeError(f"アクションアイテム更新の競合が解消しませんでした: {item_id}")
+        return updated or None
+
+    def _process_action_item_query(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """アクションアイテム一覧
+
+        イベント例: {"action": "query_action_items", "filters": {"assignee": "田中", "status": "open"}}
+        """
         try:
-            self.transcribe_client.delete_transcription_job(TranscriptionJobName=job_name)
-            logger.info(f"🗑️ Transcribeジョブ削除: {job_name}")
+            bucket_name = event.get('bucket') or self._resolve_output_bucket(self.default_bucket)
+            items = self._query_action_items(bucket_name, event.get('filters') or {})
+            return {
+                'statusCode': 200,
+                'body': json.dumps({'mode': 'query_action_items', 'items': items, 'total': len(items)}, ensure_ascii=False, indent=2)
+            }
         except Exception as e:
-            logger.warning(f"ジョブ削除失敗 ({job_name}): {str(e)}")
+            logger.error(f"アクションアイテム検索エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _process_action_item_update(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """アクションアイテムの完了・再オープン
 
-    def _save_transcript(self, bucket_name: str, audio_key: str, transcript_text: str) -> None:
-        """文字起こし保存"""
+        イベント例: {"action": "update_action_item", "item_id": "<ID>", "status": "done",
+                     "updated_by": "yamada@example.com", "note": "資料送付済み"}
+        """
         try:
-            audio_filename = audio_key.split('/')[-1].rsplit('.', 1)[0]
-            transcript_key = f"transcripts/{audio_filename}_transcript.txt"
-            
+            status = event.get('status', 'done')
+            if status not in ACTION_ITEM_STATUSES:
+                return self._create_error_response(f"status は {' / '.join(ACTION_ITEM_STATUSES)} のいずれかです", 400)
+
+            bucket_name = event.get('bucket') or self._resolve_output_bucket(self.default_bucket)
+            item = self._update_action_item_status(bucket_name, event.get('item_id', ''), status,
+                                                   event.get('updated_by'), event.get('note'))
+            if not item:
+                return self._create_error_response(f"アクションアイテムが見つかりません: {event.get('item_id')}", 404)
+            logger.info(f"📌 アクションアイテム更新: {item['id']} → {status}")
+            return {
+                'statusCode': 200,
+                'body': json.dumps({'mode': 'update_action_item', 'item': item}, ensure_ascii=False, indent=2)
+            }
+        except Exception as e:
+            logger.error(f"アクションアイテム更新エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
+
+    def _build_usage_report(self, bucket_name: str, month: Optional[str] = None) -> Dict[str, Any]:
+        """index.json の全エントリーから月別（処理日時の年月）の使用量・概算コストを集計
+
+        month（YYYY-MM）指定時はその月のみ。使用量の記録がない旧エントリーは without_usage に件数のみ計上する。
+        """
+        entries: Optional[List[Dict[str, Any]]] = None
+        for attempt in range(INDEX_MAX_RETRIES):
+            index_data, _ = self._read_index(bucket_name)
+            entries = self._load_index_pages(bucket_name, index_data) if index_data else []
+            if entries is not None:
+                break
+        else:
+            raise RuntimeError("インデックスの読み込み中に更新が続いたため集計できませんでした")
+
+        months: Dict[str, Dict[str, Any]] = {}
+        for entry in entries:
+            entry_month = (entry.get('processed_at') or '')[:7]
+            if month and entry_month != month:
+                continue
+            totals = months.setdefault(entry_month, {
+                'month': entry_month, 'meetings': 0, 'by_status': {}, 'demo_meetings': 0, 'without_usage': 0,
+                'llm_calls': 0, 'input_tokens': 0, 'output_tokens': 0, 'audio_minutes': 0.0,
+                'llm_cost': 0.0, 'transcription_cost': 0.0, 'previous_revisions_cost': 0.0, 'estimated_cost': 0.0,
+                'by_model': {}
+            })
+            totals['meetings'] += 1
+            totals['by_status'][entry.get('status')] = totals['by_status'].get(entry.get('status'), 0) + 1
+            if entry.get('is_demo_data'):
+                totals['demo_meetings'] += 1
+            usage = entry.get('usage')
+            if not usage:
+                totals['without_usage'] += 1
+                continue
+            for field in ('llm_calls', 'input_tokens', 'output_tokens', 'audio_minutes', 'llm_cost',
+                          'transcription_cost', 'previous_revisions_cost', 'estimated_cost'):
+                totals[field] += usage.get(field) or 0
+            for model_id, model_usage in usage.get('by_model', {}).items():
+                model_totals = totals['by_model'].setdefault(model_id, {'meetings': 0, 'input_tokens': 0, 'output_tokens': 0, 'cost': 0.0})
+                model_totals['meetings'] += 1
+                for field in ('input_tokens', 'output_tokens', 'cost'):
+                    model_totals[field] += model_usage.get(field) or 0
+
+        for totals in months.values():
+            for field in ('audio_minutes', 'llm_cost', 'transcription_cost', 'previous_revisions_cost', 'estimated_cost'):
+                totals[field] = round(totals[field], 6)
+            for model_totals in totals['by_model'].values():
+                model_totals['cost'] = round(model_totals['cost'], 6)
+
+        report_months = sorted(months.values(), key=lambda totals: totals['month'], reverse=True)
+        return {
+            'currency': self.pricing['currency'],
+            'month': month,
+            'months': report_months,
+            'estimated_cost': round(sum(totals['estimated_cost'] for totals in report_months), 6),
+            'generated_at': datetime.now().isoformat(),
+            'note': '料金表（pricing）に基づく概算です。実際の請求額は AWS の請求情報で確認してください。'
+        }
+
+    def _process_usage_report(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """月別の使用量・概算コストレポートを作成して reports/ に保存
+
+        イベント例: {"action": "usage_report", "month": "2025-10"}（month 省略時は全期間）
+        """
+        try:
+            month = event.get('month')
+            if month and not re.match(r'^\d{4}-\d{2}$', month):
+                return self._create_error_response("month は YYYY-MM 形式で指定してください", 400)
+
+            bucket_name = event.get('bucket') or self._resolve_output_bucket(self.default_bucket)
+            report = self._build_usage_report(bucket_name, month)
+            report_key = f"{self.output_prefix}reports/usage-{month or 'all'}.json"
             self.s3_client.put_object(
                 Bucket=bucket_name,
-                Key=transcript_key,
-                Body=transcript_text.encode('utf-8'),
-                ContentType='text/plain; charset=utf-8'
+                Key=report_key,
+                Body=json.dumps(report, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8'
             )
-            logger.info(f"💾 文字起こし保存: s3://{bucket_name}/{transcript_key}")
-            
+            logger.info(f"💰 使用量レポート作成: s3://{bucket_name}/{report_key} (概算 {report['estimated_cost']} {report['currency']})")
+            return {
+                'statusCode': 200,
+                'body': json.dumps({'mode': 'usage_report', 'report_key': report_key, **report}, ensure_ascii=False, indent=2)
+            }
         except Exception as e:
-            logger.warning(f"文字起こし保存失敗: {str(e)}")
+            logger.error(f"使用量レポート作成エラー: {str(e)}", exc_info=True)
+            return self._create_error_response(str(e), 500)
 
-    def _get_demo_transcript(self) -> str:
-        """デモ文字起こしデータ"""
-        return """話者1: 皆さん、お疲れ様です。それでは、Project Xの進捗会議を始めさせていただきます。まず、山田さんから開発状況をお聞かせください。
+    def _process_http_request(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """HTTP API リクエストのルーティング（API Gateway REST / HTTP API / Lambda Function URL 共通）"""
+        method = (event.get('httpMethod') or event['requestContext']['http']['method']).upper()
+        path = event.get('rawPath') or event.get('path') or '/'
+        base_path = self.config['api_base_path'].rstrip('/')
+        if base_path and path.startswith(base_path):
+            path = path[len(base_path):] or '/'
+        path = path.rstrip('/') or '/'
 
-話者2: ありがとうございます、山田です。今週の開発状況についてご報告いたします。フロントエンドの実装が約80%完了しており、予定通り今月末にはベータ版がリリースできる見込みです。ただし、APIの統合部分で一部課題が発生しております。
+        logger.info(f"🌐 HTTP API: {method} {path}")
+        self.request_headers = {str(k).lower(): v for k, v in (event.get('headers') or {}).items()}
 
-話者1: どのような課題でしょうか？
+        if method == 'OPTIONS':
+            return self._http_response(204, None)
 
-話者2: データベースとの連携部分で、レスポンス時間が予想より長くなっている問題があります。最適化が必要な状況です。
+        path_matched = False
+        for route_method, pattern, handler_name in API_ROUTES:
+            match = re.match(pattern, path)
+            if not match:
+                continue
+            path_matched = True
+            if route_method != method:
+                continue
 
-話者3: 佐藤です。その件について、インフラ側から支援できることがあります。来週月曜日までに、データベースのパフォーマンスチューニングを実施いたします。
+            try:
+                body = self._http_request_body(event)
+            except ValueError as e:
+                return self._http_error(400, f"リクエストボディが不正です: {str(e)}")
 
-話者4: 鈴木です。マーケティング側の準備はいかがでしょうか？
+            params = {k: urllib.parse.unquote(v) for k, v in match.groupdict().items()}
+            query = event.get('queryStringParameters') or {}
+            try:
+                return getattr(self, handler_name)(params, query, body, context)
+            except Exception as e:
+                logger.error(f"HTTP API エラー ({method} {path}): {str(e)}", exc_info=True)
+                return self._http_error(500, str(e))
 
-話者5: 高橋です。マーケティング資料は完成しており、ランディングページも来週火曜日には公開予定です。広告キャンペーンの準備も整っております。
+        if path_matched:
+            return self._http_error(405, f"許可されていないメソッドです: {method}")
+        return self._http_error(404, f"ルートが見つかりません: {path}")
 
-話者1: 素晴らしいですね。それでは、次回の会議は来週金曜日の同じ時間ということで、最終確認を行いましょう。各担当者は今日決めたアクション項目を来週までに完了をお願いします。
+    def _http_request_body(self, event: Dict[str, Any]) -> Dict[str, Any]:
+        """リクエストボディ（JSON）を取得"""
+        raw_body = event.get('body')
+        if not raw_body:
+            return {}
+        if event.get('isBase64Encoded'):
+            raw_body = base64.b64decode(raw_body).decode('utf-8')
+        try:
+            body = json.loads(raw_body)
+        except json.JSONDecodeError as e:
+            raise ValueError(str(e))
+        if not isinstance(body, dict):
+            raise ValueError("JSONオブジェクトを指定してください")
+        return body
 
-話者2: 承知いたしました。
+    def _http_response(self, status_code: int, payload: Any, content_type: str = 'application/json; charset=utf-8',
+                       headers: Optional[Dict[str, str]] = None) -> Dict[str, Any]:
+        """HTTP API レスポンス作成"""
+        headers = {
+            'Content-Type': content_type,
+            'Access-Control-Allow-Origin': self.config['api_allowed_origin'],
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match',
+            'Access-Control-Expose-Headers': 'ETag',
+            **(headers or {})
+        }
+        if payload is None:
+            body = ''
+        elif isinstance(payload, str):
+            body = payload
+        else:
+            body = json.dumps(payload, ensure_ascii=False, indent=2)
+        return {'statusCode': status_code, 'headers': headers, 'body': body}
 
-話者3: 了解です。
+    def _http_error(self, status_code: int, message: str) -> Dict[str, Any]:
+        """HTTP API エラーレスポンス作成"""
+        return self._http_response(status_code, {
+            'status': 'error',
+            'message': message,
+            'timestamp': datetime.now().isoformat()
+        })
 
-話者1: それでは、今日はありがとうございました。お疲れ様でした。"""
+    def _api_output_bucket(self) -> str:
+        return self._resolve_output_bucket(self.default_bucket)
 
-    def _generate_meeting_summary_with_specified_model(self, meeting_info: Dict[str, str], transcript_text: str, object_key: str) -> Optional[Dict[str, Any]]:
-        """指定モデル anthropic.claude-sonnet-4-20250514-v1:0 でClaude議事録生成"""
-        logger.info(f"🤖 Claude議事録生成開始")
-        logger.info(f"🥇 指定メインモデル: {self.primary_model}")
-        
-        # Claude処理状況をS3に記録
-        filename = object_key.split('/')[-1].rsplit('.', 1)[0]
-        claude_debug_key = f"email_output/{filename}/claude_processing.txt"
-        
-        # テキスト長制限
-        original_length = len(transcript_text)
-        if len(transcript_text) > self.max_transcript_length:
-            transcript_text = transcript_text[:self.max_transcript_length] + "\n\n...(文字数制限により省略)"
-            logger.info(f"📏 文字起こしを {self.max_transcript_length} 文字に制限 (元: {original_length}文字)")
-        
-        # 指定モデル anthropic.claude-sonnet-4-20250514-v1:0 で順次試行
-        for i, model_id in enumerate(self.claude_models):
-            try:
-                if i == 0:
-                    model_status = f"🥇 指定メインモデル: {model_id}"
-                else:
-                    model_status = f"#{i+1} フォールバックモデル: {model_id}"
-                
-                logger.info(f"🔄 Claude API呼び出し: {model_status}")
-                
-                # 詳細プロンプト
-                prompt = f"""以下の会議の文字起こしから、構造化された議事録を作成してください。
+    def _load_meeting_entry(self, meeting_id: str) -> Optional[Dict[str, Any]]:
+        """議事録ID（job_id）のインデックスエントリーを取得"""
+        try:
+            return self._read_json_object(self._api_output_bucket(), self._index_entry_key(meeting_id))
+        except self.s3_client.exceptions.NoSuchKey:
+            return None
 
-【会議情報】
-会議名: {meeting_info['title']}
-日時: {meeting_info['date']}
-参加者: {meeting_info['participants']}
+    def _api_list_meetings(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /meetings?title=&date_from=&date_to=&status=&is_demo=&limit=&next_token="""
+        filters = {k: query[k] for k in ('title', 'date_from', 'date_to', 'status', 'is_demo') if query.get(k)}
+        try:
+            limit = int(query.get('limit', 20))
+            int(query.get('next_token') or 0)
+        except ValueError:
+            return self._http_error(400, "limit / next_token は整数で指定してください")
+        return self._http_response(200, self._query_index(self._api_output_bucket(), filters, limit, query.get('next_token')))
 
-【文字起こし内容】
-{transcript_text}
+    def _api_get_meeting(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /meetings/{id} - マニフェストと議事録"""
+        entry = self._load_meeting_entry(params['meeting_id'])
+        if not entry:
+            return self._http_error(404, f"議事録が見つかりません: {params['meeting_id']}")
 
-【必須出力形式】
-以下のJSON形式で必ず回答してください:
+        bucket_name = self._api_output_bucket()
+        manifest = self._read_json_object(bucket_name, entry['manifest_path'])
+        summary = self._read_json_object(bucket_name, manifest['files']['summary_json']) if 'summary_json' in manifest['files'] else None
+        manifest.pop('summary', None)
+        return self._http_response(200, {'id': entry['job_id'], 'manifest': manifest, 'summary': summary})
 
-{{
-"meeting_summary": "会議の要約を2-3文で簡潔に記述してください",
-"key_decisions": ["決定事項1", "決定事項2", "決定事項3"],
-"action_items": [
-{{
-"task": "具体的なタスク内容を記述",
-"assignee": "担当者名（不明な場合は「要確認」と記載）",
-"deadline": "期限（不明な場合は「要設定」と記載）",
-"priority": "高/中/低のいずれかを設定"
-}}
-],
-"next_meeting": "次回会議の予定（不明な場合は「未定」と記載）",
-"concerns": ["懸念事項1", "懸念事項2"]
-}}
+    def _api_get_transcript(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /meetings/{id}/transcript（?format=text でテキストのみ）"""
+        entry = self._load_meeting_entry(params['meeting_id'])
+        if not entry:
+            return self._http_error(404, f"議事録が見つかりません: {params['meeting_id']}")
 
-【重要な注意事項】
-1. 必ずJSONの構文を正しく守ってください
-2. 文字起こしから明確に読み取れる内容のみを記載してください
-3. 推測や補完は避けてください
-4. すべて日本語で回答してください
-5. JSONの外に説明文は含めないでください"""
+        bucket_name = self._api_output_bucket()
+        manifest = self._read_json_object(bucket_name, entry['manifest_path'])
+        if 'transcript' not in manifest['files']:
+            return self._http_error(404, f"文字起こしがありません (status: {manifest['status']})")
+        response = self.s3_client.get_object(Bucket=bucket_name, Key=manifest['files']['transcript'])
+        transcript_text = response['Body'].read().decode('utf-8')
+        if query.get('format') == 'text':
+            return self._http_response(200, transcript_text, 'text/plain; charset=utf-8')
 
-                # Claude API呼び出し（指定モデル優先）
-                body = json.dumps({
-                    "anthropic_version": "bedrock-2023-05-31",
-                    "max_tokens": 4000,
-                    "temperature": 0.1,
-                    "messages": [{"role": "user", "content": prompt}]
-                })
+        try:
+            transcript_document = self._read_json_object(bucket_name, manifest['files']['transcript_json'])
+        except (KeyError, self.s3_client.exceptions.NoSuchKey):
+            transcript_document = self._transcript_document_from_text(transcript_text)
+        return self._http_response(200, {'id': entry['job_id'], 'text': transcript_text, 'document': transcript_document})
 
-                logger.info(f"📡 Bedrock API呼び出し実行: {model_id}")
-                
-                response = self.bedrock_client.invoke_model(
-                    modelId=model_id,
-                    body=body,
-                    contentType="application/json"
-                )
+    def _api_get_progress(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /meetings/{id}/progress または GET /progress?key=<音声ファイルのキー> - 処理進捗（progress.json）
 
-                response_body = json.loads(response['body'].read())
-                content = response_body['content'][0]['text']
-                
-                logger.info(f"✅ Claude レスポンス受信: {len(content)}文字")
-                logger.info(f"使用成功モデル: {model_id}")
-                
-                # JSON解析
-                parsed_result = self._parse_claude_response(content)
-                
-                if parsed_result:
-                    # 成功 - 詳細デバッグ情報をS3に保存
-                    success_debug_content = f"""=== Claude API 成功 ===
+        処理中はインデックス未登録のため、ジョブID（{ソースID}-{実行ID}）またはオブジェクトのETagから出力フォルダを求める。
+        If-None-Match が progress.json の ETag と一致する場合は 304（ポーリング用）。
+        """
+        bucket_name = self._api_output_bucket()
+        if params.get('meeting_id'):
+            match = re.match(r'^(?P<source_id>.+)-(?P<run_id>[0-9a-f]{12})$', params['meeting_id'])
+            if not match:
+                return self._http_error(404, f"進捗が見つかりません: {params['meeting_id']}")
+            progress_key = f"{self.output_prefix}{match.group('source_id')}/{match.group('run_id')}/progress.json"
+        elif query.get('key'):
+            try:
+                file_info = self.s3_client.head_object(Bucket=self.default_bucket, Key=query['key'])
+            except Exception as e:
+                if not is_s3_not_found(e):
+                    raise
+                return self._http_error(404, f"ファイルが見つかりません: {query['key']}")
+            run = self._register_run(self.default_bucket, query['key'], file_info.get('ETag', ''))
+            progress_key = f"{run['output_folder']}progress.json"
+        else:
+            return self._http_error(400, "key を指定してください")
 
-処理時刻: {datetime.now().isoformat()}
-音声ファイル: {object_key}
+        try:
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=progress_key)
+        except self.s3_client.exceptions.NoSuchKey:
+            return self._http_error(404, "処理はまだ開始されていません")
 
-🥇 使用成功モデル: {model_id}
-モデル状態: {model_status}
-試行回数: {i+1}/{len(self.claude_models)}
+        headers = {'ETag': response['ETag'], 'Cache-Control': 'no-cache'}
+        if self.request_headers.get('if-none-match') == response['ETag']:
+            return self._http_response(304, None, headers=headers)
+        return self._http_response(200, json.loads(response['Body'].read().decode('utf-8')), headers=headers)
 
-処理詳細:
-- 入力文字数: {original_length}文字 (使用: {len(transcript_text)}文字)
-- 出力文字数: {len(content)}文字
-- JSON解析: ✅ 成功
+    def _api_get_usage_report(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /reports/usage?month=YYYY-MM - 月別の使用量・概算コスト（month 省略時は全期間）"""
+        month = query.get('month')
+        if month and not re.match(r'^\d{4}-\d{2}$', month):
+            return self._http_error(400, "month は YYYY-MM 形式で指定してください")
+        return self._http_response(200, self._build_usage_report(self._api_output_bucket(), month))
 
-会議情報:
-- タイトル: {meeting_info['title']}
-- 日時: {meeting_info['date']}
+    def _api_list_action_items(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """GET /action-items?assignee=&status=&series="""
+        filters = {k: query[k] for k in ('assignee', 'status', 'series') if query.get(k)}
+        if filters.get('status') and filters['status'] not in ACTION_ITEM_STATUSES:
+            return self._http_error(400, f"status は {' / '.join(ACTION_ITEM_STATUSES)} のいずれかです")
+        items = self._query_action_items(self._api_output_bucket(), filters)
+        return self._http_response(200, {'items': items, 'total': len(items)})
 
-生成された議事録:
-{json.dumps(parsed_result, ensure_ascii=False, indent=2)}
+    def _api_complete_action_item(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """POST /action-items/{id}/done（ボディ任意: {"done_by": "...", "note": "..."}）"""
+        item = self._update_action_item_status(self._api_output_bucket(), params['item_id'], 'done',
+                                               body.get('done_by'), body.get('note'))
+        if not item:
+            return self._http_error(404, f"アクションアイテムが見つかりません: {params['item_id']}")
+        return self._http_response(200, {'item': item})
 
-Claude レスポンス (Raw):
-{content}
-"""
+    def _api_reprocess_meeting(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """POST /meetings/{id}/reprocess - 元の音声ファイルを再処理
 
-                    self.s3_client.put_object(
-                        Bucket="followup-mail",
-                        Key=claude_debug_key,
-                        Body=success_debug_content.encode('utf-8'),
-                        ContentType='text/plain; charset=utf-8'
-                    )
-                    
-                    logger.info(f"✅ Claude API成功: {model_status}")
-                    return parsed_result
-                else:
-                    # JSON解析失敗 - 次のモデルを試行
-                    logger.warning(f"⚠️ JSON解析失敗: {model_status} - 次のモデルを試行")
-                    continue
-                
-            except Exception as e:
-                error_type = type(e).__name__
-                logger.warning(f"⚠️ Claude API エラー: {model_status} - {error_type}: {str(e)}")
-                
-                # エラー詳細をS3に保存
-                error_debug_content = f"""=== Claude API エラー詳細 ===
+        ボディ（任意）: {"retranscribe": true, "participants": [...], "speaker_names": {...},
+                        "transcription": {...}, "email": {...}}
+        Lambda 上では自身を非同期で呼び出して 202 を返す（API Gateway のタイムアウト回避）。
+        """
+        if not self._load_meeting_entry(params['meeting_id']):
+            return self._http_error(404, f"議事録が見つかりません: {params['meeting_id']}")
 
-処理時刻: {datetime.now().isoformat()}
-音声ファイル: {object_key}
+        return self._dispatch_api_action({**body, 'action': 'reprocess', 'meeting_id': params['meeting_id']},
+                                         context, self._process_reprocess)
 
-❌ 失敗モデル: {model_id}
-モデル状態: {model_status}
-試行回数: {i+1}/{len(self.claude_models)}
-エラー種類: {error_type}
-エラーメッセージ: {str(e)}
+    def _api_resummarize_meeting(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """POST /meetings/{id}/resummarize - 保存済みの文字起こしから議事録を再生成
 
-【このエラーの対処法】
-"""
+        ボディ（任意）: {"model": "...", "prompt_instructions": "...", "email": {"template": "...", "language": "en"}}
+        """
+        if not self._load_meeting_entry(params['meeting_id']):
+            return self._http_error(404, f"議事録が見つかりません: {params['meeting_id']}")
 
-                if "AccessDenied" in str(e):
-                    error_debug_content += f"""
-このモデルはBedrockでアクセス権限がありません。
+        return self._dispatch_api_action({**body, 'action': 'resummarize', 'meeting_id': params['meeting_id']},
+                                         context, self._process_resummarize)
 
-解決手順:
-1. AWS Bedrock コンソール → Model access
-2. {model_id} を検索
-3. Status確認:
-   - 'Access granted' → 使用可能 (このエラーは別の原因)
-   - 'Available to request' → 以下の手順で申請:
-     a) 'Request model access' をクリック
-     b) Use case: 'General' を選択
-     c) Submit
-     d) 承認まで数分〜数時間待機
-4. 承認後、MP3ファイルを再アップロード
-"""
-                else:
-                    error_debug_content += f"""
-予期しないエラーです。
-原因として考えられるもの:
-- ネットワーク問題
-- 一時的なサービス問題
-- リクエスト形式の問題
+    def _dispatch_api_action(self, action_event: Dict[str, Any], context: Any, handler: Any) -> Dict[str, Any]:
+        """時間のかかる処理を Lambda 上では自身の非同期呼び出しで実行して 202 を返す（ローカル実行時は同期）"""
+        function_arn = getattr(context, 'invoked_function_arn', None)
+        if function_arn:
+            boto3.client('lambda').invoke(
+                FunctionName=function_arn,
+                InvocationType='Event',
+                Payload=json.dumps(action_event, ensure_ascii=False).encode('utf-8')
+            )
+            return self._http_response(202, {'id': action_event['meeting_id'], 'status': 'queued'})
 
-次のフォールバックモデルで再試行します。
-"""
+        response = handler(action_event, context)
+        return self._http_response(response['statusCode'], json.loads(response['body']))
 
-                error_debug_content += f"\n次の対応: {'次のモデルで再試行' if i < len(self.claude_models)-1 else 'デモデータ使用'}"
-                
-                # S3にエラーログ保存
-                self.s3_client.put_object(
-                    Bucket="followup-mail",
-                    Key=claude_debug_key,
-                    Body=error_debug_content.encode('utf-8'),
-                    ContentType='text/plain; charset=utf-8'
-                )
-        
-        # 全モデル失敗
-        logger.error(f"❌ 全モデル失敗 - デモデータ使用")
-        return None
+    def _process_reprocess(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """議事録の再処理
 
-    def _parse_claude_response(self, content: str) -> Optional[Dict[str, Any]]:
-        """Claude レスポンス解析"""
+        イベント例: {"action": "reprocess", "meeting_id": "<job_id>", "retranscribe": true}
+        retranscribe を指定しない場合は保存済みの文字起こしを再利用し、議事録生成以降をやり直す。
+        """
+        entry = self._load_meeting_entry(event.get('meeting_id', ''))
+        if not entry:
+            return self._create_error_response(f"議事録が見つかりません: {event.get('meeting_id')}", 404)
+
+        manifest = self._read_json_object(self._api_output_bucket(), entry['manifest_path'])
+        source_bucket = manifest['source'].get('bucket') or self.default_bucket
+        object_key = manifest['source']['file']
         try:
-            # JSONの開始と終了を検索
-            start_idx = content.find('{')
-            end_idx = content.rfind('}') + 1
-            
-            if start_idx == -1 or end_idx <= 0 or end_idx <= start_idx:
-                logger.warning("⚠️ JSON形式が見つかりません")
-                return None
-            
-            json_content = content[start_idx:end_idx]
-            return json.loads(json_content)
-            
-        except json.JSONDecodeError as e:
-            logger.error(f"❌ JSON解析エラー: {str(e)}")
-            return None
-        except Exception as e:
-            logger.error(f"❌ 解析エラー: {str(e)}")
-            return None
+            file_info = self.s3_client.head_object(Bucket=source_bucket, Key=object_key)
+        except Exception:
+            return self._create_error_response(f"元の音声ファイルが見つかりません: s3://{source_bucket}/{object_key}", 404)
 
-    def _create_demo_summary(self, meeting_info: Dict[str, str], transcript_text: str) -> Dict[str, Any]:
-        """デモ議事録作成（指定モデル失敗時のフォールバック）"""
-        logger.info(f"📝 デモ議事録作成 (指定モデル {self.primary_model} アクセス権限問題)")
-        
+        if event.get('retranscribe'):
+            self._register_run(source_bucket, object_key, file_info.get('ETag', ''))
+            output_bucket = self._resolve_output_bucket(source_bucket)
+            for extension in ('txt', 'json'):
+                self.s3_client.delete_object(Bucket=output_bucket, Key=self._transcript_key(object_key, extension))
+            logger.info(f"🗑️ 保存済みの文字起こしを削除して再処理: {object_key}")
+
+        result = self._process_single_audio_file(
+            source_bucket, object_key, context,
+            roster_override=self._roster_from_event(event),
+            transcription_override=event.get('transcription'),
+            email_override=event.get('email'),
+            series_override=event.get('series'),
+            force=True
+        )
+        status_code = {'success': 200, 'transcribing': 202, 'duplicate': 409}.get(result['status'], 500)
         return {
-            "meeting_summary": f"{meeting_info['title']}を開催しました。音声から文字起こしを実行し、指定のClaude モデル ({self.primary_model}) での議事録生成を試行しましたが、Bedrockのアクセス権限問題のため、デモデータで結果を生成しています。",
-            "key_decisions": [
-                "音声ファイルから文字起こしを完了",
-                "指定Claude モデルでの議事録生成を試行",
-                "Bedrockモデルアクセス権限の問題を確認",
-                "デモデータで暫定結果を出力"
-            ],
-            "action_items": [
-                {
-                    "task": f"AWS Bedrockで指定モデル ({self.primary_model}) のアクセス権限申請",
-                    "assignee": "システム管理者",
-                    "deadline": "要設定",
-                    "priority": "高"
-                },
-                {
-                    "task": "文字起こし内容の手動確認と正式な議事録作成",
-                    "assignee": "参加者全員",
-                    "deadline": "要設定",
-                    "priority": "高"
-                },
-                {
-                    "task": "フォールバックモデルのアクセス権限確認",
-                    "assignee": "システム管理者",
-                    "deadline": "要設定",
-                    "priority": "中"
-                }
-            ],
-            "next_meeting": "未定（参加者で調整）",
-            "concerns": [
-                f"指定メインモデル ({self.primary_model}) のアクセス権限なし",
-                f"全フォールバックモデル ({len(self.claude_models)-1}個) でもアクセス拒否",
-                "AWS Bedrock Model access での申請・承認が必要",
-                "暫定的にデモデータで出力中"
-            ],
-            "specified_model": self.primary_model,
-            "model_access_status": "Access Denied - 申請が必要",
-            "technical_note": f"指定モデル '{self.primary_model}' (Claude Sonnet 4) を最優先で試行したが、全{len(self.claude_models)}モデルでAccessDenied",
-            "note": f"この議事録は指定モデル {self.primary_model} のアクセス権限問題時のデモデータです。Bedrockでモデルアクセス申請後に再実行してください。"
+            'statusCode': status_code,
+            'body': json.dumps({'mode': 'reprocess', 'result': result}, ensure_ascii=False, indent=2, default=str)
         }
 
-    def _create_copy_paste_text(self, summary_result: Dict[str, Any], meeting_info: Dict[str, str], source_file: str, transcript_text: str) -> str:
-        """メールコピペ用テキスト作成 - 新フォーマット"""
-        # メール件名用の日付整形
-        meeting_date = meeting_info['date']
-        if '年' in meeting_date and '月' in meeting_date and '日' in meeting_date:
-            try:
-                # 「2025年9月26日 18:50」形式から「9/26」形式に変換
-                date_parts = meeting_date.split(' ')[0].split('年')
-                month = date_parts[1].split('月')[0]
-                day = date_parts[1].split('月')[1].split('日')[0]
-                short_date = f"{month}/{day}"
-            except:
-                short_date = meeting_date
-        else:
-            short_date = meeting_date
-
-        # 会議概要の整形
-        meeting_summary = summary_result.get('meeting_summary', '').strip()
+    def _process_resummarize(self, event: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """保存済みの文字起こし（編集済みの transcript.txt を含む）から議事録を再生成
 
-        # 重要な決定事項
-        key_decisions = []
-        for decision in summary_result.get('key_decisions', []):
-            if decision and decision.strip():
-                key_decisions.append(decision.strip())
+        イベント例: {"action": "resummarize", "meeting_id": "<job_id>",
+                     "model": "anthropic.claude-3-5-sonnet-20241022-v2:0",
+                     "prompt_instructions": "決定事項は箇条書きで簡潔に",
+                     "email": {"template": "internal_recap", "language": "ja"}}
+        直前の summary.json と email_content.txt は revisions/r<N>/ に残す。
+        直前が success 以外（needs_attention など）の場合は残す議事録がないため、リビジョン番号は進めない
+        （初回の生成に失敗したジョブは r1 として生成する）。
+        同時の再生成が同じ revisions/r<N>/ を上書きしないよう、開始時に manifest.json の resummarizing で確保する
+        （確保中の再生成がある場合は 409）。
+        """
+        claimed_manifest_key = None
+        try:
+            entry = self._load_meeting_entry(event.get('meeting_id', ''))
+            if not entry:
+                return self._create_error_response(f"議事録が見つかりません: {event.get('meeting_id')}", 404)
 
-        # アクション項目
-        action_items = []
-        for item in summary_result.get('action_items', []):
-            task = item.get('task', '').strip()
-            assignee = item.get('assignee', '要確認').strip()
-            deadline = item.get('deadline', '未定').strip()
-            
-            if task:
-                deadline_text = ""
-                if deadline and deadline != "要設定" and deadline != "未定":
-                    deadline_text = f"（期限：{deadline}）"
-                
-                action_items.append(f"{assignee}： {task}{deadline_text}")
+            bucket_name = self._api_output_bucket()
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=entry['manifest_path'])
+            manifest = json.loads(response['Body'].read().decode('utf-8'))
+            manifest_etag = response['ETag']
+            output_folder = manifest['output_folder']
+            object_key = manifest['source']['file']
+            self.runs[object_key] = {
+                'job_id': manifest['job_id'],
+                'bucket': manifest['source'].get('bucket'),
+                'source_id': manifest['source']['source_id'],
+                'run_id': manifest['source']['run_id'],
+                'etag': manifest['source'].get('etag'),
+                'output_folder': output_folder
+            }
 
-        # メール本文作成
-        email_body = f"""件名：本日のお打ち合わせのお礼と内容のご共有
+            # 文字起こし: transcript.txt が編集されていればテキストから構造化トランスクリプトを作り直す
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=manifest['files']['transcript'])
+            transcript_text = response['Body'].read().decode('utf-8')
+            try:
+                transcript_document = self._read_json_object(bucket_name, manifest['files']['transcript_json'])
+            except (KeyError, self.s3_client.exceptions.NoSuchKey):
+                transcript_document = None
+            if not transcript_document or self._render_transcript_text(transcript_document).strip() != transcript_text.strip():
+                logger.info("✏️ 編集された transcript.txt から再生成")
+                transcript_document = self._transcript_document_from_text(transcript_text)
 
-ご担当者様
+            # 文字起こしは再実行しないため前回の記録を引き継ぎ、前回までの LLM コストは会議の概算コストに加算
+            previous_usage = manifest['processing'].get('usage') or {}
+            self.transcription_usage = manifest['processing'].get('transcription_usage')
+            self.previous_revisions_cost = round(
+                previous_usage.get('previous_revisions_cost', 0) + previous_usage.get('llm', {}).get('cost', 0), 6
+            )
 
-本日はお忙しい中、ミーティングにご参加いただき誠にありがとうございました。
-本日の内容を以下の通りご共有いたします。
+            # 直前のリビジョンを保存（needs_attention など議事録が未生成の場合は保存対象なし）
+            revision = manifest.get('revision', 1)
+            revisions = manifest.get('revisions', [])
+            new_revision = revision + 1 if manifest['status'] == 'success' else revision
+            if not self._claim_resummarize(bucket_name, entry['manifest_path'], manifest, manifest_etag, new_revision):
+                return self._create_error_response(f"この議事録は再生成中です: {manifest['job_id']}", 409)
+            claimed_manifest_key = entry['manifest_path']
+            if manifest['status'] == 'success':
+                previous_summary = self._read_json_object(bucket_name, manifest['files']['summary_json'])
+                revision_folder = f"{output_folder}revisions/r{revision}/"
+                for file_name in ('summary_json', 'email_content'):
+                    self.s3_client.copy_object(
+                        Bucket=bucket_name,
+                        Key=f"{revision_folder}{manifest['files'][file_name].rsplit('/', 1)[-1]}",
+                        CopySource={'Bucket': bucket_name, 'Key': manifest['files'][file_name]}
+                    )
+                revisions = revisions + [{
+                    'revision': revision,
+                    'summary_json': f"{revision_folder}summary.json",
+                    'email_content': f"{revision_folder}email_content.txt",
+                    'model_used': manifest['processing'].get('model_used'),
+                    'llm_cost': previous_usage.get('llm', {}).get('cost'),
+                    'email': manifest.get('email'),
+                    'delivery': manifest.get('delivery'),
+                    'created_at': manifest['source'].get('processed_at')
+                }]
+                revision += 1
+            else:
+                previous_summary = {}
 
-⸻
+            # 会議情報（名簿・メール設定は前回の結果を引き継ぎ、指定があれば上書き）
+            meeting_info = self._meeting_info_from_manifest(manifest, previous_summary)
+            meeting_info['datetime'] = manifest['meeting'].get('datetime')
+            meeting_info['transcription'] = manifest.get('transcription', {})
+            meeting_info['email'] = {**meeting_info.get('email', {}), **(event.get('email') or {})}
+            if event.get('prompt_instructions'):
+                meeting_info['prompt_instructions'] = event['prompt_instructions']
 
-議事録（Summary）
-"""
+            # モデル指定時は指定モデルを先頭に（残りはフォールバック）
+            if event.get('model'):
+                self.claude_models = [event['model']] + [m for m in self.claude_models if m != event['model']]
+                self.primary_model = self.claude_models[0]
+                logger.info(f"🥇 再生成モデル指定: {self.primary_model}")
 
-        # 会議概要
-        if meeting_summary:
-            email_body += f"\t• {meeting_summary}\n"
+            self._update_progress(bucket_name, object_key, f"議事録再生成開始 (リビジョン {revision})",
+                                  stage='summarizing', restart=True)
+            # リビジョン情報は新しいマニフェストに含めて書き込む（resummarizing の確保もこの書き込みで外れる）
+            self.revision_history = {'revision': revision, 'revisions': revisions}
+            result = self._complete_meeting_processing(bucket_name, object_key, meeting_info,
+                                                       transcript_text, transcript_document)
+            if result['status'] != 'success':
+                self._release_resummarize(bucket_name, claimed_manifest_key)
+                return {
+                    'statusCode': 502,
+                    'body': json.dumps({'mode': 'resummarize', 'id': manifest['job_id'], 'result': result},
+                                       ensure_ascii=False, indent=2, default=str)
+                }
 
-        # 重要な決定事項
-        if key_decisions:
-            for point in key_decisions:
-                email_body += f"\t• {point}\n"
-        else:
-            email_body += "\t• 特に決定事項はありませんでした\n"
+            # 要対応（needs_attention）だったジョブは議事録が揃ったため完了にする
+            job_state = self.job_store.get(manifest['job_id']) if self.job_store else None
+            if job_state and job_state['state'] == 'needs_attention':
+                self._advance_job(job_state, 'done', output_folder=output_folder, error=None)
 
-        # アクション項目
-        email_body += "\n次のアクション（Next Action）"
-        if action_items:
-            for action in action_items:
-                email_body += f"\n\t• {action}"
-        else:
-            email_body += "\n\t• 特にアクション項目はありませんでした"
+            logger.info(f"🔁 議事録再生成完了: {manifest['job_id']} (リビジョン {revision})")
 
-        # メール締め
-        email_body += """
+            return {
+                'statusCode': 200,
+                'body': json.dumps({
+                    'mode': 'resummarize',
+                    'id': manifest['job_id'],
+                    'revision': revision,
+                    'previous_revision': revisions[-1] if revisions else None,
+                    'result': result
+                }, ensure_ascii=False, indent=2, default=str)
+            }
 
-⸻
+        except Exception as e:
+            logger.error(f"議事録再生成エラー: {str(e)}", exc_info=True)
+            if claimed_manifest_key:
+                self._release_resummarize(self._api_output_bucket(), claimed_manifest_key)
+            return self._create_error_response(str(e), 500)
 
-内容に誤りや追加事項がございましたら、ご指摘いただけますと幸いです。
-引き続きどうぞよろしくお願い申し上げます。
+    def _claim_resummarize(self, bucket_name: str, manifest_key: str, manifest: Dict[str, Any], etag: str,
+                           revision: int) -> bool:
+        """読み込んだ時点の manifest.json（ETag 一致時のみ）に resummarizing を記録して再生成を確保
 
-"""
+        他の実行が確保中（MANIFEST_CLAIM_SECONDS 以内）・読み込み後に manifest.json が更新された場合は False。
+        """
+        claim = manifest.get('resummarizing')
+        if claim and (datetime.now() - datetime.fromisoformat(claim['started_at'])).total_seconds() < MANIFEST_CLAIM_SECONDS:
+            logger.info(f"⏭️ 他の実行が再生成中: {manifest_key} (リビジョン {claim['revision']})")
+            return False
 
-        # デモデータの場合はシステム使用情報を追加
-        is_demo = "note" in summary_result
-        if is_demo:
-            email_body += f"\n※ 議事録は音声ファイルから自動生成されました。"
-            email_body += f"\n※ 現在デモデータを使用中です。AWS Bedrockで {self.primary_model} のアクセス権限申請が必要です。"
-        
-        return email_body
+        claimed = {**manifest, 'resummarizing': {'revision': revision, 'started_at': datetime.now().isoformat()}}
+        try:
+            self.s3_client.put_object(
+                Bucket=bucket_name,
+                Key=manifest_key,
+                Body=json.dumps(claimed, ensure_ascii=False, indent=2).encode('utf-8'),
+                ContentType='application/json; charset=utf-8',
+                IfMatch=etag
+            )
+            return True
+        except Exception as e:
+            error_code = getattr(e, 'response', {}).get('Error', {}).get('Code', '')
+            if error_code not in ('PreconditionFailed', 'ConditionalRequestConflict'):
+                raise
+            logger.info(f"⏭️ manifest.json が読み込み後に更新されたため再生成を開始しません: {manifest_key}")
+            return False
 
-    def _save_text_files_to_email_output(self, bucket_name: str, object_key: str, transcript_text: str, 
-                                    summary_result: Dict[str, Any], copy_paste_text: str) -> Dict[str, str]:
-        """
-        Save output files to S3 with an organized folder structure and manifest
-        
-        Returns a dictionary of file paths created
-        """
+    def _release_resummarize(self, bucket_name: str, manifest_key: str) -> None:
+        """再生成に失敗した場合に resummarizing の確保を外す（既存の議事録を保持した manifest.json に残るため）"""
         try:
-            # Extract filename without extension for folder name
-            audio_filename = object_key.split('/')[-1].rsplit('.', 1)[0]
-            timestamp = datetime.now().strftime('%Y%m%d%H%M%S')
-            job_id = f"{audio_filename}_{timestamp}"
-            
-            # Create subfolder path
-            output_folder = f"email_output/{audio_filename}/"
-            
-            # Define standard filenames without timestamps
-            files_to_save = [
-                # Main content files with standardized names
-                (f"{output_folder}email_content.txt", copy_paste_text, 'text/plain; charset=utf-8'),
-                (f"{output_folder}transcript.txt", transcript_text, 'text/plain; charset=utf-8'),
-                (f"{output_folder}summary.json", json.dumps(summary_result, ensure_ascii=False, indent=2), 'application/json; charset=utf-8'),
-            ]
-            
-            # Save files
-            saved_files = {}
-            for key, content, content_type in files_to_save:
-                self.s3_client.put_object(
-                    Bucket=bucket_name,
-                    Key=key,
-                    Body=content.encode('utf-8') if isinstance(content, str) else content,
-                    ContentType=content_type
-                )
-                saved_files[key.split('/')[-1].rsplit('.', 1)[0]] = key
-                logger.info(f"💾 保存完了: s3://{bucket_name}/{key}")
-            
-            # Create manifest file with all metadata
-            is_demo = "note" in summary_result
-            processed_at = datetime.now().isoformat()
-            
-            manifest = {
-                "status": "success",
-                "job_id": job_id,
-                "source": {
-                    "file": object_key,
-                    "processed_at": processed_at
-                },
-                "meeting": {
-                    "title": summary_result.get("meeting_title", "Meeting Recording"),
-                    "date": summary_result.get("meeting_date", processed_at),
-                    "participants": summary_result.get("participants", "Automatically detected")
-                },
-                "processing": {
-                    "transcript_length": len(transcript_text),
-                    "model_used": self.primary_model,
-                    "is_demo_data": is_demo
-                },
-                "files": {
-                    "transcript": f"{output_folder}transcript.txt",
-                    "email_content": f"{output_folder}email_content.txt",
-                    "summary_json": f"{output_folder}summary.json",
-                    "progress_log": f"{output_folder}progress.txt"
-                },
-                # Include the full summary directly in the manifest
-                "summary": summary_result
-            }
-            
-            # Save manifest file
-            manifest_key = f"{output_folder}manifest.json"
+            response = self.s3_client.get_object(Bucket=bucket_name, Key=manifest_key)
+            manifest = json.loads(response['Body'].read().decode('utf-8'))
+            if manifest.pop('resummarizing', None) is None:
+                return
             self.s3_client.put_object(
                 Bucket=bucket_name,
                 Key=manifest_key,
                 Body=json.dumps(manifest, ensure_ascii=False, indent=2).encode('utf-8'),
-                ContentType='application/json; charset=utf-8'
+                ContentType='application/json; charset=utf-8',
+                IfMatch=response['ETag']
             )
-            saved_files["manifest"] = manifest_key
-            logger.info(f"📋 マニフェスト作成: s3://{bucket_name}/{manifest_key}")
-            
-            # Create index file at the root of email_output to help frontend find latest results
-            self._update_index_file(bucket_name, audio_filename, manifest)
-            
-            logger.info(f"✅ 出力ファイル保存完了: {output_folder}")
-            return saved_files
-            
         except Exception as e:
-            logger.error(f"❌ ファイル保存エラー: {str(e)}", exc_info=True)
-            return {}
+            # 外せない場合も MANIFEST_CLAIM_SECONDS 経過後は確保が無効になる
+            logger.warning(f"⚠️ 再生成の確保を解除できません: {manifest_key} ({str(e)})")
 
-    def _update_index_file(self, bucket_name: str, audio_filename: str, manifest: Dict[str, Any]) -> None:
-        """
-        Create or update an index file that lists all processed recordings
-        This helps the frontend find the latest processed files
-        """
-        try:
-            index_key = "email_output/index.json"
-            
-            # Try to read existing index
-            try:
-                response = self.s3_client.get_object(Bucket=bucket_name, Key=index_key)
-                index_data = json.loads(response['Body'].read().decode('utf-8'))
-            except:
-                index_data = {
-                    "processed_files": {},
-                    "last_updated": datetime.now().isoformat()
-                }
-            
-            # Add or update entry for this audio file
-            index_data["processed_files"][audio_filename] = {
-                "manifest_path": f"email_output/{audio_filename}/manifest.json",
-                "processed_at": manifest["source"]["processed_at"],
-                "title": manifest["meeting"]["title"],
-                "status": manifest["status"]
-            }
-            index_data["last_updated"] = datetime.now().isoformat()
-            
-            # Save updated index
+    def _api_delete_meeting(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """DELETE /meetings/{id}（?delete_source=true で元の音声ファイルも削除）"""
+        meeting_id = params['meeting_id']
+        entry = self._load_meeting_entry(meeting_id)
+        if not entry:
+            return self._http_error(404, f"議事録が見つかりません: {meeting_id}")
+
+        bucket_name = self._api_output_bucket()
+        manifest = self._read_json_object(bucket_name, entry['manifest_path'])
+
+        # 先にインデックスから外す（競合が解消しない場合は何も削除せず再試行を促す）
+        entries = self._modify_index(bucket_name, lambda entries: [e for e in entries if e['job_id'] != meeting_id])
+        if entries is None:
+            logger.warning(f"⚠️ インデックスからの削除が競合しました: {meeting_id}")
+            return self._http_error(503, "インデックスの更新が競合しました。時間をおいて再試行してください")
+
+        # 出力フォルダと保存済みの文字起こしを削除（エントリーオブジェクトは最後に削除し、途中で失敗しても再試行できるようにする）
+        deleted_keys = []
+        paginator = self.s3_client.get_paginator('list_objects_v2')
+        for response in paginator.paginate(Bucket=bucket_name, Prefix=entry['output_folder']):
+            deleted_keys.extend(obj['Key'] for obj in response.get('Contents', []))
+        if entry.get('run_id'):
+            deleted_keys += [
+                f"{self.transcript_prefix}{entry['source_id']}/{entry['run_id']}_transcript.{extension}"
+                for extension in ('txt', 'json')
+            ]
+        deleted_keys.append(self._index_entry_key(meeting_id))
+        for key in deleted_keys:
+            self.s3_client.delete_object(Bucket=bucket_name, Key=key)
+
+        # ソースの最新実行を残りの実行に付け替え（残りがなければ削除）
+        source_key = self._index_source_key(entry['source_id'])
+        remaining = [e for e in entries if e.get('source_id') == entry['source_id']]
+        if remaining:
+            latest = max(remaining, key=lambda e: e.get('processed_at') or '')
             self.s3_client.put_object(
                 Bucket=bucket_name,
-                Key=index_key,
-                Body=json.dumps(index_data, ensure_ascii=False, indent=2).encode('utf-8'),
+                Key=source_key,
+                Body=json.dumps(latest, ensure_ascii=False, indent=2).encode('utf-8'),
                 ContentType='application/json; charset=utf-8'
             )
-            logger.info(f"📑 インデックス更新: s3://{bucket_name}/{index_key}")
-            
-        except Exception as e:
-            logger.warning(f"⚠️ インデックス更新失敗: {str(e)}")
+        else:
+            self.s3_client.delete_object(Bucket=bucket_name, Key=source_key)
+
+        # 同じ内容の再アップロードを重複イベントとして扱わないようジョブ状態も削除
+        if self.job_store:
+            self.job_store.delete(meeting_id)
+
+        source_deleted = False
+        if _coerce_config_value(bool, query.get('delete_source', 'false')):
+            self.s3_client.delete_object(Bucket=manifest['source'].get('bucket') or self.default_bucket,
+                                         Key=manifest['source']['file'])
+            source_deleted = True
+
+        logger.info(f"🗑️ 議事録削除: {meeting_id} ({len(deleted_keys)}オブジェクト)")
+        return self._http_response(200, {
+            'id': meeting_id,
+            'status': 'deleted',
+            'deleted_objects': len(deleted_keys),
+            'source_deleted': source_deleted
+        })
+
+    def _api_create_upload(self, params: Dict[str, str], query: Dict[str, str], body: Dict[str, Any], context: Any) -> Dict[str, Any]:
+        """POST /uploads - 音声ファイル（または文字起こしファイル）アップロード用の署名付きURLを発行
+
+        ボディ: {"filename": "定例会議.m4a", "content_type": "audio/mp4", "overwrite": false,
+                 "metadata": {"participants": "...", "language": "auto", "email-template": "internal_recap"}}
+        metadata は x-amz-meta-* ヘッダーとして PUT 時に送信する（値はURLエンコード済みで返す）。
+        """
+        filename = os.path.basename(str(body.get('filename', '')).replace('\\', '/')).strip()
+        if not filename:
+            return self._http_error(400, "filename を指定してください")
+
+        extension = os.path.splitext(filename)[1].lower()
+        if extension not in self.audio_extensions and extension not in self.transcript_extensions:
+            return self._http_error(400, f"対応していないファイル形式です: {extension or filename}")
+
+        prefix = self.supplied_transcript_prefix if extension in self.transcript_extensions else self.audio_prefix
+        object_key = f"{prefix}{filename}"
+        if not body.get('overwrite'):
+            try:
+                self.s3_client.head_object(Bucket=self.default_bucket, Key=object_key)
+                return self._http_error(409, f"同名のファイルが存在します: {object_key}")
+            except Exception as e:
+                # 存在しない場合のみ発行を続ける（権限エラーなどは 500）
+                if not is_s3_not_found(e):
+                    raise
+
+        metadata = {str(k): urllib.parse.quote(str(v)) for k, v in (body.get('metadata') or {}).items()}
+        upload_params = {'Bucket': self.default_bucket, 'Key': object_key, 'Metadata': metadata}
+        headers = {f"x-amz-meta-{k}": v for k, v in metadata.items()}
+        if body.get('content_type'):
+            upload_params['ContentType'] = body['content_type']
+            headers['Content-Type'] = body['content_type']
+
+        expires_in = self.config['upload_url_expires_seconds']
+        upload_url = self.s3_client.generate_presigned_url('put_object', Params=upload_params, ExpiresIn=expires_in)
+        logger.info(f"📤 アップロードURL発行: s3://{self.default_bucket}/{object_key}")
+
+        return self._http_response(201, {
+            'upload_url': upload_url,
+            'method': 'PUT',
+            'headers': headers,
+            'bucket': self.default_bucket,
+            'key': object_key,
+            'expires_in': expires_in,
+            # アップロード後の進捗確認用
+            'progress_path': f"/progress?key={urllib.parse.quote(object_key)}"
+        })
 
     def _create_completion_notification(self, bucket_name: str, object_key: str, meeting_info: Dict[str, str], 
                                    transcript_length: int, saved_files: Dict[str, str]) -> None:
@@ -1082,8 +6397,8 @@ Claude レスポンス (Raw):
         Create a completion notification file in the audio's subfolder
         """
         try:
-            audio_filename = object_key.split('/')[-1].rsplit('.', 1)[0]
-            notification_key = f"email_output/{audio_filename}/status.txt"
+            output_folder = self._output_folder(object_key)
+            notification_key = f"{output_folder}status.txt"
             
             # Check if we're using demo data
             manifest_key = saved_files.get("manifest", "")
@@ -1104,12 +6419,13 @@ Claude レスポンス (Raw):
 会議タイトル: {meeting_info['title']}
 
 📋 ファイル場所:
-s3://{bucket_name}/email_output/{audio_filename}/
+s3://{bucket_name}/{output_folder}
 
 🧩 主要ファイル:
 • manifest.json - フロントエンド用マニフェスト（最重要）
 • email_content.txt - メールコピペ用テキスト
 • transcript.txt - 文字起こし全文
+• transcript.json - 文字起こし（話者・時刻・信頼度付き）
 • summary.json - 議事録データ (JSON形式)
 
 💻 フロントエンド表示:
@@ -1139,7 +6455,7 @@ manifest.json ファイルを参照してください。
         """エラー時のデバッグファイル作成"""
         try:
             timestamp = datetime.now().strftime('%Y%m%d_%H%M%S')
-            error_key = f"system_logs/SYSTEM_ERROR_{timestamp}.txt"
+            error_key = f"{self.system_log_prefix}SYSTEM_ERROR_{timestamp}.txt"
             
             import traceback
             error_content = f"""=== システムエラー情報 ===
@@ -1176,16 +6492,16 @@ AWS Bedrock → Model access で以下を確認:
 3. Use case: 'General' を選択
 4. Submit
 5. 承認まで数分〜数時間待機
-6. 'Access granted' になったらMP3再アップロード
+6. 'Access granted' になったら resummarize で議事録を再生成（再アップロード不要）
 """
 
             self.s3_client.put_object(
-                Bucket="followup-mail",
+                Bucket=self.log_bucket,
                 Key=error_key,
                 Body=error_content.encode('utf-8'),
                 ContentType='text/plain; charset=utf-8'
             )
-            logger.info(f"🚨 システムエラーファイル作成: s3://followup-mail/{error_key}")
+            logger.info(f"🚨 システムエラーファイル作成: s3://{self.log_bucket}/{error_key}")
             
         except Exception as e:
             logger.error(f"エラーファイル作成失敗: {str(e)}")
@@ -1215,17 +6531,25 @@ AWS Bedrock → Model access で以下を確認:
     def _create_success_response(self, results: List[Dict[str, Any]]) -> Dict[str, Any]:
         """成功レスポンス作成"""
         successful_files = [r for r in results if r['status'] == 'success']
-        failed_files = [r for r in results if r['status'] == 'error']
+        failed_files = [r for r in results if r['status'] in ('error', 'failed')]
+        attention_files = [r for r in results if r['status'] == 'needs_attention']
+        pending_files = [r for r in results if r['status'] == 'transcribing']
+        duplicate_files = [r for r in results if r['status'] == 'duplicate']
+        deferred_files = [r for r in results if r['status'] == 'deferred']
 
         return {
             'statusCode': 200,
             'body': json.dumps({
-                'message': f'処理完了: 成功 {len(successful_files)}件, 失敗 {len(failed_files)}件',
+                'message': f'処理完了: 成功 {len(successful_files)}件, 失敗 {len(failed_files)}件, 要対応 {len(attention_files)}件, 文字起こし待ち {len(pending_files)}件, 重複スキップ {len(duplicate_files)}件, 後続処理 {len(deferred_files)}件',
                 'specified_model': self.primary_model,
                 'summary': {
                     'total_files': len(results),
                     'successful': len(successful_files),
-                    'failed': len(failed_files)
+                    'failed': len(failed_files),
+                    'needs_attention': len(attention_files),
+                    'transcribing': len(pending_files),
+                    'duplicate': len(duplicate_files),
+                    'deferred': len(deferred_files)
                 },
                 'results': results,
                 'timestamp': datetime.now().isoformat()
@@ -0,0 +1,152 @@
+"""テスト用ヘルパー: src/index.js（Lambda 関数本体）の読み込みとインメモリの S3 クライアント"""
+import hashlib
+import json
+import importlib.machinery
+import importlib.util
+import logging
+import os
+from datetime import datetime, timezone
+from typing import Any, Dict, Optional
+from unittest import mock
+
+import boto3
+from botocore.exceptions import ClientError
+
+os.environ.setdefault('AWS_DEFAULT_REGION', 'us-east-1')
+
+SOURCE_PATH = os.path.join(os.path.dirname(os.path.dirname(os.path.abspath(__file__))), 'src', 'index.js')
+
+
+def load_app() -> Any:
+    """src/index.js を Python モジュールとして読み込む"""
+    loader = importlib.machinery.SourceFileLoader('minutes_app', SOURCE_PATH)
+    spec = importlib.util.spec_from_loader('minutes_app', loader)
+    module = importlib.util.module_from_spec(spec)
+    loader.exec_module(module)
+    return module
+
+
+app = load_app()
+# 処理ログはテスト結果の表示に不要
+app.logger.setLevel(logging.CRITICAL)
+_s3_exceptions = boto3.client('s3').exceptions
+
+
+def client_error(code: str, operation: str = 'Operation', message: str = 'error') -> ClientError:
+    return ClientError({'Error': {'Code': code, 'Message': message}}, operation)
+
+
+class FakeS3:
+    """put/get/head/copy/delete/list・署名付きURLと ETag の条件付き書き込み（IfMatch / IfNoneMatch）だけを持つ S3 クライアント"""
+
+    exceptions = _s3_exceptions
+
+    def __init__(self):
+        self.objects: Dict[tuple, Dict[str, Any]] = {}
+
+    def put_object(self, Bucket: str, Key: str, Body: Any, IfMatch: Optional[str] = None,
+                   IfNoneMatch: Optional[str] = None, Metadata: Optional[Dict[str, str]] = None, **kwargs) -> Dict[str, Any]:
+        current = self.objects.get((Bucket, Key))
+        if IfNoneMatch == '*' and current:
+            raise client_error('PreconditionFailed', 'PutObject')
+        if IfMatch is not None and (not current or current['ETag'] != IfMatch):
+            raise client_error('PreconditionFailed', 'PutObject')
+        body = Body.encode('utf-8') if isinstance(Body, str) else Body
+        etag = f'"{hashlib.md5(body).hexdigest()}"'
+        self.objects[(Bucket, Key)] = {
+            'Body': body, 'ETag': etag, 'Metadata': Metadata or {},
+            'LastModified': datetime.now(timezone.utc)
+        }
+        return {'ETag': etag}
+
+    def get_object(self, Bucket: str, Key: str, **kwargs) -> Dict[str, Any]:
+        if (Bucket, Key) not in self.objects:
+            raise self.exceptions.NoSuchKey({'Error': {'Code': 'NoSuchKey', 'Message': Key}}, 'GetObject')
+        stored = self.objects[(Bucket, Key)]
+        return {**stored, 'Body': _Body(stored['Body'])}
+
+    def head_object(self, Bucket: str, Key: str, **kwargs) -> Dict[str, Any]:
+        if (Bucket, Key) not in self.objects:
+            raise client_error('404', 'HeadObject', 'Not Found')
+        stored = self.objects[(Bucket, Key)]
+        return {'ContentLength': len(stored['Body']), 'ETag': stored['ETag'],
+                'Metadata': stored['Metadata'], 'LastModified': stored['LastModified']}
+
+    def copy_object(self, Bucket: str, Key: str, CopySource: Dict[str, str], **kwargs) -> Dict[str, Any]:
+        source = self.get_object(Bucket=CopySource['Bucket'], Key=CopySource['Key'])
+        return self.put_object(Bucket=Bucket, Key=Key, Body=source['Body'].read(), Metadata=source['Metadata'])
+
+    def delete_object(self, Bucket: str, Key: str, **kwargs) -> Dict[str, Any]:
+        self.objects.pop((Bucket, Key), None)
+        return {}
+
+    def list_objects_v2(self, Bucket: str, Prefix: str = '', **kwargs) -> Dict[str, Any]:
+        keys = sorted(key for bucket, key in self.objects if bucket == Bucket and key.startswith(Prefix))
+        contents = [{'Key': key, 'Size': len(self.objects[(Bucket, key)]['Body']),
+                     'ETag': self.objects[(Bucket, key)]['ETag'],
+                     'LastModified': self.objects[(Bucket, key)]['LastModified']} for key in keys]
+        return {'KeyCount': len(contents), **({'Contents': contents} if contents else {})}
+
+    def generate_presigned_url(self, ClientMethod: str, Params: Dict[str, Any], ExpiresIn: int) -> str:
+        return f"https://{Params['Bucket']}.s3.example.com/{Params['Key']}?method={ClientMethod}&expires={ExpiresIn}"
+
+    def get_paginator(self, name: str) -> Any:
+        s3 = self
+
+        class Paginator:
+            def paginate(self, **kwargs):
+                yield s3.list_objects_v2(**kwargs)
+
+        return Paginator()
+
+
+class _Body:
+    def __init__(self, data: bytes):
+        self._data = data
+
+    def read(self) -> bytes:
+        return self._data
+
+
+class FakeContext:
+    """Lambda コンテキスト（残り時間は remaining_ms）"""
+
+    function_name = 'meeting-minutes-test'
+    aws_request_id = 'test-request'
+
+    def __init__(self, remaining_ms: int = 900000):
+        self.remaining_ms = remaining_ms
+
+    def get_remaining_time_in_millis(self) -> int:
+        return self.remaining_ms
+
+
+def make_processor(s3: Optional[FakeS3] = None, **overrides: Any) -> Any:
+    """テスト用の設定（バケット b、ジョブ状態ストアなし）と FakeS3 で MeetingMinutesProcessor を作成
+
+    S3 を使うもの（ジョブ状態ストア・文字起こしバックエンドなど）はすべて同じ FakeS3 を使う。
+    """
+    s3 = s3 or FakeS3()
+    config = app.load_config(None, {'bucket': 'b', 'job_state_store': 'none', **overrides})
+    real_client = boto3.client
+    with mock.patch.object(app.boto3, 'client', lambda name, **kwargs: s3 if name == 's3' else real_client(name, **kwargs)):
+        return app.MeetingMinutesProcessor(config)
+
+
+def process_meeting(processor: Any, s3: FakeS3, name: str, summary: Dict[str, Any],
+                    transcript: str = '山田: よろしくお願いします', context: Optional[FakeContext] = None) -> Dict[str, Any]:
+    """meeting transcript/<name>.txt を S3 イベントとして処理し、保存された manifest.json を返す
+
+    LLM の応答は summary（議事録のJSON）で固定する。
+    """
+    object_key = f"{processor.supplied_transcript_prefix}{name}.txt"
+    s3.put_object(Bucket='b', Key=object_key, Body=transcript)
+
+    def invoke(model_id: str, prompt: str, output_mode: str) -> Dict[str, Any]:
+        return {'text': json.dumps(summary, ensure_ascii=False), 'usage': {'input_tokens': 100, 'output_tokens': 50}}
+
+    with mock.patch.object(processor, '_invoke_summary_model', side_effect=invoke):
+        processor._process_s3_events([{'eventSource': 'aws:s3', 's3': {'bucket': {'name': 'b'}, 'object': {'key': object_key}}}],
+                                     context or FakeContext())
+    manifest_key = processor.runs[object_key]['output_folder'] + 'manifest.json'
+    return json.loads(s3.objects[('b', manifest_key)]['Body'])
@@ -0,0 +1,82 @@
+"""HTTP API のルーティング・ステータスコードと議事録の削除"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, FakeS3, app, client_error, make_processor, process_meeting
+
+SUMMARY = {'meeting_summary': '要約'}
+
+
+class ApiTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3)
+        patcher = mock.patch.object(app.time, 'sleep')
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def http(self, method, path, query=None, body=None):
+        event = {'rawPath': path, 'requestContext': {'http': {'method': method}},
+                 'queryStringParameters': query, 'body': body if isinstance(body, str) or body is None else json.dumps(body)}
+        response = self.processor._process_http_request(event, FakeContext())
+        return response['statusCode'], json.loads(response['body']) if response['body'] else None
+
+    def test_routing_status_codes(self):
+        self.assertEqual(self.http('GET', '/unknown')[0], 404)
+        self.assertEqual(self.http('PUT', '/meetings')[0], 405)
+        self.assertEqual(self.http('OPTIONS', '/meetings')[0], 204)
+        self.assertEqual(self.http('POST', '/uploads', body='{not json')[0], 400)
+        self.assertEqual(self.http('GET', '/meetings/missing')[0], 404)
+
+    def test_list_and_get_meeting(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', SUMMARY)
+
+        status, body = self.http('GET', '/meetings')
+        self.assertEqual(status, 200)
+        self.assertEqual([item['job_id'] for item in body['items']], [manifest['job_id']])
+        self.assertEqual(self.http('GET', f"/meetings/{manifest['job_id']}")[0], 200)
+
+    def test_delete_moves_source_pointer_to_remaining_run(self):
+        first = process_meeting(self.processor, self.s3, 'm', SUMMARY)
+        second = process_meeting(self.processor, self.s3, 'm', SUMMARY, transcript='山田: 改訂版です')
+        self.assertEqual(first['source']['source_id'], second['source']['source_id'])
+
+        status, body = self.http('DELETE', f"/meetings/{second['job_id']}")
+
+        self.assertEqual(status, 200)
+        self.assertEqual([item['job_id'] for item in self.http('GET', '/meetings')[1]['items']], [first['job_id']])
+        pointer = json.loads(self.s3.objects[('b', self.processor._index_source_key(first['source']['source_id']))]['Body'])
+        self.assertEqual(pointer['job_id'], first['job_id'])
+        self.assertFalse([key for _, key in self.s3.objects if key.startswith(second['output_folder'])])
+
+    def test_delete_conflict_keeps_meeting(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', SUMMARY)
+        source_key = self.processor._index_source_key(manifest['source']['source_id'])
+
+        with mock.patch.object(self.processor, '_modify_index', return_value=None):
+            status, body = self.http('DELETE', f"/meetings/{manifest['job_id']}")
+
+        self.assertEqual(status, 503)
+        self.assertIn(('b', source_key), self.s3.objects)
+        self.assertIn(('b', manifest['files']['manifest']), self.s3.objects)
+        self.assertEqual(self.http('GET', f"/meetings/{manifest['job_id']}")[0], 200)
+
+    def test_create_upload(self):
+        status, body = self.http('POST', '/uploads', body={'filename': '定例.m4a', 'metadata': {'participants': '山田'}})
+        self.assertEqual(status, 201)
+        self.assertEqual(body['key'], 'meeting record/定例.m4a')
+        self.assertEqual(self.http('POST', '/uploads', body={'filename': 'notes.vtt'})[1]['key'], 'meeting transcript/notes.vtt')
+        self.assertEqual(self.http('POST', '/uploads', body={'filename': 'a.exe'})[0], 400)
+
+        self.s3.put_object(Bucket='b', Key='meeting record/定例.m4a', Body=b'audio')
+        self.assertEqual(self.http('POST', '/uploads', body={'filename': '定例.m4a'})[0], 409)
+        self.assertEqual(self.http('POST', '/uploads', body={'filename': '定例.m4a', 'overwrite': True})[0], 201)
+
+    def test_upload_check_does_not_hide_access_errors(self):
+        with mock.patch.object(self.s3, 'head_object', side_effect=client_error('403', 'HeadObject', 'Forbidden')):
+            self.assertEqual(self.http('POST', '/uploads', body={'filename': '定例.m4a'})[0], 500)
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,100 @@
+"""events.ics（次回会議・期限付きアクションアイテム）の作成"""
+import re
+import unittest
+
+from helpers import app, make_processor
+
+ROSTER = {'participants': [
+    {'name': '田中', 'email': 'tanaka@example.com'},
+    {'name': '田中太郎', 'email': 'taro@example.com'},
+    {'name': '佐藤', 'email': 'sato@example.com'},
+    {'name': 'ジョン・スミス', 'email': 'john@example.com'},
+]}
+
+
+def summary(**overrides):
+    return {
+        'meeting_title': '定例会議',
+        'meeting_date': '2025-10-15',
+        'meeting_datetime': '2025-10-15T10:00:00+09:00',
+        'roster': ROSTER,
+        'action_items': [],
+        **overrides
+    }
+
+
+def unfold(ics: str):
+    return re.sub(r'\r\n ', '', ics).split('\r\n')
+
+
+def events(ics: str):
+    """VEVENT / VTODO ごとの行のリスト"""
+    blocks, current = [], None
+    for line in unfold(ics):
+        if line in ('BEGIN:VEVENT', 'BEGIN:VTODO'):
+            current = []
+        elif line in ('END:VEVENT', 'END:VTODO'):
+            blocks.append(current)
+            current = None
+        elif current is not None:
+            current.append(line)
+    return blocks
+
+
+def attendees(block):
+    return [line.rsplit('mailto:', 1)[1] for line in block if line.startswith('ATTENDEE')]
+
+
+class CalendarIcsTest(unittest.TestCase):
+    def setUp(self):
+        self.processor = make_processor(calendar_timezone='Asia/Tokyo')
+
+    def item(self, assignee, task='資料作成'):
+        return {'task': task, 'assignee': assignee, 'deadline': '10月20日', 'deadline_date': '2025-10-20'}
+
+    def test_next_meeting_and_deadline_events(self):
+        ics = self.processor._create_calendar_ics('meeting record/a.m4a', summary(
+            next_meeting='来週水曜 14時', action_items=[self.item('佐藤')]
+        ))
+        lines = unfold(ics)
+        self.assertEqual(lines[0], 'BEGIN:VCALENDAR')
+        self.assertTrue(any(line.startswith('PRODID:') for line in lines))
+        self.assertTrue(all(len(line.encode('utf-8')) <= 75 for line in ics.split('\r\n')))
+
+        next_meeting, deadline = events(ics)
+        self.assertIn('DTSTART:20251022T050000Z', next_meeting)
+        self.assertEqual(sorted(attendees(next_meeting)),
+                         ['john@example.com', 'sato@example.com', 'tanaka@example.com', 'taro@example.com'])
+        self.assertIn('DTSTART;VALUE=DATE:20251020', deadline)
+        self.assertEqual(attendees(deadline), ['sato@example.com'])
+
+    def test_no_events_returns_none(self):
+        self.assertIsNone(self.processor._create_calendar_ics('meeting record/a.m4a', summary()))
+        self.assertIsNone(self.processor._create_calendar_ics('meeting record/a.m4a', {'note': 'demo'}))
+
+    def test_assignee_matches_exact_names_only(self):
+        ics = self.processor._create_calendar_ics('meeting record/a.m4a', summary(action_items=[
+            self.item('田中太郎', 'a'),
+            self.item('山田中', 'b'),
+            self.item('田中、佐藤', 'c'),
+            self.item('田中 さん / 佐藤様', 'd'),
+            self.item('ジョン・スミス', 'e'),
+            self.item('-', 'f'),
+        ]))
+        self.assertEqual([attendees(block) for block in events(ics)], [
+            ['taro@example.com'],
+            [],
+            ['tanaka@example.com', 'sato@example.com'],
+            ['tanaka@example.com', 'sato@example.com'],
+            ['john@example.com'],
+            [],
+        ])
+
+    def test_split_assignee_names(self):
+        self.assertEqual(app.split_assignee_names('田中さんと佐藤'), ['田中さんと佐藤', '田中', '佐藤'])
+        self.assertEqual(app.split_assignee_names('Tanaka and Sato'), ['tanakaandsato', 'tanaka', 'sato'])
+        self.assertEqual(app.split_assignee_names('-'), [])
+
+
+if __name__ == '__main__':
+    unittest.main()
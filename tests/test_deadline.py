@@ -0,0 +1,54 @@
+"""アクションアイテムの期限表記の解決"""
+import unittest
+from datetime import date
+
+from helpers import app
+
+# 2025-10-15（水）の会議
+BASE = date(2025, 10, 15)
+
+
+class NormalizeDeadlineTest(unittest.TestCase):
+    def resolve(self, text: str, base: date = BASE):
+        resolved = app.normalize_deadline(text, base)
+        return resolved['date'], resolved['ambiguous']
+
+    def test_kanji_month(self):
+        self.assertEqual(self.resolve('三月末'), ('2026-03-31', False))
+        self.assertEqual(self.resolve('十二月中'), ('2025-12-31', False))
+        self.assertEqual(self.resolve('十一月二十日'), ('2025-11-20', False))
+        self.assertEqual(self.resolve('三日後'), ('2025-10-18', False))
+
+    def test_past_month_is_next_year_or_ambiguous(self):
+        self.assertEqual(self.resolve('7月末'), ('2026-07-31', False))
+        self.assertEqual(self.resolve('8月末'), ('2025-08-31', True))
+        self.assertEqual(self.resolve('8月末', date(2025, 10, 31)), ('2026-08-31', False))
+        self.assertEqual(self.resolve('11月末'), ('2025-11-30', False))
+
+    def test_period_with_weekday(self):
+        self.assertEqual(self.resolve('2週間後の木曜日'), ('2025-10-30', False))
+        self.assertEqual(self.resolve('2週間後'), ('2025-10-29', False))
+        self.assertEqual(self.resolve('10日後の月曜'), ('2025-10-20', False))
+
+    def test_relative_expressions(self):
+        self.assertEqual(self.resolve('来週月曜'), ('2025-10-20', False))
+        self.assertEqual(self.resolve('今週中'), ('2025-10-17', False))
+        self.assertEqual(self.resolve('週末'), ('2025-10-17', True))
+        self.assertEqual(self.resolve('今月末'), ('2025-10-31', False))
+        self.assertEqual(self.resolve('25日'), ('2025-10-25', False))
+        self.assertEqual(self.resolve('next Monday'), ('2025-10-20', True))
+
+    def test_year_end_terms_are_ambiguous(self):
+        for text in ('年内', '年末', '年内まで', 'end of the year'):
+            self.assertEqual(self.resolve(text), ('2025-12-31', True), text)
+        self.assertEqual(self.resolve('年度末'), ('2026-03-31', False))
+
+    def test_absolute_and_unset(self):
+        self.assertEqual(self.resolve('2025年11月5日'), ('2025-11-05', False))
+        self.assertEqual(self.resolve('1/10'), ('2026-01-10', False))
+        self.assertEqual(app.normalize_deadline('要設定', BASE)['kind'], 'unset')
+        self.assertEqual(app.normalize_deadline('いつか', BASE)['kind'], 'unresolved')
+
+
+if __name__ == '__main__':
+    unittest.main()
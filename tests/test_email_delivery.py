@@ -0,0 +1,90 @@
+"""フォローアップメールの承認待ち・承認後の送信と送信の確保"""
+import json
+import unittest
+from datetime import datetime, timedelta
+
+from helpers import FakeS3, app, make_processor, process_meeting
+
+SUMMARY = {'meeting_summary': '要約', 'action_items': [{'task': '見積送付', 'assignee': '田中', 'deadline': '金曜'}]}
+
+
+class FakeTransport:
+    name = 'fake'
+
+    def __init__(self):
+        self.sent = []
+        self.on_send = None
+
+    def send(self, message, recipients):
+        if self.on_send:
+            self.on_send()
+        self.sent.append((message['Subject'], recipients))
+        return f"<{len(self.sent)}@example.com>"
+
+
+class EmailApprovalTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3, email_sender='minutes@example.com',
+                                        email_recipients=['client@example.com'])
+        self.transport = FakeTransport()
+        self.processor.email_transport = self.transport
+        self.manifest = process_meeting(self.processor, self.s3, 'm', SUMMARY)
+        self.manifest_key = self.manifest['files']['manifest']
+
+    def approve(self, **event):
+        response = self.processor._process_email_approval({'output_folder': self.manifest['output_folder'], **event})
+        return response['statusCode'], json.loads(response['body'])
+
+    def stored_delivery(self):
+        return json.loads(self.s3.objects[('b', self.manifest_key)]['Body'])['delivery']
+
+    def test_pending_until_approved(self):
+        self.assertEqual(self.manifest['delivery']['status'], 'pending_approval')
+        self.assertEqual(self.transport.sent, [])
+
+        status, body = self.approve(approved_by='yamada@example.com')
+
+        self.assertEqual(status, 200)
+        self.assertEqual(len(self.transport.sent), 1)
+        self.assertEqual(self.stored_delivery()['status'], 'sent')
+        self.assertEqual(self.stored_delivery()['approved_by'], 'yamada@example.com')
+        self.assertEqual(self.approve()[0], 409)
+        self.assertEqual(len(self.transport.sent), 1)
+
+    def test_approval_during_send_is_not_sent_twice(self):
+        concurrent = []
+        self.transport.on_send = lambda: concurrent.append(self.approve()) if not concurrent else None
+
+        status, body = self.approve()
+
+        self.assertEqual(status, 200)
+        self.assertEqual(concurrent[0][0], 409)
+        self.assertEqual(concurrent[0][1]['delivery']['status'], 'duplicate')
+        self.assertEqual(len(self.transport.sent), 1)
+        self.assertEqual(self.stored_delivery()['status'], 'sent')
+
+    def test_abandoned_claim_is_taken_over(self):
+        manifest = json.loads(self.s3.objects[('b', self.manifest_key)]['Body'])
+        claimed_at = datetime.now() - timedelta(seconds=app.MANIFEST_CLAIM_SECONDS + 60)
+        manifest['delivery'] = {**manifest['delivery'], 'status': 'sending', 'claimed_at': claimed_at.isoformat()}
+        self.s3.put_object(Bucket='b', Key=self.manifest_key, Body=json.dumps(manifest))
+
+        self.assertEqual(self.approve()[0], 200)
+        self.assertEqual(len(self.transport.sent), 1)
+
+    def test_send_failure_releases_claim(self):
+        def fail():
+            raise ConnectionError('smtp down')
+        self.transport.on_send = fail
+
+        self.assertEqual(self.approve()[0], 502)
+        self.assertEqual(self.stored_delivery()['status'], 'failed')
+
+        self.transport.on_send = None
+        self.assertEqual(self.approve()[0], 200)
+        self.assertEqual(len(self.transport.sent), 1)
+
+
+if __name__ == '__main__':
+    unittest.main()
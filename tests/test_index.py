@@ -0,0 +1,100 @@
+"""index.json（ページ分割・世代の差し替え・条件付き書き込み）の更新と検索"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeS3, app, make_processor
+
+
+def entry(number: int) -> dict:
+    return {
+        'job_id': f"job-{number}", 'title': f"定例 {number}", 'status': 'success', 'is_demo_data': False,
+        'meeting_date': f"2025-10-{number:02d}T10:00:00", 'processed_at': f"2025-10-{number:02d}T11:00:00"
+    }
+
+
+def add(processor, *numbers: int):
+    return processor._modify_index('b', lambda entries: entries + [entry(n) for n in numbers])
+
+
+class IndexTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        # 競合時の再試行待ちを省略
+        patcher = mock.patch.object(app.time, 'sleep')
+        patcher.start()
+        self.addCleanup(patcher.stop)
+        self.writer = make_processor(self.s3, index_page_size=2)
+        self.other = make_processor(self.s3, index_page_size=2)
+
+    def page_keys(self):
+        return [key for bucket, key in self.s3.objects if '/index/pages/' in key]
+
+    def test_pages_are_sorted_newest_first_and_old_generation_removed(self):
+        add(self.writer, 1, 2, 3)
+        add(self.writer, 4)
+
+        index_data, _ = self.writer._read_index('b')
+        self.assertEqual(index_data['total'], 4)
+        self.assertEqual([page['count'] for page in index_data['pages']], [2, 2])
+        self.assertEqual(sorted(self.page_keys()), sorted(page['key'] for page in index_data['pages']))
+
+        result = self.writer._query_index('b', {}, limit=3)
+        self.assertEqual([item['job_id'] for item in result['items']], ['job-4', 'job-3', 'job-2'])
+        self.assertEqual(result['next_token'], '3')
+
+    def test_concurrent_commit_is_retried(self):
+        add(self.writer, 1)
+        stale = self.writer._read_index('b')
+        add(self.other, 2)
+
+        # 差し替え前の index.json を読んだ直後に他の実行がコミットした状態を再現
+        with mock.patch.object(self.writer, '_read_index', side_effect=[stale, self.writer._read_index('b')]):
+            entries = add(self.writer, 3)
+
+        self.assertEqual(sorted(e['job_id'] for e in entries), ['job-1', 'job-2', 'job-3'])
+        self.assertEqual(self.writer._read_index('b')[0]['total'], 3)
+
+    def test_query_rereads_when_pages_were_replaced(self):
+        add(self.writer, 1, 2, 3)
+        stale = self.writer._read_index('b')
+        add(self.other, 4)
+
+        with mock.patch.object(self.writer, '_read_index', side_effect=[stale, self.writer._read_index('b')]):
+            result = self.writer._query_index('b', {'title': '定例'}, limit=10)
+
+        self.assertEqual([item['job_id'] for item in result['items']], ['job-4', 'job-3', 'job-2', 'job-1'])
+
+    def test_stale_etag_conflicts(self):
+        add(self.writer, 1)
+        index_data, etag = self.writer._read_index('b')
+        add(self.other, 2)
+
+        self.assertFalse(self.writer._commit_index('b', [entry(1), entry(3)], index_data, etag))
+        self.assertEqual(self.writer._read_index('b')[0]['total'], 2)
+
+    def test_total_counts_filtered_matches(self):
+        add(self.writer, 1, 2, 3, 4, 5)
+
+        result = self.writer._query_index('b', {'date_from': '2025-10-02', 'date_to': '2025-10-04'}, limit=1)
+
+        self.assertEqual([item['job_id'] for item in result['items']], ['job-4'])
+        self.assertEqual(result['total'], 3)
+        self.assertEqual(self.writer._query_index('b', {}, limit=1)['total'], 5)
+
+    def test_legacy_entries_without_manifest_path(self):
+        legacy = {'runs': {
+            'job-a': {'job_id': 'job-a', 'output_folder': 'email_output/a/', 'title': 'A'},
+            'job-b': {'job_id': 'job-b', 'manifest_path': 'email_output/b/manifest.json', 'title': 'B'},
+            'job-c': {'job_id': 'job-c', 'title': 'C'}
+        }}
+        self.s3.put_object(Bucket='b', Key='email_output/index.json', Body=json.dumps(legacy))
+
+        entries = self.writer._modify_index('b', lambda entries: entries)
+
+        self.assertEqual({e['job_id']: e['manifest_path'] for e in entries},
+                         {'job-a': 'email_output/a/manifest.json', 'job-b': 'email_output/b/manifest.json'})
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,54 @@
+"""ジョブ状態ストアによる重複イベントの抑止・失敗ジョブの再開"""
+import unittest
+
+from helpers import FakeContext, FakeS3, make_processor
+
+
+class ClaimJobTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3, job_state_store='s3')
+        self.run = self.processor._register_run('b', 'meeting record/a.mp3', '"etag-1"')
+
+    def claim(self, force: bool = False):
+        return self.processor._claim_job('b', 'meeting record/a.mp3', self.run, force)
+
+    def test_duplicate_event_is_not_claimed(self):
+        job, claimed = self.claim()
+        self.assertTrue(claimed)
+        self.assertEqual(job['state'], 'queued')
+
+        duplicate, claimed = self.claim()
+        self.assertFalse(claimed)
+        self.assertEqual(duplicate['job_id'], job['job_id'])
+
+    def test_failed_job_is_resumed(self):
+        job, _ = self.claim()
+        self.processor._fail_job(job, 'boom')
+
+        resumed, claimed = self.claim()
+        self.assertTrue(claimed)
+        self.assertEqual(resumed['state'], 'queued')
+        self.assertEqual(resumed['attempts'], 2)
+        self.assertIsNone(resumed['error'])
+
+    def test_done_job_is_reclaimed_only_with_force(self):
+        job, _ = self.claim()
+        self.processor._advance_job(job, 'done')
+
+        self.assertFalse(self.claim()[1])
+        self.assertTrue(self.claim(force=True)[1])
+
+
+class ProcessSingleFileTest(unittest.TestCase):
+    def test_missing_object_is_reported_as_file_error(self):
+        processor = make_processor(job_state_store='s3')
+
+        result = processor._process_single_audio_file('b', 'meeting record/deleted.mp3', FakeContext())
+
+        self.assertEqual(result['status'], 'error')
+        self.assertEqual(result['file'], 'meeting record/deleted.mp3')
+
+
+if __name__ == '__main__':
+    unittest.main()
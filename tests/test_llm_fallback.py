@@ -0,0 +1,134 @@
+"""LLM API エラーの分類ごとの方針（再試行・次のモデル・中止）とフォールバック"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, app, client_error, make_processor
+
+SUMMARY = json.dumps({'meeting_summary': '要約', 'next_meeting': '未定'}, ensure_ascii=False)
+MEETING_INFO = {'title': '定例', 'date': '2025年10月20日 10:00', 'participants': '山田, 鈴木'}
+
+
+class InvokeSummaryModelsTest(unittest.TestCase):
+    def setUp(self):
+        self.processor = make_processor(
+            llm_provider='bedrock_messages', llm_models={'bedrock_messages': ['model-a', 'model-b']},
+            llm_output_mode='tool', llm_max_retries=3
+        )
+        self.calls = []
+        self.sleeps = []
+        patcher = mock.patch.object(app.time, 'sleep', side_effect=self.sleeps.append)
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def run_models(self, responses):
+        """responses: (モデル, 出力方式) -> 例外 または応答テキスト"""
+        def invoke(model_id, prompt, output_mode):
+            self.calls.append((model_id, output_mode))
+            response = responses(model_id, output_mode)
+            if isinstance(response, Exception):
+                raise response
+            return {'text': response, 'usage': {'input_tokens': 10, 'output_tokens': 5}}
+
+        with mock.patch.object(self.processor, '_invoke_summary_model', side_effect=invoke):
+            return self.processor._invoke_summary_models('b', MEETING_INFO, '山田: よろしくお願いします', 'a.mp3',
+                                                         'email_output/a/claude_processing.txt')
+
+    def actions(self):
+        return [(a['model'], a['output_mode'], a['action']) for a in self.processor.llm_attempts]
+
+    def test_validation_error_retries_in_text_mode_then_falls_back(self):
+        def responses(model_id, output_mode):
+            if model_id == 'model-a':
+                return client_error('ValidationException', 'InvokeModel',
+                                    'Invocation with on-demand throughput isn’t supported.')
+            return SUMMARY
+
+        result = self.run_models(responses)
+
+        self.assertEqual(result['meeting_summary'], '要約')
+        self.assertEqual(self.actions(), [('model-a', 'tool', 'text_mode'), ('model-a', 'text', 'next_model'),
+                                          ('model-b', 'tool', 'accept')])
+
+    def test_text_mode_retry_recovers_same_model(self):
+        def responses(model_id, output_mode):
+            if output_mode == 'tool':
+                return client_error('ValidationException', 'InvokeModel', 'tool use is not supported')
+            return SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual(self.calls, [('model-a', 'tool'), ('model-a', 'text')])
+
+    def test_text_mode_retry_without_retry_budget(self):
+        self.processor.config['llm_max_retries'] = 0
+
+        def responses(model_id, output_mode):
+            if output_mode == 'tool':
+                return client_error('ValidationException', 'InvokeModel', 'tool use is not supported')
+            return SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual(self.calls, [('model-a', 'tool'), ('model-a', 'text')])
+
+    def test_text_mode_switch_keeps_backoff_retries(self):
+        self.processor.config['llm_max_retries'] = 2
+        throttled = iter([True, True])
+
+        def responses(model_id, output_mode):
+            if output_mode == 'tool':
+                return client_error('ValidationException', 'InvokeModel', 'tool use is not supported')
+            return client_error('ThrottlingException') if next(throttled, False) else SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual(self.actions(), [('model-a', 'tool', 'text_mode'), ('model-a', 'text', 'retry'),
+                                          ('model-a', 'text', 'retry'), ('model-a', 'text', 'accept')])
+        self.assertEqual(len(self.sleeps), 2)
+
+    def test_auth_error_aborts_all_models(self):
+        result = self.run_models(lambda model_id, output_mode: client_error('UnrecognizedClientException'))
+
+        self.assertIsNone(result)
+        self.assertEqual(self.calls, [('model-a', 'tool')])
+        self.assertEqual(self.actions(), [('model-a', 'tool', 'abort')])
+
+    def test_access_error_skips_to_next_model(self):
+        def responses(model_id, output_mode):
+            return client_error('AccessDeniedException') if model_id == 'model-a' else SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual([action for _, _, action in self.actions()], ['next_model', 'accept'])
+
+    def test_backoff_is_capped_by_remaining_time(self):
+        self.processor.context = FakeContext(remaining_ms=(app.LLM_BACKOFF_RESERVE_SECONDS + 1) * 1000)
+        throttled = iter([True])
+
+        def responses(model_id, output_mode):
+            return client_error('ThrottlingException') if next(throttled, False) else SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual(len(self.sleeps), 1)
+        self.assertLessEqual(self.sleeps[0], 1)
+
+    def test_backoff_without_remaining_time_moves_to_next_model(self):
+        self.processor.context = FakeContext(remaining_ms=app.LLM_BACKOFF_RESERVE_SECONDS * 1000)
+
+        def responses(model_id, output_mode):
+            return client_error('ThrottlingException') if model_id == 'model-a' else SUMMARY
+
+        self.assertIsNotNone(self.run_models(responses))
+        self.assertEqual(self.sleeps, [])
+        self.assertEqual([action for _, _, action in self.actions()], ['next_model', 'accept'])
+
+
+class ClassifyLlmErrorTest(unittest.TestCase):
+    def test_codes_and_messages(self):
+        self.assertEqual(app.classify_llm_error(client_error('ExpiredTokenException')), 'auth')
+        self.assertEqual(app.classify_llm_error(client_error('AccessDeniedException')), 'access')
+        self.assertEqual(app.classify_llm_error(client_error('ValidationException')), 'validation')
+        self.assertEqual(app.classify_llm_error(client_error('ThrottlingException')), 'throttling')
+        self.assertEqual(app.classify_llm_error(TimeoutError('read timed out')), 'timeout')
+        self.assertEqual(app.classify_llm_error(RuntimeError('boom')), 'service')
+
+
+if __name__ == '__main__':
+    unittest.main()
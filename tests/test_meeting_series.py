@@ -0,0 +1,45 @@
+"""会議シリーズの決定と手動実行の継続イベント"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import app, make_processor
+
+
+class MeetingSeriesTest(unittest.TestCase):
+    def setUp(self):
+        self.processor = make_processor()
+
+    def test_explicit_series_is_shared(self):
+        first = self.processor._resolve_meeting_series('a/weekly_1001.m4a', {'series': '%E9%80%B1%E6%AC%A1%E5%AE%9A%E4%BE%8B'})
+        second = self.processor._resolve_meeting_series('b/other.m4a', {}, override='週次定例 ')
+        self.assertEqual(first['id'], second['id'])
+        self.assertEqual(first['title'], '週次定例')
+
+    def test_unspecified_series_is_per_file(self):
+        zoom_a = self.processor._resolve_meeting_series('meeting record/GMT20251001-010000_Recording.m4a', {})
+        zoom_b = self.processor._resolve_meeting_series('meeting record/GMT20251008-010000_Recording.m4a', {})
+        other_folder = self.processor._resolve_meeting_series('sales/GMT20251001-010000_Recording.m4a', {})
+        self.assertEqual(len({zoom_a['id'], zoom_b['id'], other_folder['id']}), 3)
+        self.assertEqual(zoom_a, self.processor._resolve_meeting_series('meeting record/GMT20251001-010000_Recording.m4a', {}))
+
+
+class DeferManualFilesTest(unittest.TestCase):
+    def test_continuation_keeps_overrides(self):
+        processor = make_processor()
+        lambda_client = mock.Mock()
+        context = mock.Mock(invoked_function_arn='arn:aws:lambda:us-east-1:123456789012:function:minutes')
+        event = {'action': 'manual', 'series': '週次定例', 'participants': ['山田'], 'email': {'language': 'en'}}
+
+        with mock.patch.object(app.boto3, 'client', return_value=lambda_client):
+            results = processor._defer_manual_files(event, 'b', ['meeting record/c.m4a'], context)
+
+        payload = json.loads(lambda_client.invoke.call_args.kwargs['Payload'].decode('utf-8'))
+        self.assertEqual(payload['series'], '週次定例')
+        self.assertEqual(payload['participants'], ['山田'])
+        self.assertEqual(payload['object_keys'], ['meeting record/c.m4a'])
+        self.assertEqual(results[0]['status'], 'deferred')
+
+
+if __name__ == '__main__':
+    unittest.main()
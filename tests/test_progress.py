@@ -0,0 +1,105 @@
+"""progress.json の段階・進捗率の単調増加、条件付き書き込みの再試行と進捗API"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, FakeS3, client_error, make_processor
+
+KEY = 'meeting record/m.m4a'
+
+
+class ProgressTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.s3.put_object(Bucket='b', Key=KEY, Body=b'audio')
+        self.processor = make_processor(self.s3)
+        self.run = self.processor._register_run('b', KEY, self.s3.objects[('b', KEY)]['ETag'])
+
+    def progress(self):
+        return json.loads(self.s3.objects[('b', f"{self.run['output_folder']}progress.json")]['Body'])
+
+    def update(self, message, processor=None, **kwargs):
+        (processor or self.processor)._update_progress('b', KEY, message, **kwargs)
+
+    def test_stage_and_percent_never_go_back(self):
+        self.update('開始', stage='transcribing', restart=True)
+        self.update('文字起こし 50%', stage='transcribing', fraction=0.5)
+        self.update('要約開始', stage='summarizing')
+        percent = self.progress()['percent']
+        # 遅れて届いた文字起こしの更新はメッセージのみ記録
+        self.update('Transcribeジョブ状態: COMPLETED', stage='transcribing', fraction=1)
+
+        progress = self.progress()
+        self.assertEqual(progress['stage'], 'summarizing')
+        self.assertEqual(progress['percent'], percent)
+        self.assertEqual(progress['message'], 'Transcribeジョブ状態: COMPLETED')
+        self.assertEqual([e['stage'] for e in progress['events']], ['transcribing', 'transcribing', 'summarizing', 'summarizing'])
+        self.assertEqual(progress['sequence'], 4)
+
+    def test_done_is_final_and_restart_keeps_history(self):
+        self.update('開始', stage='summarizing', restart=True)
+        self.update('完了', status='done')
+        self.update('遅れて届いた更新', stage='summarizing', fraction=0.5)
+        self.assertEqual((self.progress()['status'], self.progress()['percent']), ('done', 100))
+
+        self.update('再生成開始', stage='summarizing', restart=True)
+
+        progress = self.progress()
+        self.assertEqual((progress['status'], progress['stage'], progress['percent']), ('running', 'summarizing', 60))
+        self.assertEqual(len(progress['events']), 4)
+        self.assertEqual(progress['sequence'], 4)
+
+    def test_concurrent_update_is_retried(self):
+        self.update('開始', stage='transcribing', restart=True)
+        other = make_processor(self.s3)
+        other._register_run('b', KEY, self.s3.objects[('b', KEY)]['ETag'])
+        real_put = self.s3.put_object
+        interleaved = []
+
+        def put_object(**kwargs):
+            # 読み込み後・書き込み前に他の実行が更新した状態を再現
+            if not interleaved:
+                interleaved.append(True)
+                self.update('他の実行の更新', processor=other, stage='summarizing')
+            return real_put(**kwargs)
+
+        with mock.patch.object(self.s3, 'put_object', side_effect=put_object):
+            self.update('文字起こし 50%', stage='transcribing', fraction=0.5)
+
+        progress = self.progress()
+        self.assertEqual([e['message'] for e in progress['events']], ['開始', '他の実行の更新', '文字起こし 50%'])
+        self.assertEqual(progress['stage'], 'summarizing')
+
+
+class ProgressApiTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3)
+
+    def get(self, path, query=None, headers=None):
+        event = {'rawPath': path, 'requestContext': {'http': {'method': 'GET'}},
+                 'queryStringParameters': query, 'headers': headers or {}}
+        return self.processor._process_http_request(event, FakeContext())
+
+    def test_progress_by_key_and_job_id(self):
+        self.assertEqual(self.get('/progress', {'key': KEY})['statusCode'], 404)
+        self.s3.put_object(Bucket='b', Key=KEY, Body=b'audio')
+        self.assertEqual(self.get('/progress', {'key': KEY})['statusCode'], 404)
+
+        run = self.processor._register_run('b', KEY, self.s3.objects[('b', KEY)]['ETag'])
+        self.processor._update_progress('b', KEY, '開始', stage='transcribing', restart=True)
+
+        response = self.get('/progress', {'key': KEY})
+        self.assertEqual(response['statusCode'], 200)
+        self.assertEqual(json.loads(response['body'])['stage'], 'transcribing')
+        by_id = self.get(f"/meetings/{run['job_id']}/progress")
+        self.assertEqual(by_id['statusCode'], 200)
+        self.assertEqual(self.get('/progress', {'key': KEY}, {'If-None-Match': by_id['headers']['ETag']})['statusCode'], 304)
+
+    def test_head_errors_other_than_not_found(self):
+        with mock.patch.object(self.s3, 'head_object', side_effect=client_error('403', 'HeadObject', 'Forbidden')):
+            self.assertEqual(self.get('/progress', {'key': KEY})['statusCode'], 500)
+
+
+if __name__ == '__main__':
+    unittest.main()
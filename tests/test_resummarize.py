@@ -0,0 +1,90 @@
+"""保存済みの文字起こしからの議事録の再生成とリビジョン"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, FakeS3, make_processor, process_meeting
+
+
+def summary(text: str) -> dict:
+    return {'meeting_summary': text}
+
+
+class ResummarizeTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3)
+
+    def read(self, key):
+        return json.loads(self.s3.objects[('b', key)]['Body'])
+
+    def resummarize(self, manifest, result, during_call=None):
+        def invoke(model_id, prompt, output_mode):
+            if during_call:
+                during_call()
+            return {'text': json.dumps(result, ensure_ascii=False), 'usage': {'input_tokens': 100, 'output_tokens': 50}}
+
+        with mock.patch.object(self.processor, '_invoke_summary_model', side_effect=invoke):
+            response = self.processor._process_resummarize({'meeting_id': manifest['job_id']}, FakeContext())
+        return response['statusCode'], json.loads(response['body'])
+
+    def test_previous_minutes_are_kept_as_revisions(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', summary('初版'))
+
+        self.assertEqual(self.resummarize(manifest, summary('第2版'))[0], 200)
+        status, body = self.resummarize(manifest, summary('第3版'))
+
+        self.assertEqual(status, 200)
+        current = self.read(manifest['files']['manifest'])
+        self.assertEqual(body['revision'], 3)
+        self.assertEqual(current['revision'], 3)
+        self.assertEqual([r['revision'] for r in current['revisions']], [1, 2])
+        self.assertNotIn('resummarizing', current)
+        self.assertEqual(self.read(current['revisions'][0]['summary_json'])['meeting_summary'], '初版')
+        self.assertEqual(self.read(current['revisions'][1]['summary_json'])['meeting_summary'], '第2版')
+        self.assertEqual(self.read(current['files']['summary_json'])['meeting_summary'], '第3版')
+
+    def test_concurrent_resummarize_is_rejected(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', summary('初版'))
+        concurrent = []
+        other = make_processor(self.s3)
+
+        def start_other():
+            if not concurrent:
+                response = other._process_resummarize({'meeting_id': manifest['job_id']}, FakeContext())
+                concurrent.append(response['statusCode'])
+
+        status, body = self.resummarize(manifest, summary('第2版'), during_call=start_other)
+
+        self.assertEqual((status, concurrent), (200, [409]))
+        current = self.read(manifest['files']['manifest'])
+        self.assertEqual(current['revision'], 2)
+        self.assertEqual(self.read(current['revisions'][0]['summary_json'])['meeting_summary'], '初版')
+
+    def test_failed_first_run_is_generated_as_revision_1(self):
+        with mock.patch.object(self.processor, '_invoke_summary_models', return_value=None):
+            manifest = process_meeting(self.processor, self.s3, 'm', summary('未使用'))
+        self.assertEqual(manifest['status'], 'needs_attention')
+
+        status, body = self.resummarize(manifest, summary('初版'))
+
+        self.assertEqual(status, 200)
+        current = self.read(manifest['files']['manifest'])
+        self.assertEqual((current['status'], current['revision'], current['revisions']), ('success', 1, []))
+        self.assertIsNone(body['previous_revision'])
+
+    def test_failed_resummarize_releases_claim(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', summary('初版'))
+
+        with mock.patch.object(self.processor, '_invoke_summary_models', return_value=None):
+            status, body = self.resummarize(manifest, summary('未使用'))
+
+        self.assertEqual(status, 502)
+        current = self.read(manifest['files']['manifest'])
+        self.assertEqual(current['status'], 'success')
+        self.assertNotIn('resummarizing', current)
+        self.assertEqual(self.resummarize(manifest, summary('第2版'))[1]['revision'], 2)
+
+
+if __name__ == '__main__':
+    unittest.main()
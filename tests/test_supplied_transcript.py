@@ -0,0 +1,70 @@
+"""アップロード済み字幕（WebVTT / SRT）の読み込み"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, FakeS3, app, make_processor
+
+
+def webvtt(*cues: str) -> str:
+    blocks = [f"00:00:{2 * i:02d}.000 --> 00:00:{2 * i + 1:02d}.000\n{text}" for i, text in enumerate(cues)]
+    return "WEBVTT\n\n" + "\n\n".join(blocks)
+
+
+class ParseSubtitlesTest(unittest.TestCase):
+    def setUp(self):
+        self.backend = app.SuppliedTranscriptBackend(None, ['.vtt', '.srt', '.txt'])
+
+    def parse(self, *cues: str):
+        results = self.backend._parse_subtitles(webvtt(*cues))['results']
+        texts = [item['alternatives'][0]['content'] for item in results['items']]
+        return texts, results['speaker_labels'].get('speaker_names')
+
+    def test_speaker_prefix_and_voice_tag(self):
+        texts, speaker_names = self.parse('山田: よろしくお願いします', '鈴木：お願いします', '<v 佐藤>はい')
+        self.assertEqual(texts, ['よろしくお願いします', 'お願いします', 'はい'])
+        self.assertEqual(speaker_names, {'spk_0': '山田', 'spk_1': '鈴木', 'spk_2': '佐藤'})
+
+    def test_times_and_urls_are_not_speakers(self):
+        texts, speaker_names = self.parse("Let's meet at 3:00", '開始は10：30です', 'See https://example.com')
+        self.assertEqual(texts, ["Let's meet at 3:00", '開始は10：30です', 'See https://example.com'])
+        self.assertIsNone(speaker_names)
+
+
+class SidecarTranscriptTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3)
+
+    def test_only_audio_and_standalone_transcripts_are_inputs(self):
+        self.assertTrue(self.processor._is_valid_audio_file('meeting record/m.m4a'))
+        self.assertFalse(self.processor._is_valid_audio_file('meeting record/m.vtt'))
+        self.assertFalse(self.processor._is_valid_audio_file('meeting record/notes.txt'))
+        self.assertTrue(self.processor._is_valid_audio_file('meeting transcript/m.vtt'))
+        self.assertFalse(self.processor._is_valid_audio_file('meeting transcript/m.m4a'))
+
+    def test_audio_run_uses_sidecar(self):
+        self.s3.put_object(Bucket='b', Key='meeting record/m.m4a', Body=b'audio')
+        self.s3.put_object(Bucket='b', Key='meeting record/m.vtt', Body=webvtt('山田: 議題は予算です'))
+        completed = {}
+
+        def complete(output_bucket, object_key, meeting_info, transcript_text, transcript_document, job):
+            completed.update(key=object_key, backend=meeting_info['transcription']['backend'], text=transcript_text)
+            return {'file': object_key, 'status': 'success'}
+
+        with mock.patch.object(self.processor, '_complete_meeting_processing', side_effect=complete):
+            response = self.processor._process_s3_events([
+                {'eventSource': 'aws:s3', 's3': {'bucket': {'name': 'b'}, 'object': {'key': 'meeting+record/m.m4a'}}},
+                {'eventSource': 'aws:s3', 's3': {'bucket': {'name': 'b'}, 'object': {'key': 'meeting+record/m.vtt'}}}
+            ], FakeContext())
+
+        self.assertEqual(completed['key'], 'meeting record/m.m4a')
+        self.assertEqual(completed['backend'], 'supplied')
+        self.assertIn('議題は予算です', completed['text'])
+        # サイドカーの .vtt は別の会議にならない
+        self.assertEqual(json.loads(response['body'])['summary']['total_files'], 1)
+        self.assertEqual(self.processor.sidecar_transcript, 'meeting record/m.vtt')
+
+
+if __name__ == '__main__':
+    unittest.main()
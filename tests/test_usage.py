@@ -0,0 +1,95 @@
+"""使用量・概算コストの計算と月別レポートの集計"""
+import json
+import unittest
+from unittest import mock
+
+from helpers import FakeContext, FakeS3, app, make_processor, process_meeting
+
+SONNET_4 = 'anthropic.claude-sonnet-4-20250514-v1:0'
+
+
+def entry(job_id: str, processed_at: str, usage=None, status='success') -> dict:
+    return {'job_id': job_id, 'title': job_id, 'status': status, 'is_demo_data': False,
+            'meeting_date': processed_at, 'processed_at': processed_at, 'usage': usage}
+
+
+def usage(model_id: str, input_tokens: int, output_tokens: int, cost: float, audio_minutes: float = 0.0,
+          transcription_cost: float = 0.0) -> dict:
+    return {'model_used': model_id, 'llm_calls': 1, 'input_tokens': input_tokens, 'output_tokens': output_tokens,
+            'audio_minutes': audio_minutes, 'llm_cost': cost, 'transcription_cost': transcription_cost,
+            'previous_revisions_cost': 0.0, 'estimated_cost': round(cost + transcription_cost, 6), 'currency': 'USD',
+            'by_model': {model_id: {'input_tokens': input_tokens, 'output_tokens': output_tokens, 'cost': cost}}}
+
+
+class EstimateUsageCostTest(unittest.TestCase):
+    def test_llm_and_transcription_cost(self):
+        pricing = app.resolve_pricing()
+        calls = [{'model': 'anthropic.claude-3-5-haiku-20241022-v1:0', 'input_tokens': 1000, 'output_tokens': 1000},
+                 {'model': SONNET_4, 'input_tokens': 2000, 'output_tokens': 1000},
+                 {'model': 'custom-model', 'input_tokens': 500, 'output_tokens': 500}]
+
+        result = app.estimate_usage_cost(calls, {'backend': 'transcribe', 'audio_minutes': 10}, pricing)
+
+        by_model = result['llm']['by_model']
+        self.assertEqual(by_model['anthropic.claude-3-5-haiku-20241022-v1:0']['cost'], 0.0048)
+        self.assertEqual(by_model[SONNET_4]['cost'], 0.021)
+        self.assertEqual(by_model['custom-model']['cost'], 0.0)
+        self.assertEqual(result['unpriced'], ['custom-model'])
+        self.assertEqual(result['transcription']['cost'], 0.24)
+        self.assertEqual(result['estimated_cost'], 0.2658)
+
+    def test_reused_transcript_is_not_billed(self):
+        result = app.estimate_usage_cost([], {'backend': 'transcribe', 'audio_minutes': 10, 'billable': False},
+                                         app.resolve_pricing({'currency': 'JPY'}))
+        self.assertEqual((result['transcription']['cost'], result['estimated_cost'], result['currency']), (0.0, 0.0, 'JPY'))
+
+
+class UsageReportTest(unittest.TestCase):
+    def setUp(self):
+        self.s3 = FakeS3()
+        self.processor = make_processor(self.s3)
+
+    def test_monthly_roll_up(self):
+        self.processor._modify_index('b', lambda entries: [
+            entry('a', '2025-10-01T10:00:00', usage(SONNET_4, 1000, 500, 0.0105, 30, 0.72)),
+            entry('b', '2025-10-20T10:00:00', usage(SONNET_4, 2000, 500, 0.0135)),
+            entry('c', '2025-10-21T10:00:00', status='needs_attention'),
+            entry('d', '2025-09-30T10:00:00', usage('anthropic.claude-3-haiku-20240307-v1:0', 1000, 1000, 0.0015))
+        ])
+
+        report = self.processor._build_usage_report('b')
+
+        october, september = report['months']
+        self.assertEqual((october['month'], september['month']), ('2025-10', '2025-09'))
+        self.assertEqual((october['meetings'], october['without_usage']), (3, 1))
+        self.assertEqual(october['by_status'], {'success': 2, 'needs_attention': 1})
+        self.assertEqual((october['input_tokens'], october['audio_minutes']), (3000, 30))
+        self.assertEqual(october['estimated_cost'], 0.744)
+        self.assertEqual(october['by_model'][SONNET_4], {'meetings': 2, 'input_tokens': 3000, 'output_tokens': 1000, 'cost': 0.024})
+        self.assertEqual(report['estimated_cost'], 0.7455)
+        self.assertEqual([m['month'] for m in self.processor._build_usage_report('b', '2025-09')['months']], ['2025-09'])
+
+    def test_resummarize_cost_is_added_to_meeting(self):
+        manifest = process_meeting(self.processor, self.s3, 'm', {'meeting_summary': '初版'})
+        first_cost = manifest['processing']['usage']['llm']['cost']
+
+        invoke = {'text': json.dumps({'meeting_summary': '第2版'}, ensure_ascii=False),
+                  'usage': {'input_tokens': 100, 'output_tokens': 50}}
+        with mock.patch.object(self.processor, '_invoke_summary_model', return_value=invoke):
+            self.processor._process_resummarize({'meeting_id': manifest['job_id']}, FakeContext())
+
+        month = self.processor._build_usage_report('b')['months'][0]
+        self.assertEqual(month['meetings'], 1)
+        self.assertEqual(month['previous_revisions_cost'], first_cost)
+        self.assertEqual(month['estimated_cost'], round(first_cost * 2, 6))
+
+    def test_usage_report_api(self):
+        event = {'rawPath': '/reports/usage', 'requestContext': {'http': {'method': 'GET'}}}
+        bad = self.processor._process_http_request({**event, 'queryStringParameters': {'month': '2025-1'}}, FakeContext())
+        self.assertEqual(bad['statusCode'], 400)
+        ok = self.processor._process_http_request({**event, 'queryStringParameters': {'month': '2025-10'}}, FakeContext())
+        self.assertEqual((ok['statusCode'], json.loads(ok['body'])['months']), (200, []))
+
+
+if __name__ == '__main__':
+    unittest.main()